@@ -57,7 +57,12 @@ const AssessmentAnswerSchema = new mongoose.Schema(
                 expectedOutput: { type: String },
                 actualOutput: { type: String },
                 passed: { type: Boolean, default: false },
-                executionTime: { type: Number }, // ms
+                verdict: {
+                    type: String,
+                    enum: ['accepted', 'wrong_answer', 'time_limit_exceeded', 'memory_limit_exceeded',
+                        'runtime_error', 'compile_error', 'internal_error'],
+                },
+                executionTime: { type: Number }, // seconds
                 memoryUsed: { type: Number }, // KB
                 error: { type: String, default: '' },
                 isHidden: { type: Boolean, default: false },
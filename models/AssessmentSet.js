@@ -24,6 +24,12 @@ const AssessmentSetSchema = new mongoose.Schema(
                 type: String,
                 required: true,
             },
+            // Set when the question came from (or was promoted to) the company question bank
+            bankQuestion: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'BankQuestion',
+                default: null,
+            },
             questionText: {
                 type: String,
                 required: true,
@@ -57,6 +63,12 @@ const AssessmentSetSchema = new mongoose.Schema(
                 type: String,
                 required: true,
             },
+            // Set when the question came from (or was promoted to) the company question bank
+            bankQuestion: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'BankQuestion',
+                default: null,
+            },
             questionText: {
                 type: String,
                 required: true,
@@ -94,6 +106,12 @@ const AssessmentSetSchema = new mongoose.Schema(
                 type: String,
                 required: true,
             },
+            // Set when the question came from (or was promoted to) the company question bank
+            bankQuestion: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'BankQuestion',
+                default: null,
+            },
             title: {
                 type: String,
                 required: true,
@@ -125,6 +143,13 @@ const AssessmentSetSchema = new mongoose.Schema(
                 isHidden: { type: Boolean, default: false },
                 isSample: { type: Boolean, default: false },
                 weight: { type: Number, default: 1 },
+                // How output is judged (see services/checkerService.js)
+                checker: {
+                    type: { type: String, enum: ['exact', 'token', 'float', 'unordered_lines', 'custom'], default: 'exact' },
+                    tolerance: { type: Number, default: 1e-6 }, // float checker
+                    code: { type: String, default: '' },        // custom checker program
+                    language: { type: String, default: 'python' },
+                },
             }],
             skill: {
                 type: String,
@@ -152,12 +177,43 @@ const AssessmentSetSchema = new mongoose.Schema(
                 type: Number,
                 default: 256, // MB
             },
+            // Function-signature questions: the candidate writes only this function and
+            // services/harnessService.js wraps it in a driver that reads the test input
+            signature: {
+                functionName: { type: String, default: '' },
+                params: [{
+                    name: { type: String, required: true },
+                    type: { type: String, required: true }, // int, long, double, boolean, string, with up to two []
+                }],
+                returnType: { type: String, default: '' },
+            },
             // Starter code templates
             starterCode: {
                 type: Map,
                 of: String,
                 default: {},
             },
+            // Known-good solution used to check the test cases; shown to recruiters only
+            referenceSolution: {
+                language: { type: String, default: '' },
+                code: { type: String, default: '' },
+            },
+            // Result of running referenceSolution against testCases (services/referenceSolutionService.js)
+            referenceValidation: {
+                status: { type: String, enum: ['passed', 'failed', 'unverified'], default: 'unverified' },
+                reason: { type: String, default: '' },
+                checkedAt: { type: Date, default: null },
+                maxTimeSeconds: { type: Number, default: null },
+                maxMemoryKb: { type: Number, default: null },
+                failures: [{
+                    _id: false,
+                    testNumber: { type: Number },
+                    verdict: { type: String },
+                    expectedOutput: { type: String },
+                    actualOutput: { type: String },
+                    error: { type: String },
+                }],
+            },
         }],
 
         // Metadata
@@ -167,6 +223,51 @@ const AssessmentSetSchema = new mongoose.Schema(
             generationTime: { type: Number }, // ms
         },
 
+        // Skill × difficulty coverage and per-section difficulty quota check (services/blueprintService.js)
+        coverage: {
+            skills: [{
+                _id: false,
+                skill: { type: String },
+                easy: { type: Number, default: 0 },
+                medium: { type: Number, default: 0 },
+                hard: { type: Number, default: 0 },
+                total: { type: Number, default: 0 },
+            }],
+            difficulty: {
+                easy: { type: Number, default: 0 },
+                medium: { type: Number, default: 0 },
+                hard: { type: Number, default: 0 },
+            },
+            // { objective: { target, actual, offQuota, allowedOffQuota, withinTolerance, attempts }, ... }
+            sections: {
+                type: mongoose.Schema.Types.Mixed,
+                default: {},
+            },
+            withinTolerance: { type: Boolean, default: true },
+            generatedAt: { type: Date },
+        },
+
+        // How this set compares with the JD's other sets (services/setBalancingService.js)
+        equivalence: {
+            difficultyIndex: { type: Number }, // 0 (all easy) - 100 (all hard), points-weighted
+            totalPoints: { type: Number },
+            difficultyDeviation: { type: Number }, // from the mean of all sets
+            pointsDeviation: { type: Number }, // % from the mean of all sets
+            skillSimilarity: { type: Number }, // % overlap with the mean skill coverage
+            isEquivalent: { type: Boolean },
+            regenerations: { type: Number, default: 0 },
+            balancedAt: { type: Date },
+        },
+
+        // Raw percentage statistics of the candidates who took this set (services/scoreNormalizationService.js)
+        scoreStats: {
+            sampleSize: { type: Number, default: 0 },
+            mean: { type: Number, default: 0 },
+            stdDev: { type: Number, default: 0 },
+            isNormalized: { type: Boolean, default: false },
+            computedAt: { type: Date },
+        },
+
         // Total points in this set
         totalPoints: {
             type: Number,
@@ -177,6 +278,31 @@ const AssessmentSetSchema = new mongoose.Schema(
             type: Boolean,
             default: true,
         },
+
+        // Recruiter review: every active set must be approved before the JD can be linked or locked.
+        // Any edit to the set's questions withdraws the approval.
+        isApproved: {
+            type: Boolean,
+            default: false,
+        },
+        approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        approvedAt: {
+            type: Date,
+            default: null,
+        },
+        lastEditedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        lastEditedAt: {
+            type: Date,
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+
+/**
+ * Bank Question Model
+ * A company-owned question that can be reused across JDs.
+ * Questions are promoted from generated AssessmentSets or written by recruiters,
+ * and mixed into new sets by generateQuestionSets (assessmentConfig.questionBankRatio).
+ */
+const BankQuestionSchema = new mongoose.Schema(
+    {
+        company: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Company',
+            required: true,
+        },
+
+        // Which AssessmentSet section the question belongs to
+        type: {
+            type: String,
+            enum: ['objective', 'subjective', 'programming'],
+            required: true,
+        },
+
+        // Tags
+        skill: {
+            type: String,
+            default: '',
+        },
+        // Normalized skill name for matching (see skillAnalysisService.normalizeSkill)
+        skillKey: {
+            type: String,
+            default: '',
+        },
+        difficulty: {
+            type: String,
+            enum: ['easy', 'medium', 'hard'],
+            default: 'medium',
+        },
+        roles: {
+            type: [String],
+            default: [],
+        },
+        tags: {
+            type: [String],
+            default: [],
+        },
+
+        questionText: {
+            type: String,
+            required: true,
+        },
+        points: {
+            type: Number,
+        },
+
+        // Remaining section-specific fields, as stored in AssessmentSet
+        // (options/explanation, expectedAnswer/rubric/maxWords, title/testCases/signature/...)
+        content: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+
+        // Where the question was promoted from
+        source: {
+            jd: { type: mongoose.Schema.Types.ObjectId, ref: 'JobDescription', default: null },
+            assessmentSet: { type: mongoose.Schema.Types.ObjectId, ref: 'AssessmentSet', default: null },
+            questionId: { type: String, default: null },
+        },
+
+        // Reuse tracking
+        usage: {
+            // Generated sets the question was placed in
+            timesUsed: { type: Number, default: 0 },
+            jds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'JobDescription' }],
+            lastUsedAt: { type: Date, default: null },
+            // Candidates who were assigned a set containing the question
+            exposures: { type: Number, default: 0 },
+            lastExposedAt: { type: Date, default: null },
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+BankQuestionSchema.index({ company: 1, type: 1, skillKey: 1, difficulty: 1, isActive: 1 });
+BankQuestionSchema.index({ company: 1, roles: 1 });
+BankQuestionSchema.index({ company: 1, tags: 1 });
+BankQuestionSchema.index({ 'source.assessmentSet': 1, 'source.questionId': 1 });
+
+const BankQuestion = mongoose.model('BankQuestion', BankQuestionSchema);
+
+export default BankQuestion;
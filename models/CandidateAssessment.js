@@ -58,6 +58,17 @@ const CandidateAssessmentSchema = new mongoose.Schema(
             analyzedAt: { type: Date },
         },
 
+        // JD revision the assessment was taken under (pinned when it starts)
+        jdRevision: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JDRevision',
+            default: null,
+        },
+        jdRevisionNumber: {
+            type: Number,
+            default: null,
+        },
+
         // Assigned question set
         assignedSet: {
             type: mongoose.Schema.Types.ObjectId,
@@ -72,6 +83,11 @@ const CandidateAssessmentSchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+        // Seeds this candidate's question and option order (services/questionOrderService.js)
+        shuffleSeed: {
+            type: String,
+            default: null,
+        },
 
         // Session management
         sessionToken: {
@@ -82,10 +98,38 @@ const CandidateAssessmentSchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+        // Short-lived: rotated on every heartbeat (services/sessionBindingService.js)
+        sessionTokenExpiresAt: {
+            type: Date,
+            default: null,
+        },
+        // The token before the last rotation, accepted briefly for requests already in flight
+        previousSessionToken: {
+            type: String,
+            default: null,
+        },
+        previousSessionTokenExpiresAt: {
+            type: Date,
+            default: null,
+        },
+        // Device the session is bound to; requests from any other device are rejected
+        deviceBinding: {
+            deviceHash: { type: String, default: '' },
+            boundAt: { type: Date, default: null },
+            lastConflictAt: { type: Date, default: null },
+        },
         lastHeartbeat: {
             type: Date,
             default: null,
         },
+        // Devices the session was started or resumed on
+        sessionLog: [{
+            event: { type: String, enum: ['started', 'resumed'] },
+            ipAddress: { type: String, default: '' },
+            userAgent: { type: String, default: '' },
+            deviceHash: { type: String, default: '' },
+            at: { type: Date, default: Date.now },
+        }],
 
         // Timing
         startedAt: {
@@ -100,6 +144,36 @@ const CandidateAssessmentSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
+        // Time credited from session heartbeats, excluding disconnects and pauses
+        // (services/sessionClockService.js)
+        activeTimeMs: {
+            type: Number,
+            default: null,
+        },
+        // Disconnected time not counted so far (capped by ASSESSMENT_MAX_DISCONNECT_MS)
+        forgivenGapMs: {
+            type: Number,
+            default: 0,
+        },
+        // Recruiter pause
+        pause: {
+            isPaused: { type: Boolean, default: false },
+            pausedAt: { type: Date, default: null },
+            pausedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+            reason: { type: String, default: '' },
+        },
+        pauseLog: [{
+            action: { type: String, enum: ['paused', 'resumed'] },
+            reason: { type: String, default: '' },
+            changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            changedAt: { type: Date, default: Date.now },
+        }],
+        // How the assessment was finalized
+        submissionType: {
+            type: String,
+            enum: ['manual', 'time_expired', 'abandoned', null],
+            default: null,
+        },
 
         // Section progress
         sectionProgress: {
@@ -108,6 +182,8 @@ const CandidateAssessmentSchema = new mongoose.Schema(
                 startedAt: { type: Date },
                 completed: { type: Boolean, default: false },
                 completedAt: { type: Date },
+                autoSubmitted: { type: Boolean, default: false }, // section time ran out
+                activeTimeMs: { type: Number, default: null },    // see services/sessionClockService.js
                 questionsAnswered: { type: Number, default: 0 },
             },
             subjective: {
@@ -115,6 +191,8 @@ const CandidateAssessmentSchema = new mongoose.Schema(
                 startedAt: { type: Date },
                 completed: { type: Boolean, default: false },
                 completedAt: { type: Date },
+                autoSubmitted: { type: Boolean, default: false }, // section time ran out
+                activeTimeMs: { type: Number, default: null },    // see services/sessionClockService.js
                 questionsAnswered: { type: Number, default: 0 },
             },
             programming: {
@@ -122,6 +200,8 @@ const CandidateAssessmentSchema = new mongoose.Schema(
                 startedAt: { type: Date },
                 completed: { type: Boolean, default: false },
                 completedAt: { type: Date },
+                autoSubmitted: { type: Boolean, default: false }, // section time ran out
+                activeTimeMs: { type: Number, default: null },    // see services/sessionClockService.js
                 questionsAnswered: { type: Number, default: 0 },
             },
         },
@@ -182,6 +262,47 @@ const CandidateAssessmentSchema = new mongoose.Schema(
             default: '',
         },
 
+        // Accommodations granted by a recruiter (see services/accommodationService.js)
+        accommodations: {
+            // Overall: applied to every section without its own multiplier; extra minutes
+            // are spread over the enabled sections in proportion to their time
+            timeMultiplier: { type: Number, default: 1, min: 1, max: 4 },
+            extraMinutes: { type: Number, default: 0, min: 0 },
+            // Per-section overrides (null multiplier = use the overall one)
+            sections: {
+                objective: {
+                    timeMultiplier: { type: Number, default: null, min: 1, max: 4 },
+                    extraMinutes: { type: Number, default: 0, min: 0 },
+                },
+                subjective: {
+                    timeMultiplier: { type: Number, default: null, min: 1, max: 4 },
+                    extraMinutes: { type: Number, default: 0, min: 0 },
+                },
+                programming: {
+                    timeMultiplier: { type: Number, default: null, min: 1, max: 4 },
+                    extraMinutes: { type: Number, default: 0, min: 0 },
+                },
+            },
+            // Replace the JD's startTime/endTime for this candidate (null = use the JD's)
+            windowStart: { type: Date, default: null },
+            windowEnd: { type: Date, default: null },
+            notes: { type: String, default: '' },
+            updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+            updatedAt: { type: Date, default: null },
+        },
+
+        // Audit trail of accommodation changes
+        accommodationLog: [{
+            action: { type: String, enum: ['granted', 'updated', 'revoked', 'carried_over'] },
+            // carried_over: the earlier registration the settings came from (its history stays there)
+            sourceAssessment: { type: mongoose.Schema.Types.ObjectId, ref: 'CandidateAssessment' },
+            before: { type: mongoose.Schema.Types.Mixed },
+            after: { type: mongoose.Schema.Types.Mixed },
+            reason: { type: String, default: '' },
+            changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            changedAt: { type: Date, default: Date.now },
+        }],
+
         // Communication log (emails sent)
         communicationLog: [{
             type: { type: String }, // email type (result_pass, result_fail, etc.)
@@ -201,6 +322,8 @@ CandidateAssessmentSchema.index({ assessmentLink: 1 });
 CandidateAssessmentSchema.index({ jd: 1, status: 1 });
 CandidateAssessmentSchema.index({ jd: 1, createdAt: -1 });
 CandidateAssessmentSchema.index({ sessionToken: 1 });
+CandidateAssessmentSchema.index({ previousSessionToken: 1 });
+CandidateAssessmentSchema.index({ status: 1, startedAt: 1 });
 
 // Check if onboarding is complete
 CandidateAssessmentSchema.methods.isOnboardingComplete = function () {
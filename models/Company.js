@@ -34,6 +34,43 @@ const CompanySchema = new mongoose.Schema(
             type: Boolean,
             default: true,
         },
+
+        // Company-wide assessment defaults, applied to new JDs when they are parsed
+        // (replaces the experience-level defaults in routes/jd.js)
+        assessmentTemplate: {
+            type: new mongoose.Schema({
+                sections: {
+                    objective: {
+                        questionCount: { type: Number, default: 10 },
+                        timeMinutes: { type: Number, default: 15 },
+                        weight: { type: Number, default: 30 },
+                        enabled: { type: Boolean, default: true },
+                    },
+                    subjective: {
+                        questionCount: { type: Number, default: 5 },
+                        timeMinutes: { type: Number, default: 20 },
+                        weight: { type: Number, default: 30 },
+                        enabled: { type: Boolean, default: true },
+                    },
+                    programming: {
+                        questionCount: { type: Number, default: 2 },
+                        timeMinutes: { type: Number, default: 45 },
+                        weight: { type: Number, default: 40 },
+                        enabled: { type: Boolean, default: true },
+                    },
+                },
+                difficultyDistribution: {
+                    easy: { type: Number, default: 20 },
+                    medium: { type: Number, default: 50 },
+                    hard: { type: Number, default: 30 },
+                },
+                cutoffScore: { type: Number, default: 60, min: 0, max: 100 },
+                instructions: { type: String, default: '' },
+                updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+                updatedAt: { type: Date, default: Date.now },
+            }, { _id: false }),
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 
+// A resume skill claim and how the assessment measured it
+const SkillClaimSchema = new mongoose.Schema({
+    skill: { type: String },
+    claimConfidence: { type: Number },
+    measuredPercentage: { type: Number, default: null },
+    questionsAssessed: { type: Number, default: 0 },
+    reason: {
+        type: String,
+        enum: ['performance_supports_claim', 'performance_contradicts_claim', 'inconclusive', 'not_assessed'],
+    },
+}, { _id: false });
+
 /**
  * Evaluation Model
  * Stores complete evaluation results including AI scores and admin decisions
@@ -53,9 +65,14 @@ const EvaluationSchema = new mongoose.Schema(
                     questionId: { type: String },
                     testCasesPassed: { type: Number },
                     totalTestCases: { type: Number },
+                    score: { type: Number },
+                    maxScore: { type: Number },
+                    // Dimension scores, 0-100 (weighted by assessmentConfig.programmingScoring)
                     codeQualityScore: { type: Number },
                     correctnessScore: { type: Number },
                     efficiencyScore: { type: Number },
+                    approachScore: { type: Number },
+                    timeComplexity: { type: String },
                     feedback: { type: String },
                 }],
             },
@@ -75,6 +92,20 @@ const EvaluationSchema = new mongoose.Schema(
             default: 0,
         },
 
+        // Percentage normalized within the question set taken (services/scoreNormalizationService.js)
+        normalization: {
+            isNormalized: { type: Boolean, default: false },
+            zScore: { type: Number, default: null },
+            setPercentile: { type: Number, default: null },
+            normalizedScore: { type: Number, default: null }, // raw percentage until the set has enough candidates
+            setMean: { type: Number },
+            setStdDev: { type: Number },
+            setSampleSize: { type: Number },
+            assessmentSet: { type: mongoose.Schema.Types.ObjectId, ref: 'AssessmentSet' },
+            setNumber: { type: Number },
+            computedAt: { type: Date },
+        },
+
         // Weighted score (based on section weights)
         weightedScore: {
             type: Number,
@@ -92,6 +123,32 @@ const EvaluationSchema = new mongoose.Schema(
                 enum: ['beginner', 'intermediate', 'proficient', 'expert'],
             },
             questionsAttempted: { type: Number },
+            totalQuestions: { type: Number },
+            weight: { type: Number }, // JD technicalSkills weight
+            sections: [{ type: String }],
+        }],
+
+        // Skill percentages weighted by JD skill weight
+        weightedSkillScore: {
+            type: Number,
+            default: 0,
+        },
+
+        // Measured skill performance vs. what the resume claimed
+        skillGapReport: [{
+            skill: { type: String },
+            weight: { type: Number },
+            isPrimary: { type: Boolean },
+            required: { type: Boolean }, // listed in the JD
+            claimed: { type: Boolean },
+            claimConfidence: { type: Number, default: null },
+            measuredPercentage: { type: Number, default: null },
+            competencyLevel: { type: String, default: null },
+            gap: { type: Number, default: null }, // claimConfidence - measuredPercentage
+            status: {
+                type: String,
+                enum: ['meets_claim', 'below_claim', 'unclaimed_strength', 'not_claimed', 'untested'],
+            },
         }],
 
         // Plagiarism detection
@@ -105,6 +162,8 @@ const EvaluationSchema = new mongoose.Schema(
                 questionId: { type: String },
                 matchPercent: { type: Number },
                 source: { type: String },
+                matchedCandidateAssessment: { type: mongoose.Schema.Types.ObjectId, ref: 'CandidateAssessment' },
+                matchedCandidate: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
             }],
 
             // Code plagiarism
@@ -113,17 +172,22 @@ const EvaluationSchema = new mongoose.Schema(
                 questionId: { type: String },
                 matchPercent: { type: Number },
                 source: { type: String },
+                matchedCandidateAssessment: { type: mongoose.Schema.Types.ObjectId, ref: 'CandidateAssessment' },
+                matchedCandidate: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
             }],
 
-            isFlagged: { type: Boolean, default: false }, // >80%
+            isFlagged: { type: Boolean, default: false }, // >= assessmentConfig.plagiarismThreshold
             flagReason: { type: String, default: '' },
         },
 
         // Resume vs Performance correlation
         resumeCorrelation: {
             analyzed: { type: Boolean, default: false },
-            claimedSkillsValidated: { type: Number, default: 0 }, // percentage
+            claimedSkillsValidated: { type: Number, default: 0 }, // percentage of assessed claims
             performanceMatchesResume: { type: Boolean, default: true },
+            validatedSkills: [SkillClaimSchema],
+            unvalidatedSkills: [SkillClaimSchema],   // not assessed, or inconclusive
+            contradictedSkills: [SkillClaimSchema],
             discrepancies: [{ type: String }],
             analysis: { type: String, default: '' },
         },
@@ -248,7 +312,7 @@ EvaluationSchema.methods.generateRecommendation = function (cutoffScore = 60) {
     // Check plagiarism flag first
     if (this.plagiarism.isFlagged) {
         this.aiRecommendation = 'REVIEW';
-        this.aiRecommendationReason = 'Plagiarism detected (>80%). Requires manual review.';
+        this.aiRecommendationReason = `Plagiarism detected: ${this.plagiarism.flagReason || 'high similarity to another candidate'}. Requires manual review.`;
         this.aiConfidence = 90;
         return;
     }
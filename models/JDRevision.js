@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+/**
+ * JD Revision Model
+ * Immutable snapshot of a JobDescription's assessment-relevant content
+ * (parsed content, rubrics, assessment config) taken on every edit.
+ * CandidateAssessments are pinned to the revision they were taken under.
+ */
+const JDRevisionSchema = new mongoose.Schema(
+    {
+        jd: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JobDescription',
+            required: true,
+        },
+        company: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Company',
+            required: true,
+        },
+
+        // 1, 2, 3... per JD
+        revisionNumber: {
+            type: Number,
+            required: true,
+        },
+
+        // { parsedContent, evaluationRubrics, assessmentConfig }
+        snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+
+        // Field-level diff against the previous revision
+        changes: [{
+            path: { type: String },
+            from: { type: mongoose.Schema.Types.Mixed },
+            to: { type: mongoose.Schema.Types.Mixed },
+        }],
+
+        // What produced the revision
+        source: {
+            type: String,
+            enum: ['initial', 'parse', 'config', 'skills', 'rubrics', 'restore', 'clone'],
+            required: true,
+        },
+        restoredFrom: {
+            type: Number,
+            default: null,
+        },
+
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Indexes
+JDRevisionSchema.index({ jd: 1, revisionNumber: -1 }, { unique: true });
+
+// Revisions are append-only
+function rejectMutation(next) {
+    next(new Error('JD revisions are immutable'));
+}
+JDRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+JDRevisionSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('JD revisions are immutable'));
+    }
+    next();
+});
+
+// Summary without the snapshot, for listings
+JDRevisionSchema.methods.toSummary = function () {
+    return {
+        id: this._id,
+        revisionNumber: this.revisionNumber,
+        source: this.source,
+        restoredFrom: this.restoredFrom,
+        author: this.author,
+        changedFields: this.changes.map(c => c.path),
+        createdAt: this.createdAt,
+    };
+};
+
+const JDRevision = mongoose.model('JDRevision', JDRevisionSchema);
+
+export default JDRevision;
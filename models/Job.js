@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+/**
+ * Job Model
+ * Durable background work (evaluation, question generation, resume matching, JD parsing)
+ * Claimed and run by services/jobQueueService.js
+ */
+const JobSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ['evaluation', 'question_generation', 'resume_match', 'jd_parse'],
+            required: true,
+        },
+
+        // Handler input, e.g. { candidateAssessmentId } or { jdId }
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+
+        // The document the job works on (CandidateAssessment or JobDescription)
+        subjectId: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+
+        // Owning company, for scoping the job-status endpoints
+        company: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Company',
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+
+        status: {
+            type: String,
+            enum: ['queued', 'running', 'completed', 'failed'],
+            default: 'queued',
+        },
+
+        // Retries
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 3,
+        },
+        // Earliest time the job may be claimed (pushed back by retry backoff)
+        runAt: {
+            type: Date,
+            default: Date.now,
+        },
+
+        // Visibility timeout: a running job whose lock expires is claimed again
+        lockedBy: {
+            type: String,
+            default: null,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+
+        lastError: {
+            type: String,
+            default: '',
+        },
+        errorHistory: [{
+            attempt: Number,
+            message: String,
+            at: { type: Date, default: Date.now },
+        }],
+
+        result: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+
+        startedAt: { type: Date },
+        completedAt: { type: Date },
+        failedAt: { type: Date },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+JobSchema.index({ type: 1, subjectId: 1, createdAt: -1 });
+JobSchema.index({ company: 1, createdAt: -1 });
+
+// Summary safe to return from status endpoints
+JobSchema.methods.toStatus = function () {
+    return {
+        id: this._id,
+        type: this.type,
+        status: this.status,
+        subjectId: this.subjectId,
+        attempts: this.attempts,
+        maxAttempts: this.maxAttempts,
+        runAt: this.runAt,
+        lastError: this.lastError,
+        result: this.result,
+        createdAt: this.createdAt,
+        startedAt: this.startedAt,
+        completedAt: this.completedAt,
+        failedAt: this.failedAt,
+    };
+};
+
+const Job = mongoose.model('Job', JobSchema);
+
+export default Job;
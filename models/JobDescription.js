@@ -120,6 +120,31 @@ const JobDescriptionSchema = new mongoose.Schema(
         max: 100,
       },
 
+      // Programming answer scoring weights (relative; LLM dimensions with weight 0 are skipped)
+      programmingScoring: {
+        correctness: { type: Number, default: 60, min: 0 },
+        efficiency: { type: Number, default: 15, min: 0 },
+        codeQuality: { type: Number, default: 15, min: 0 },
+        approach: { type: Number, default: 10, min: 0 },
+      },
+
+      // Cross-candidate similarity (%) at which an evaluation is flagged for plagiarism
+      plagiarismThreshold: {
+        type: Number,
+        default: 80,
+        min: 0,
+        max: 100,
+      },
+
+      // Share of each section's questions (%) drawn from the company question bank
+      // when sets are generated; the rest are AI-generated
+      questionBankRatio: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100,
+      },
+
       // Difficulty distribution
       difficultyDistribution: {
         easy: { type: Number, default: 20 },
@@ -149,6 +174,14 @@ const JobDescriptionSchema = new mongoose.Schema(
         },
       },
 
+      // Section navigation: 'strict' opens sections one at a time in order,
+      // 'free' lets candidates open any unsubmitted section
+      navigationMode: {
+        type: String,
+        enum: ['strict', 'free'],
+        default: 'free',
+      },
+
       // Total time calculated from sections
       totalTimeMinutes: {
         type: Number,
@@ -200,6 +233,14 @@ const JobDescriptionSchema = new mongoose.Schema(
         default: 1,
       },
 
+      // Queue evaluation as soon as an assessment is submitted or auto-submitted
+      // on time expiry (opt-in: every evaluation makes LLM calls). Assessments
+      // finalized by the abandoned-assessment sweeper are evaluated regardless.
+      autoEvaluateOnSubmit: {
+        type: Boolean,
+        default: false,
+      },
+
       // Instructions for candidates
       instructions: {
         type: String,
@@ -220,6 +261,19 @@ const JobDescriptionSchema = new mongoose.Schema(
       default: 'draft',
     },
 
+    // Source JD when created with POST /api/jd/:id/clone
+    clonedFrom: {
+      jd: { type: mongoose.Schema.Types.ObjectId, ref: 'JobDescription', default: null },
+      revisionNumber: { type: Number, default: null },
+      includedSets: { type: Boolean, default: false },
+    },
+
+    // Latest JDRevision number (see services/jdRevisionService.js)
+    currentRevision: {
+      type: Number,
+      default: 0,
+    },
+
     // Parsing metadata
     parsingMeta: {
       parsedAt: { type: Date },
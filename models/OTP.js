@@ -18,7 +18,7 @@ const OTPSchema = new mongoose.Schema(
         },
         purpose: {
             type: String,
-            enum: ['email_verification', 'password_reset', 'assessment_access'],
+            enum: ['email_verification', 'password_reset', 'assessment_access', 'session_resume'],
             default: 'email_verification',
         },
         expiresAt: {
@@ -39,6 +39,7 @@ const ProctoringEventSchema = new mongoose.Schema(
                 'cut_attempt',         // Cut attempt
                 'assessment_completed', // Assessment completed
                 'periodic_check',      // Periodic status/photo check
+                'concurrent_session',  // Session used from another device or network (server-detected)
             ],
             required: true,
         },
@@ -139,6 +140,7 @@ ProctoringEventSchema.statics.getSeverityForEvent = function (eventType) {
         'cut_attempt': 'medium',
         'assessment_completed': 'low',
         'periodic_check': 'low',
+        'concurrent_session': 'high',
     };
     return severityMap[eventType] || 'medium';
 };
@@ -1,14 +1,38 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
 import JobDescription from '../models/JobDescription.js';
 import CandidateAssessment from '../models/CandidateAssessment.js';
 import Evaluation from '../models/Evaluation.js';
 import ProctoringEvent from '../models/ProctoringEvent.js';
 import AssessmentSet from '../models/AssessmentSet.js';
 import AssessmentAnswer from '../models/AssessmentAnswer.js';
+import scoreNormalizationService from '../services/scoreNormalizationService.js';
+import itemAnalysisService from '../services/itemAnalysisService.js';
+import accommodationService from '../services/accommodationService.js';
+import sessionClockService from '../services/sessionClockService.js';
+import submissionService from '../services/submissionService.js';
 import { authenticateToken, requireRecruiter } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Candidate list/export orderings: ?sort=recent (default), score (raw percentage), normalized
+const SCORE_SORTS = {
+    score: (evaluation) => evaluation?.percentage ?? null,
+    normalized: (evaluation) => scoreNormalizationService.rankingScore(evaluation),
+};
+
+/**
+ * Order candidates by a score, highest first; unevaluated candidates go last
+ */
+function sortByScore(candidates, sort, evaluationMap) {
+    const scoreOf = SCORE_SORTS[sort];
+    return [...candidates].sort((a, b) => {
+        const scoreA = scoreOf(evaluationMap[a._id.toString()]);
+        const scoreB = scoreOf(evaluationMap[b._id.toString()]);
+        return (scoreB ?? -Infinity) - (scoreA ?? -Infinity);
+    });
+}
+
 // ============================================================================
 // JD LISTING
 // ============================================================================
@@ -94,7 +118,7 @@ router.get('/jds', authenticateToken, requireRecruiter, async (req, res) => {
 router.get('/candidates/:jdId', authenticateToken, requireRecruiter, async (req, res) => {
     try {
         const { jdId } = req.params;
-        const { status, page = 1, limit = 20 } = req.query;
+        const { status, page = 1, limit = 20, sort = 'recent' } = req.query;
 
         // Verify JD ownership
         const jd = await JobDescription.findOne({
@@ -116,11 +140,14 @@ router.get('/candidates/:jdId', authenticateToken, requireRecruiter, async (req,
         }
 
         const total = await CandidateAssessment.countDocuments(query);
+        const byScore = Boolean(SCORE_SORTS[sort]);
 
-        const candidates = await CandidateAssessment.find(query)
-            .sort({ createdAt: -1 })
-            .skip((page - 1) * limit)
-            .limit(parseInt(limit))
+        // Score orderings live on the evaluations, so those are sorted and paged in memory
+        let candidatesQuery = CandidateAssessment.find(query).sort({ createdAt: -1 });
+        if (!byScore) {
+            candidatesQuery = candidatesQuery.skip((page - 1) * limit).limit(parseInt(limit));
+        }
+        let candidates = await candidatesQuery
             .populate('candidate', 'name email')
             .lean();
 
@@ -134,9 +161,15 @@ router.get('/candidates/:jdId', authenticateToken, requireRecruiter, async (req,
             evaluationMap[e.candidateAssessment.toString()] = e;
         });
 
+        if (byScore) {
+            candidates = sortByScore(candidates, sort, evaluationMap)
+                .slice((page - 1) * limit, page * limit);
+        }
+
         const enrichedCandidates = candidates.map(c => ({
             ...c,
             evaluation: evaluationMap[c._id.toString()] || null,
+            rankingScore: scoreNormalizationService.rankingScore(evaluationMap[c._id.toString()]),
         }));
 
         res.json({
@@ -360,6 +393,229 @@ router.post('/candidate/:candidateAssessmentId/email-report', authenticateToken,
     }
 });
 
+// ============================================================================
+// ACCOMMODATIONS
+// ============================================================================
+
+const ACCOMMODATION_SECTIONS = ['objective', 'subjective', 'programming'];
+
+/**
+ * Load a candidate assessment the recruiter's company owns, sending 404/403 if not
+ */
+async function loadOwnedCandidate(req, res) {
+    const candidateAssessment = await CandidateAssessment.findById(req.params.candidateAssessmentId)
+        .populate('jd', 'company assessmentConfig');
+
+    if (!candidateAssessment) {
+        res.status(404).json({ success: false, error: 'Candidate not found' });
+        return null;
+    }
+    if (candidateAssessment.jd.company.toString() !== req.user.company.toString()) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+    return candidateAssessment;
+}
+
+/**
+ * GET /api/admin/candidate/:candidateAssessmentId/accommodations
+ * Current accommodations, the resulting times and window, and the change history
+ */
+router.get('/candidate/:candidateAssessmentId/accommodations', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const candidateAssessment = await loadOwnedCandidate(req, res);
+        if (!candidateAssessment) return;
+
+        await candidateAssessment.populate('accommodationLog.changedBy', 'name email');
+
+        res.json({
+            success: true,
+            data: accommodationService.describe(candidateAssessment, candidateAssessment.jd),
+        });
+    } catch (error) {
+        console.error('❌ Get accommodations error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch accommodations',
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/candidate/:candidateAssessmentId/accommodations
+ * Grant or change accommodations. Omitted fields are unchanged.
+ * Body: { timeMultiplier, extraMinutes, sections: { objective: { timeMultiplier, extraMinutes }, ... },
+ *         windowStart, windowEnd, notes, reason }
+ */
+router.put('/candidate/:candidateAssessmentId/accommodations', authenticateToken, requireRecruiter, [
+    body('timeMultiplier').optional().isFloat({ min: 1, max: 4 }).withMessage('timeMultiplier must be between 1 and 4'),
+    body('extraMinutes').optional().isFloat({ min: 0 }).withMessage('extraMinutes must be 0 or more'),
+    ...ACCOMMODATION_SECTIONS.flatMap(section => [
+        body(`sections.${section}.timeMultiplier`).optional({ nullable: true }).isFloat({ min: 1, max: 4 })
+            .withMessage(`${section} timeMultiplier must be between 1 and 4`),
+        body(`sections.${section}.extraMinutes`).optional().isFloat({ min: 0 })
+            .withMessage(`${section} extraMinutes must be 0 or more`),
+    ]),
+    body('windowStart').optional({ nullable: true }).isISO8601().withMessage('windowStart must be a date'),
+    body('windowEnd').optional({ nullable: true }).isISO8601().withMessage('windowEnd must be a date'),
+    body('notes').optional().isString(),
+    body('reason').optional().isString(),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const candidateAssessment = await loadOwnedCandidate(req, res);
+        if (!candidateAssessment) return;
+
+        const updateError = accommodationService.getUpdateError(candidateAssessment);
+        if (updateError) {
+            return res.status(400).json({ success: false, error: updateError });
+        }
+
+        const { reason, ...input } = req.body;
+        accommodationService.update(candidateAssessment, input, { userId: req.user._id, reason });
+
+        const { windowStart, windowEnd } = candidateAssessment.accommodations;
+        if (windowStart && windowEnd && new Date(windowStart) >= new Date(windowEnd)) {
+            return res.status(400).json({
+                success: false,
+                error: 'windowStart must be before windowEnd',
+            });
+        }
+
+        await candidateAssessment.save();
+
+        res.json({
+            success: true,
+            message: 'Accommodations updated',
+            data: accommodationService.describe(candidateAssessment, candidateAssessment.jd),
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Update accommodations error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update accommodations',
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/candidate/:candidateAssessmentId/accommodations
+ * Remove all accommodations. Body: { reason }
+ */
+router.delete('/candidate/:candidateAssessmentId/accommodations', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const candidateAssessment = await loadOwnedCandidate(req, res);
+        if (!candidateAssessment) return;
+
+        const updateError = accommodationService.getUpdateError(candidateAssessment);
+        if (updateError) {
+            return res.status(400).json({ success: false, error: updateError });
+        }
+
+        accommodationService.revoke(candidateAssessment, { userId: req.user._id, reason: req.body?.reason || '' });
+        await candidateAssessment.save();
+
+        res.json({
+            success: true,
+            message: 'Accommodations removed',
+            data: accommodationService.describe(candidateAssessment, candidateAssessment.jd),
+        });
+    } catch (error) {
+        console.error('❌ Remove accommodations error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove accommodations',
+        });
+    }
+});
+
+// ============================================================================
+// SESSION CONTROL
+// ============================================================================
+
+function sessionState(candidateAssessment) {
+    return {
+        status: candidateAssessment.status,
+        pause: candidateAssessment.pause,
+        activeTimeMs: candidateAssessment.activeTimeMs,
+        remainingTimeMs: Math.max(0, submissionService.getRemainingMs(candidateAssessment, candidateAssessment.jd)),
+        pauseLog: candidateAssessment.pauseLog,
+    };
+}
+
+/**
+ * POST /api/admin/candidate/:candidateAssessmentId/pause
+ * Pause an in-progress assessment; its clock stops until resumed. Body: { reason }
+ */
+router.post('/candidate/:candidateAssessmentId/pause', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const candidateAssessment = await loadOwnedCandidate(req, res);
+        if (!candidateAssessment) return;
+
+        if (candidateAssessment.status !== 'in_progress') {
+            return res.status(400).json({ success: false, error: 'Assessment is not in progress' });
+        }
+        if (candidateAssessment.pause.isPaused) {
+            return res.status(400).json({ success: false, error: 'Assessment is already paused' });
+        }
+
+        sessionClockService.pause(candidateAssessment, { userId: req.user._id, reason: req.body?.reason || '' });
+        await candidateAssessment.save();
+
+        res.json({
+            success: true,
+            message: 'Assessment paused',
+            data: sessionState(candidateAssessment),
+        });
+    } catch (error) {
+        console.error('❌ Pause assessment error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to pause assessment',
+        });
+    }
+});
+
+/**
+ * POST /api/admin/candidate/:candidateAssessmentId/resume
+ * Resume a paused assessment. Body: { reason }
+ */
+router.post('/candidate/:candidateAssessmentId/resume', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const candidateAssessment = await loadOwnedCandidate(req, res);
+        if (!candidateAssessment) return;
+
+        if (candidateAssessment.status !== 'in_progress') {
+            return res.status(400).json({ success: false, error: 'Assessment is not in progress' });
+        }
+        if (!candidateAssessment.pause.isPaused) {
+            return res.status(400).json({ success: false, error: 'Assessment is not paused' });
+        }
+
+        sessionClockService.resume(candidateAssessment, { userId: req.user._id, reason: req.body?.reason || '' });
+        await candidateAssessment.save();
+
+        res.json({
+            success: true,
+            message: 'Assessment resumed',
+            data: sessionState(candidateAssessment),
+        });
+    } catch (error) {
+        console.error('❌ Resume assessment error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resume assessment',
+        });
+    }
+});
+
 // ============================================================================
 // PROCTORING
 // ============================================================================
@@ -539,6 +795,21 @@ router.get('/analytics/:jdId', authenticateToken, requireRecruiter, async (req,
             statusBreakdown[c.status] = (statusBreakdown[c.status] || 0) + 1;
         });
 
+        // Per-set score statistics (from the last normalization)
+        const sets = await AssessmentSet.find({ jd: jdId })
+            .sort({ setNumber: 1 })
+            .select('setNumber isActive scoreStats')
+            .lean();
+        const setStats = sets.map(set => ({
+            setId: set._id,
+            setNumber: set.setNumber,
+            isActive: set.isActive,
+            sampleSize: set.scoreStats?.sampleSize || 0,
+            mean: set.scoreStats?.mean || 0,
+            stdDev: set.scoreStats?.stdDev || 0,
+            isNormalized: Boolean(set.scoreStats?.isNormalized),
+        }));
+
         res.json({
             success: true,
             data: {
@@ -552,6 +823,8 @@ router.get('/analytics/:jdId', authenticateToken, requireRecruiter, async (req,
                 pendingDecision,
                 scoreDistribution,
                 statusBreakdown,
+                setStats,
+                normalizationMinSample: scoreNormalizationService.minSample,
             },
         });
     } catch (error) {
@@ -563,6 +836,101 @@ router.get('/analytics/:jdId', authenticateToken, requireRecruiter, async (req,
     }
 });
 
+/**
+ * Item analysis for a JD the recruiter's company owns, or null
+ */
+async function getItemAnalysis(jdId, company) {
+    const jd = await JobDescription.findOne({ _id: jdId, company }).select('_id');
+    if (!jd) return null;
+    return itemAnalysisService.analyze(jd._id);
+}
+
+function summarizeItems(items) {
+    const flagCounts = {};
+    items.forEach(item => item.flags.forEach(flag => {
+        flagCounts[flag] = (flagCounts[flag] || 0) + 1;
+    }));
+    return {
+        totalItems: items.length,
+        flaggedItems: items.filter(item => item.isFlagged).length,
+        flagCounts,
+    };
+}
+
+/**
+ * GET /api/admin/item-analysis/:jdId
+ * Per-question difficulty index, discrimination, distractor frequencies and average time
+ * Query: section, setNumber
+ */
+router.get('/item-analysis/:jdId', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const analysis = await getItemAnalysis(req.params.jdId, req.user.company);
+        if (!analysis) {
+            return res.status(404).json({
+                success: false,
+                error: 'JD not found',
+            });
+        }
+
+        const { section, setNumber } = req.query;
+        let items = analysis.items;
+        if (section) items = items.filter(item => item.section === section);
+        if (setNumber) items = items.filter(item => item.setNumber === parseInt(setNumber));
+
+        res.json({
+            success: true,
+            data: {
+                candidatesAnalyzed: analysis.candidatesAnalyzed,
+                minResponses: analysis.minResponses,
+                summary: summarizeItems(items),
+                items,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Get item analysis error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch item analysis',
+        });
+    }
+});
+
+/**
+ * GET /api/admin/item-analysis/:jdId/flagged
+ * Questions that look broken: negative discrimination, nobody correct or everybody correct
+ */
+router.get('/item-analysis/:jdId/flagged', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const analysis = await getItemAnalysis(req.params.jdId, req.user.company);
+        if (!analysis) {
+            return res.status(404).json({
+                success: false,
+                error: 'JD not found',
+            });
+        }
+
+        const items = analysis.items
+            .filter(item => item.isFlagged)
+            .sort((a, b) => (a.discrimination ?? 0) - (b.discrimination ?? 0));
+
+        res.json({
+            success: true,
+            data: {
+                candidatesAnalyzed: analysis.candidatesAnalyzed,
+                minResponses: analysis.minResponses,
+                summary: summarizeItems(analysis.items),
+                items,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Get flagged items error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch flagged items',
+        });
+    }
+});
+
 // ============================================================================
 // EXPORT
 // ============================================================================
@@ -574,6 +942,7 @@ router.get('/analytics/:jdId', authenticateToken, requireRecruiter, async (req,
 router.get('/export/:jdId/csv', authenticateToken, requireRecruiter, async (req, res) => {
     try {
         const { jdId } = req.params;
+        const { sort = 'recent' } = req.query;
 
         // Verify JD ownership
         const jd = await JobDescription.findOne({
@@ -603,21 +972,26 @@ router.get('/export/:jdId/csv', authenticateToken, requireRecruiter, async (req,
             evaluationMap[e.candidateAssessment.toString()] = e;
         });
 
-        // Map to requested fields: Name, Email, Status, Resume Match Score, Score, Submitted
-        const exportData = candidates.map(c => {
+        const rows = SCORE_SORTS[sort] ? sortByScore(candidates, sort, evaluationMap) : candidates;
+
+        // Map to requested fields: Name, Email, Status, Resume Match Score, Score, Normalized Score, Set, Submitted
+        const exportData = rows.map(c => {
             const eval_ = evaluationMap[c._id.toString()];
+            const normalized = eval_?.normalization?.isNormalized ? eval_.normalization.normalizedScore : null;
             return {
                 Name: c.candidate?.name || 'Unknown',
                 Email: c.candidate?.email || 'Unknown',
                 Status: c.status,
                 'Resume Match Score': c.resume?.matchScore || 0,
                 Score: eval_?.percentage ? `${eval_?.percentage.toFixed(1)}%` : '0%',
+                'Normalized Score': normalized !== null ? `${normalized.toFixed(1)}%` : '',
+                Set: c.assignedSetNumber || '',
                 Submitted: c.submittedAt ? new Date(c.submittedAt).toLocaleDateString() : 'No',
             };
         });
 
         // Generate CSV
-        const headers = ['Name', 'Email', 'Status', 'Resume Match Score', 'Score', 'Submitted'];
+        const headers = ['Name', 'Email', 'Status', 'Resume Match Score', 'Score', 'Normalized Score', 'Set', 'Submitted'];
 
         let csv = headers.join(',') + '\n';
 
@@ -648,7 +1022,7 @@ router.get('/export/:jdId/csv', authenticateToken, requireRecruiter, async (req,
 router.get('/export/:jdId', authenticateToken, requireRecruiter, async (req, res) => {
     try {
         const { jdId } = req.params;
-        const { format = 'json' } = req.query;
+        const { format = 'json', sort = 'recent' } = req.query;
 
         // Verify JD ownership
         const jd = await JobDescription.findOne({
@@ -676,7 +1050,9 @@ router.get('/export/:jdId', authenticateToken, requireRecruiter, async (req, res
             evaluationMap[e.candidateAssessment.toString()] = e;
         });
 
-        const exportData = candidates.map(c => {
+        const rows = SCORE_SORTS[sort] ? sortByScore(candidates, sort, evaluationMap) : candidates;
+
+        const exportData = rows.map(c => {
             const eval_ = evaluationMap[c._id.toString()];
             return {
                 name: c.candidate?.name || '',
@@ -690,6 +1066,12 @@ router.get('/export/:jdId', authenticateToken, requireRecruiter, async (req, res
                 subjectiveScore: eval_?.sections?.subjective?.percentage || 0,
                 programmingScore: eval_?.sections?.programming?.percentage || 0,
                 totalScore: eval_?.percentage || 0,
+                setNumber: c.assignedSetNumber || null,
+                normalizedScore: eval_?.normalization?.isNormalized ? eval_.normalization.normalizedScore : null,
+                zScore: eval_?.normalization?.zScore ?? null,
+                setPercentile: eval_?.normalization?.setPercentile ?? null,
+                setMean: eval_?.normalization?.setMean ?? null,
+                setStdDev: eval_?.normalization?.setStdDev ?? null,
                 aiRecommendation: eval_?.aiRecommendation || '',
                 adminDecision: eval_?.adminDecision || '',
                 integrityStatus: c.integrityStatus,
@@ -701,7 +1083,7 @@ router.get('/export/:jdId', authenticateToken, requireRecruiter, async (req, res
             // Generate CSV
             const headers = Object.keys(exportData[0] || {}).join(',');
             const rows = exportData.map(row =>
-                Object.values(row).map(v => `"${v}"`).join(',')
+                Object.values(row).map(v => `"${v ?? ''}"`).join(',')
             ).join('\n');
             const csv = headers + '\n' + rows;
 
@@ -729,23 +1111,25 @@ router.get('/export/:jdId', authenticateToken, requireRecruiter, async (req, res
 
 /**
  * GET /api/admin/audit-log
- * Get audit log for company
+ * Get audit log for company (admin decisions and accommodation changes)
  */
 router.get('/audit-log', authenticateToken, requireRecruiter, async (req, res) => {
     try {
         const { page = 1, limit = 50 } = req.query;
+        // Both sources are sorted newest first, so the first page × limit of each covers the requested page
+        const fetchCount = parseInt(page) * parseInt(limit);
 
         // Get all JDs for company
         const jdIds = await JobDescription.find({ company: req.user.company }).distinct('_id');
+        const candidateAssessmentIds = await CandidateAssessment.find({ jd: { $in: jdIds } }).distinct('_id');
 
         // Get evaluations with admin decisions as audit entries
-        const auditEntries = await Evaluation.find({
-            candidateAssessment: { $in: await CandidateAssessment.find({ jd: { $in: jdIds } }).distinct('_id') },
+        const decisions = await Evaluation.find({
+            candidateAssessment: { $in: candidateAssessmentIds },
             adminDecisionAt: { $ne: null },
         })
             .sort({ adminDecisionAt: -1 })
-            .skip((page - 1) * limit)
-            .limit(parseInt(limit))
+            .limit(fetchCount)
             .populate({
                 path: 'candidateAssessment',
                 populate: [
@@ -756,9 +1140,19 @@ router.get('/audit-log', authenticateToken, requireRecruiter, async (req, res) =
             .populate('adminDecisionBy', 'name email')
             .lean();
 
-        res.json({
-            success: true,
-            data: auditEntries.map(e => ({
+        // Accommodation changes
+        const accommodationChanges = await CandidateAssessment.aggregate([
+            { $match: { _id: { $in: candidateAssessmentIds }, 'accommodationLog.0': { $exists: true } } },
+            { $unwind: '$accommodationLog' },
+            { $sort: { 'accommodationLog.changedAt': -1 } },
+            { $limit: fetchCount },
+            { $lookup: { from: 'users', localField: 'candidate', foreignField: '_id', as: 'candidateUser' } },
+            { $lookup: { from: 'users', localField: 'accommodationLog.changedBy', foreignField: '_id', as: 'changedByUser' } },
+            { $lookup: { from: 'jobdescriptions', localField: 'jd', foreignField: '_id', as: 'jdDoc' } },
+        ]);
+
+        const entries = [
+            ...decisions.map(e => ({
                 timestamp: e.adminDecisionAt,
                 action: 'DECISION_MADE',
                 decision: e.adminDecision,
@@ -768,6 +1162,26 @@ router.get('/audit-log', authenticateToken, requireRecruiter, async (req, res) =
                 decidedBy: e.adminDecisionBy?.name || e.adminDecisionBy?.email,
                 notes: e.adminNotes,
             })),
+            ...accommodationChanges.map(c => ({
+                timestamp: c.accommodationLog.changedAt,
+                action: `ACCOMMODATION_${c.accommodationLog.action.toUpperCase()}`,
+                candidateAssessmentId: c._id,
+                candidateName: c.candidateUser[0]?.name,
+                candidateEmail: c.candidateUser[0]?.email,
+                roleTitle: c.jdDoc[0]?.parsedContent?.roleTitle,
+                decidedBy: c.changedByUser[0]?.name || c.changedByUser[0]?.email,
+                notes: c.accommodationLog.reason,
+                sourceAssessmentId: c.accommodationLog.sourceAssessment,
+                before: c.accommodationLog.before,
+                after: c.accommodationLog.after,
+            })),
+        ]
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice((page - 1) * limit, fetchCount);
+
+        res.json({
+            success: true,
+            data: entries,
         });
     } catch (error) {
         console.error('❌ Audit log error:', error);
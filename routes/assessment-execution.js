@@ -4,7 +4,11 @@ import CandidateAssessment from '../models/CandidateAssessment.js';
 import AssessmentSet from '../models/AssessmentSet.js';
 import AssessmentAnswer from '../models/AssessmentAnswer.js';
 import ProctoringEvent from '../models/ProctoringEvent.js';
-import { runEvaluation } from './evaluation.js';
+import submissionService from '../services/submissionService.js';
+import sectionTimerService from '../services/sectionTimerService.js';
+import sessionClockService from '../services/sessionClockService.js';
+import sessionBindingService from '../services/sessionBindingService.js';
+import questionOrderService from '../services/questionOrderService.js';
 
 const router = express.Router();
 
@@ -12,6 +16,9 @@ const router = express.Router();
 // SESSION MIDDLEWARE - Validate session token
 // ============================================================================
 
+// Routes a paused session may still call
+const PAUSED_ROUTES = ['/session', '/heartbeat'];
+
 async function validateSession(req, res, next) {
     try {
         const sessionToken = req.headers['x-session-token'] || req.body.sessionToken;
@@ -23,8 +30,8 @@ async function validateSession(req, res, next) {
             });
         }
 
-        const candidateAssessment = await CandidateAssessment.findOne({ sessionToken })
-            .populate('jd', 'assessmentConfig parsedContent.roleTitle')
+        const candidateAssessment = await CandidateAssessment.findOne(sessionBindingService.getTokenFilter(sessionToken))
+            .populate('jd', 'company assessmentConfig parsedContent.roleTitle')
             .populate('assignedSet');
 
         if (!candidateAssessment) {
@@ -42,15 +49,34 @@ async function validateSession(req, res, next) {
             });
         }
 
-        // Check time limit
-        const startTime = candidateAssessment.startedAt;
-        const totalTimeMs = candidateAssessment.jd.assessmentConfig.totalTimeMinutes * 60 * 1000;
-        const elapsed = Date.now() - startTime.getTime();
+        // Token must be current and used from the device the session is bound to
+        const bindingError = await sessionBindingService.verify(
+            candidateAssessment, sessionToken, sessionBindingService.getClient(req)
+        );
+        if (bindingError) {
+            return res.status(bindingError.status).json({
+                success: false,
+                error: bindingError.error,
+                requiresResume: bindingError.requiresResume,
+            });
+        }
+
+        // Credit active time since the last check-in (gaps are capped, so disconnects cost little)
+        sessionClockService.tick(candidateAssessment);
 
-        if (elapsed > totalTimeMs + 60000) { // 1 minute grace period
-            candidateAssessment.status = 'submitted';
-            candidateAssessment.submittedAt = new Date();
+        // A paused session can only report its state
+        if (candidateAssessment.pause?.isPaused && !PAUSED_ROUTES.includes(req.path)) {
             await candidateAssessment.save();
+            return res.status(409).json({
+                success: false,
+                error: 'Assessment is paused',
+                paused: true,
+            });
+        }
+
+        // Check time limit
+        if (submissionService.isExpired(candidateAssessment, candidateAssessment.jd)) {
+            await submissionService.finalize(candidateAssessment, { submissionType: 'time_expired' });
 
             return res.status(400).json({
                 success: false,
@@ -58,12 +84,20 @@ async function validateSession(req, res, next) {
             });
         }
 
-        // Update heartbeat
-        candidateAssessment.lastHeartbeat = new Date();
+        // Auto-submit sections whose own time ran out
+        const enforced = await sectionTimerService.enforce(candidateAssessment, candidateAssessment.jd);
+        if (enforced.finalized) {
+            return res.status(400).json({
+                success: false,
+                error: 'Section time expired. Assessment submitted.',
+                autoSubmittedSections: enforced.autoSubmitted,
+            });
+        }
+
         await candidateAssessment.save();
 
         req.candidateAssessment = candidateAssessment;
-        req.remainingTime = totalTimeMs - elapsed;
+        req.remainingTime = Math.max(0, submissionService.getRemainingMs(candidateAssessment, candidateAssessment.jd));
         next();
     } catch (error) {
         console.error('❌ Session validation error:', error);
@@ -86,14 +120,21 @@ router.get('/session', validateSession, async (req, res) => {
     try {
         const { candidateAssessment, remainingTime } = req;
         const set = candidateAssessment.assignedSet;
+        const timing = sectionTimerService.describe(candidateAssessment, candidateAssessment.jd);
 
         res.json({
             success: true,
             data: {
                 startedAt: candidateAssessment.startedAt,
                 remainingTimeMs: remainingTime,
+                sessionTokenExpiresAt: candidateAssessment.sessionTokenExpiresAt,
+                activeTimeMs: candidateAssessment.activeTimeMs,
+                paused: candidateAssessment.pause.isPaused,
+                pausedAt: candidateAssessment.pause.pausedAt,
                 currentSection: candidateAssessment.currentSection,
                 sectionProgress: candidateAssessment.sectionProgress,
+                navigationMode: timing.navigationMode,
+                sectionTiming: timing.sections,
                 sections: {
                     objective: {
                         enabled: candidateAssessment.jd.assessmentConfig.sections.objective.enabled,
@@ -139,11 +180,12 @@ router.get('/questions/:section', validateSession, async (req, res) => {
             });
         }
 
-        // Check if section is enabled
-        if (!candidateAssessment.jd.assessmentConfig.sections[section].enabled) {
+        // Check the section is enabled, not yet submitted and reachable in the navigation mode
+        const openError = sectionTimerService.getOpenError(candidateAssessment, candidateAssessment.jd, section);
+        if (openError) {
             return res.status(400).json({
                 success: false,
-                error: 'Section is not enabled',
+                error: openError,
             });
         }
 
@@ -151,24 +193,28 @@ router.get('/questions/:section', validateSession, async (req, res) => {
         if (!candidateAssessment.sectionProgress[section].started) {
             candidateAssessment.sectionProgress[section].started = true;
             candidateAssessment.sectionProgress[section].startedAt = new Date();
+            candidateAssessment.sectionProgress[section].activeTimeMs = 0;
+            candidateAssessment.currentSection = section;
+            await candidateAssessment.save();
+        } else if (candidateAssessment.currentSection !== section) {
             candidateAssessment.currentSection = section;
             await candidateAssessment.save();
         }
 
-        // Get questions (hide correct answers for objective, hide full answers for subjective)
+        // Get questions in the candidate's order (hide correct answers for objective, hide full answers for subjective)
         let questions = [];
 
         if (section === 'objective') {
-            questions = set.objectiveQuestions.map(q => ({
+            questions = questionOrderService.orderQuestions(candidateAssessment, section, set.objectiveQuestions).map(q => ({
                 questionId: q.questionId,
                 questionText: q.questionText,
-                options: q.options.map(o => ({ text: o.text })), // Hide isCorrect
+                options: questionOrderService.getDisplayedOptions(candidateAssessment, q), // Hide isCorrect
                 skill: q.skill,
                 difficulty: q.difficulty,
                 points: q.points,
             }));
         } else if (section === 'subjective') {
-            questions = set.subjectiveQuestions.map(q => ({
+            questions = questionOrderService.orderQuestions(candidateAssessment, section, set.subjectiveQuestions).map(q => ({
                 questionId: q.questionId,
                 questionText: q.questionText,
                 skill: q.skill,
@@ -177,7 +223,7 @@ router.get('/questions/:section', validateSession, async (req, res) => {
                 maxWords: q.maxWords,
             }));
         } else if (section === 'programming') {
-            questions = set.programmingQuestions.map(q => ({
+            questions = questionOrderService.orderQuestions(candidateAssessment, section, set.programmingQuestions).map(q => ({
                 questionId: q.questionId,
                 title: q.title,
                 questionText: q.questionText,
@@ -196,6 +242,7 @@ router.get('/questions/:section', validateSession, async (req, res) => {
                     input: tc.input,
                     expectedOutput: tc.expectedOutput,
                 })),
+                signature: q.signature?.functionName ? q.signature : undefined,
                 starterCode: q.starterCode,
             }));
         }
@@ -213,8 +260,10 @@ router.get('/questions/:section', validateSession, async (req, res) => {
                 questions,
                 totalQuestions: questions.length,
                 timeMinutes: candidateAssessment.jd.assessmentConfig.sections[section].timeMinutes,
+                sectionDeadline: sectionTimerService.getSectionDeadline(candidateAssessment, candidateAssessment.jd, section),
+                sectionRemainingTimeMs: sectionTimerService.getRemainingMs(candidateAssessment, candidateAssessment.jd, section),
                 savedAnswers: savedAnswers ? {
-                    objective: savedAnswers.objectiveAnswers,
+                    objective: savedAnswers.objectiveAnswers.map(a => toDisplayedAnswer(candidateAssessment, a)),
                     subjective: savedAnswers.subjectiveAnswers,
                     programming: savedAnswers.programmingAnswers,
                 }[section] : [],
@@ -247,6 +296,14 @@ router.post('/save-answer', validateSession, [
         const { section, questionId, answer, code, language } = req.body;
         const { candidateAssessment } = req;
 
+        const writeError = sectionTimerService.getWriteError(candidateAssessment, candidateAssessment.jd, section);
+        if (writeError) {
+            return res.status(400).json({
+                success: false,
+                error: writeError,
+            });
+        }
+
         // Find or create answer document
         let answerDoc = await AssessmentAnswer.findOne({
             candidateAssessment: candidateAssessment._id,
@@ -264,11 +321,31 @@ router.post('/save-answer', validateSession, [
         const now = new Date();
 
         if (section === 'objective') {
+            // The candidate picks from shuffled options; store the set's own index
+            const question = candidateAssessment.assignedSet.objectiveQuestions.find(q => q.questionId === questionId);
+            if (!question) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Question not found',
+                });
+            }
+            // -1 clears the answer
+            const displayedIndex = answer?.selectedOptionIndex;
+            if (!Number.isInteger(displayedIndex) || displayedIndex < -1 || displayedIndex >= question.options.length) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'answer.selectedOptionIndex must be an option index',
+                });
+            }
+            const selectedOptionIndex = questionOrderService.toCanonicalOption(
+                candidateAssessment, question, displayedIndex
+            );
+
             const existingIdx = answerDoc.objectiveAnswers.findIndex(a => a.questionId === questionId);
             const answerData = {
                 questionId,
-                selectedOptionIndex: answer.selectedOptionIndex,
-                selectedOptionText: answer.selectedOptionText || '',
+                selectedOptionIndex,
+                selectedOptionText: answer.selectedOptionText || question.options[selectedOptionIndex]?.text || '',
                 answeredAt: now,
             };
 
@@ -363,59 +440,15 @@ router.post('/submit-section/:section', validateSession, async (req, res) => {
             });
         }
 
-        // Get answer document
-        const answerDoc = await AssessmentAnswer.findOne({
-            candidateAssessment: candidateAssessment._id,
-            section,
-        });
-
-        if (answerDoc) {
-            answerDoc.sectionSubmittedAt = new Date();
-            answerDoc.isSubmitted = true;
-
-            // Calculate time spent
-            if (answerDoc.sectionStartedAt) {
-                answerDoc.totalTimeSpentSeconds = Math.floor(
-                    (answerDoc.sectionSubmittedAt - answerDoc.sectionStartedAt) / 1000
-                );
-            }
-
-            // For objective, grade immediately
-            if (section === 'objective') {
-                const set = candidateAssessment.assignedSet;
-                answerDoc.objectiveAnswers.forEach(ans => {
-                    const question = set.objectiveQuestions.find(q => q.questionId === ans.questionId);
-                    if (question) {
-                        const correctOption = question.options.find(o => o.isCorrect);
-                        ans.isCorrect = ans.selectedOptionIndex >= 0 &&
-                            question.options[ans.selectedOptionIndex]?.isCorrect === true;
-                        ans.points = ans.isCorrect ? question.points : 0;
-                    }
-                });
-                answerDoc.calculateScore();
-            }
-
-            await answerDoc.save();
-        }
-
-        // Update section progress
-        candidateAssessment.sectionProgress[section].completed = true;
-        candidateAssessment.sectionProgress[section].completedAt = new Date();
-
-        // Determine next section
-        const sectionOrder = ['objective', 'subjective', 'programming'];
-        const currentIdx = sectionOrder.indexOf(section);
-        let nextSection = null;
-
-        for (let i = currentIdx + 1; i < sectionOrder.length; i++) {
-            if (candidateAssessment.jd.assessmentConfig.sections[sectionOrder[i]].enabled) {
-                nextSection = sectionOrder[i];
-                break;
-            }
+        const openError = sectionTimerService.getOpenError(candidateAssessment, candidateAssessment.jd, section);
+        if (openError) {
+            return res.status(400).json({
+                success: false,
+                error: openError,
+            });
         }
 
-        candidateAssessment.currentSection = nextSection;
-        await candidateAssessment.save();
+        const { nextSection } = await sectionTimerService.submitSection(candidateAssessment, candidateAssessment.jd, section);
 
         res.json({
             success: true,
@@ -443,43 +476,24 @@ router.post('/submit-all', validateSession, async (req, res) => {
     try {
         const { candidateAssessment } = req;
 
-        // Calculate total time spent
-        const timeSpentSeconds = Math.floor(
-            (Date.now() - candidateAssessment.startedAt.getTime()) / 1000
-        );
+        const result = await submissionService.finalize(candidateAssessment, { submissionType: 'manual' });
 
-        // Update candidate assessment
-        candidateAssessment.status = 'submitted';
-        candidateAssessment.submittedAt = new Date();
-        candidateAssessment.timeSpentSeconds = timeSpentSeconds;
-        candidateAssessment.currentSection = null;
-        await candidateAssessment.save();
-
-        // Create synchronous evaluation
-        // User wants to wait for the report to be generated before seeing the success page
-        console.log(`⏳ Starting synchronous evaluation for ${candidateAssessment._id}...`);
-        try {
-            await runEvaluation(candidateAssessment._id);
-            console.log(`✅ Synchronous evaluation complete for ${candidateAssessment._id}`);
-        } catch (evalErr) {
-            console.error('❌ Synchronous evaluation failed (submission still successful):', evalErr);
-            // We don't fail the request, just log it. The user has submitted successfully.
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                error: 'Assessment already submitted',
+            });
         }
 
         res.json({
             success: true,
             message: 'Assessment submitted successfully',
             data: {
-                submittedAt: candidateAssessment.submittedAt,
-                timeSpentSeconds,
+                submittedAt: result.candidateAssessment.submittedAt,
+                timeSpentSeconds: result.candidateAssessment.timeSpentSeconds,
+                evaluationJobId: result.job?._id || null,
             },
         });
-
-        // Update JD stats
-        const JobDescription = (await import('../models/JobDescription.js')).default;
-        await JobDescription.findByIdAndUpdate(candidateAssessment.jd._id, {
-            $inc: { 'stats.completedAssessments': 1 },
-        });
     } catch (error) {
         console.error('❌ Submit all error:', error);
         res.status(500).json({
@@ -491,16 +505,37 @@ router.post('/submit-all', validateSession, async (req, res) => {
 
 /**
  * POST /api/assessment/heartbeat
- * Session heartbeat
+ * Session heartbeat. Rotates the session token: the client must use the returned one from now on.
  */
 router.post('/heartbeat', validateSession, async (req, res) => {
-    res.json({
-        success: true,
-        data: {
-            remainingTimeMs: req.remainingTime,
-            lastHeartbeat: req.candidateAssessment.lastHeartbeat,
-        },
-    });
+    try {
+        const { candidateAssessment } = req;
+        const { currentSection } = candidateAssessment;
+
+        const token = sessionBindingService.rotate(candidateAssessment);
+        await candidateAssessment.save();
+
+        res.json({
+            success: true,
+            data: {
+                sessionToken: token.sessionToken,
+                sessionTokenExpiresAt: token.expiresAt,
+                remainingTimeMs: req.remainingTime,
+                paused: candidateAssessment.pause.isPaused,
+                currentSection,
+                sectionRemainingTimeMs: currentSection
+                    ? sectionTimerService.getRemainingMs(candidateAssessment, candidateAssessment.jd, currentSection)
+                    : null,
+                lastHeartbeat: candidateAssessment.lastHeartbeat,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Heartbeat error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Heartbeat failed',
+        });
+    }
 });
 
 // ============================================================================
@@ -575,4 +610,20 @@ router.post('/proctoring/event', validateSession, [
     }
 });
 
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// A saved objective answer with the option index as the candidate sees it
+function toDisplayedAnswer(candidateAssessment, answer) {
+    const plain = answer.toObject();
+    const question = candidateAssessment.assignedSet.objectiveQuestions.find(q => q.questionId === plain.questionId);
+    if (!question) return plain;
+
+    return {
+        ...plain,
+        selectedOptionIndex: questionOrderService.toDisplayedOption(candidateAssessment, question, plain.selectedOptionIndex),
+    };
+}
+
 export default router;
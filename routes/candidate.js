@@ -9,6 +9,14 @@ import OTP from '../models/OTP.js';
 import { authenticateToken, optionalAuth } from '../middleware/auth.js';
 import { uploadResume, saveBase64Image, extractResumeText } from '../services/uploadService.js';
 import emailService from '../services/emailService.js';
+import jobQueue from '../services/jobQueueService.js';
+import jdRevisionService from '../services/jdRevisionService.js';
+import questionBankService from '../services/questionBankService.js';
+import accommodationService from '../services/accommodationService.js';
+import sessionClockService from '../services/sessionClockService.js';
+import sessionBindingService from '../services/sessionBindingService.js';
+import questionOrderService from '../services/questionOrderService.js';
+import submissionService from '../services/submissionService.js';
 
 const router = express.Router();
 
@@ -106,24 +114,23 @@ router.post('/register/:link', [
             });
         }
 
-        // Check if assessment is within time bounds
-        const now = new Date();
-        if (jd.assessmentConfig.startTime && now < jd.assessmentConfig.startTime) {
-            return res.status(400).json({
-                success: false,
-                error: 'Assessment has not started yet',
-            });
-        }
-        if (jd.assessmentConfig.endTime && now > jd.assessmentConfig.endTime) {
+        // Check if user already exists
+        let user = await User.findOne({ email });
+
+        // Check if already registered for this assessment
+        const previousAssessment = user
+            ? await CandidateAssessment.findOne({ candidate: user._id, jd: jd._id }).sort({ createdAt: -1 })
+            : null;
+
+        // Check if assessment is within time bounds (a recruiter may have given this candidate their own window)
+        const windowError = accommodationService.getWindowError(previousAssessment, jd);
+        if (windowError) {
             return res.status(400).json({
                 success: false,
-                error: 'Assessment has expired',
+                error: windowError,
             });
         }
 
-        // Check if user already exists or create new
-        let user = await User.findOne({ email });
-
         if (!user) {
             // Create candidate user
             const username = email.split('@')[0] + '_' + Date.now().toString(36);
@@ -140,19 +147,13 @@ router.post('/register/:link', [
             });
         }
 
-        // Check if already registered for this assessment
-        let candidateAssessment = await CandidateAssessment.findOne({
-            candidate: user._id,
-            jd: jd._id,
-        });
-
-
-        // Create new candidate assessment
-        candidateAssessment = await CandidateAssessment.create({
+        // Create new candidate assessment (accommodations carry over from an earlier registration)
+        const candidateAssessment = await CandidateAssessment.create({
             candidate: user._id,
             jd: jd._id,
             assessmentLink: link,
             status: 'onboarding',
+            ...(previousAssessment && accommodationService.getCarryOver(previousAssessment)),
         });
 
         // Increment JD candidate count
@@ -426,15 +427,19 @@ router.post('/upload-resume/:candidateAssessmentId',
             candidateAssessment.status = 'resume_review';
             await candidateAssessment.save();
 
-            // Wait for resume matching (Sync Flow)
-            const updatedAssessment = await matchResumeWithJD(candidateAssessmentId);
+            // Match on the job queue; poll GET /resume-status/:candidateAssessmentId for the result
+            const job = await jobQueue.enqueue('resume_match', { candidateAssessmentId }, {
+                subjectId: candidateAssessment._id,
+                company: candidateAssessment.jd.company,
+                dedupe: false,
+            });
 
-            res.json({
+            res.status(202).json({
                 success: true,
-                message: 'Resume analyzed successfully',
+                message: 'Resume uploaded. Analysis in progress.',
                 data: {
-                    status: updatedAssessment?.status || 'resume_review',
-                    resume: updatedAssessment?.resume,
+                    status: 'resume_review',
+                    jobId: job._id,
                 },
             });
         } catch (error) {
@@ -464,6 +469,8 @@ router.get('/resume-status/:candidateAssessmentId', async (req, res) => {
             });
         }
 
+        const job = await jobQueue.findLatest('resume_match', candidateAssessment._id);
+
         res.json({
             success: true,
             data: {
@@ -474,6 +481,7 @@ router.get('/resume-status/:candidateAssessmentId', async (req, res) => {
                     isFake: candidateAssessment.resume.isFake,
                     analyzed: !!candidateAssessment.resume.analyzedAt,
                 },
+                job: job ? { status: job.status, attempts: job.attempts } : null,
             },
         });
     } catch (error) {
@@ -494,7 +502,7 @@ router.get('/status/:candidateAssessmentId', async (req, res) => {
         const { candidateAssessmentId } = req.params;
 
         const candidateAssessment = await CandidateAssessment.findById(candidateAssessmentId)
-            .populate('jd', 'parsedContent.roleTitle assessmentConfig.totalTimeMinutes assessmentConfig.sections company')
+            .populate('jd', 'parsedContent.roleTitle assessmentConfig company')
             .populate('assignedSet', 'setNumber');
 
         if (!candidateAssessment) {
@@ -516,7 +524,8 @@ router.get('/status/:candidateAssessmentId', async (req, res) => {
                 },
                 assignedSet: candidateAssessment.assignedSet ? candidateAssessment.assignedSetNumber : null,
                 roleTitle: candidateAssessment.jd?.parsedContent?.roleTitle,
-                totalTimeMinutes: candidateAssessment.jd?.assessmentConfig?.totalTimeMinutes,
+                totalTimeMinutes: candidateAssessment.jd ? accommodationService.getTotalTimeMinutes(candidateAssessment, candidateAssessment.jd) : null,
+                window: candidateAssessment.jd ? accommodationService.getWindow(candidateAssessment, candidateAssessment.jd) : null,
                 sections: candidateAssessment.jd?.assessmentConfig?.sections,
                 canStart: candidateAssessment.isOnboardingComplete(),
             },
@@ -562,18 +571,27 @@ router.post('/start/:candidateAssessmentId', async (req, res) => {
             });
         }
 
-        // Check if already started - return existing session token
-        if (candidateAssessment.status === 'in_progress' || candidateAssessment.startedAt) {
-            return res.json({
-                success: true,
-                message: 'Assessment already in progress',
-                data: {
-                    sessionToken: candidateAssessment.sessionToken,
-                    startedAt: candidateAssessment.startedAt,
-                    totalTimeMinutes: candidateAssessment.jd.assessmentConfig.totalTimeMinutes,
-                    currentSection: candidateAssessment.currentSection,
-                    sections: candidateAssessment.jd.assessmentConfig.sections,
-                },
+        // Already started: the session token is only handed out again after OTP re-verification
+        if (candidateAssessment.status === 'in_progress') {
+            return res.status(409).json({
+                success: false,
+                error: 'Assessment already in progress. Verify your email to resume it.',
+                requiresResume: true,
+            });
+        }
+        if (candidateAssessment.startedAt) {
+            return res.status(400).json({
+                success: false,
+                error: 'Assessment has already been submitted',
+            });
+        }
+
+        // Check the assessment window (or the candidate's own, if a recruiter set one)
+        const windowError = accommodationService.getWindowError(candidateAssessment, candidateAssessment.jd);
+        if (windowError) {
+            return res.status(400).json({
+                success: false,
+                error: windowError,
             });
         }
 
@@ -582,6 +600,7 @@ router.post('/start/:candidateAssessmentId', async (req, res) => {
             const sets = await AssessmentSet.find({
                 jd: candidateAssessment.jd._id,
                 isActive: true,
+                isApproved: true,
             });
 
             if (sets.length === 0) {
@@ -596,19 +615,33 @@ router.post('/start/:candidateAssessmentId', async (req, res) => {
             candidateAssessment.assignedSet = randomSet._id;
             candidateAssessment.assignedSetNumber = randomSet.setNumber;
             candidateAssessment.assignedAt = new Date();
+
+            // Bank questions in the set have now been seen by one more candidate
+            questionBankService.recordExposure(randomSet).catch(error => {
+                console.error('❌ Failed to record question bank exposure:', error);
+            });
+        }
+
+        // Questions and options are shown in an order of the candidate's own
+        if (!candidateAssessment.shuffleSeed) {
+            candidateAssessment.shuffleSeed = questionOrderService.generateSeed();
         }
 
-        // Create session
-        candidateAssessment.sessionToken = CandidateAssessment.generateSessionToken();
-        candidateAssessment.sessionCreatedAt = new Date();
+        // Pin the JD revision this attempt is scored against
+        const revision = await jdRevisionService.getCurrent(candidateAssessment.jd);
+        candidateAssessment.jdRevision = revision._id;
+        candidateAssessment.jdRevisionNumber = revision.revisionNumber;
+
+        // Create session, bound to this device
+        const client = sessionBindingService.getClient(req);
+        sessionBindingService.bind(candidateAssessment, client);
         candidateAssessment.startedAt = new Date();
         candidateAssessment.status = 'in_progress';
         candidateAssessment.currentSection = 'objective'; // Start with objective
         candidateAssessment.lastHeartbeat = new Date();
+        candidateAssessment.activeTimeMs = 0;
 
-        // Track IP if available
-        candidateAssessment.ipAddress = req.ip || req.headers['x-forwarded-for'] || '';
-        candidateAssessment.userAgent = req.headers['user-agent'] || '';
+        candidateAssessment.sessionLog.push({ event: 'started', ...client });
 
         await candidateAssessment.save();
 
@@ -621,8 +654,9 @@ router.post('/start/:candidateAssessmentId', async (req, res) => {
             message: 'Assessment started',
             data: {
                 sessionToken: candidateAssessment.sessionToken,
+                sessionTokenExpiresAt: candidateAssessment.sessionTokenExpiresAt,
                 startedAt: candidateAssessment.startedAt,
-                totalTimeMinutes: candidateAssessment.jd.assessmentConfig.totalTimeMinutes,
+                totalTimeMinutes: accommodationService.getTotalTimeMinutes(candidateAssessment, candidateAssessment.jd),
                 currentSection: candidateAssessment.currentSection,
                 sections: candidateAssessment.jd.assessmentConfig.sections,
             },
@@ -636,6 +670,150 @@ router.post('/start/:candidateAssessmentId', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/candidate/resume/:candidateAssessmentId/request-otp
+ * Email an OTP for resuming an in-progress assessment (e.g. after a crash or on another device)
+ */
+router.post('/resume/:candidateAssessmentId/request-otp', async (req, res) => {
+    try {
+        const candidateAssessment = await CandidateAssessment.findById(req.params.candidateAssessmentId)
+            .populate('candidate', 'email');
+
+        if (!candidateAssessment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assessment not found',
+            });
+        }
+
+        if (candidateAssessment.status !== 'in_progress') {
+            return res.status(400).json({
+                success: false,
+                error: 'Assessment is not in progress',
+            });
+        }
+
+        const email = candidateAssessment.candidate.email;
+        const { otp, expiresAt } = await OTP.createOTP(email, 'session_resume');
+
+        try {
+            await emailService.sendOTP(email, otp);
+            console.log(`📧 Resume OTP sent to ${email}`);
+        } catch (emailError) {
+            console.error('❌ Failed to send resume OTP email:', emailError);
+            if (process.env.NODE_ENV !== 'development') {
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to send verification email',
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Verification code sent',
+            data: {
+                expiresAt,
+                // Dev only
+                ...(process.env.NODE_ENV === 'development' && { otp }),
+            },
+        });
+    } catch (error) {
+        console.error('❌ Request resume OTP error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send verification code',
+        });
+    }
+});
+
+/**
+ * POST /api/candidate/resume/:candidateAssessmentId
+ * Resume an in-progress assessment after OTP verification.
+ * Issues a new session token (the old one stops working) and binds the session to the current device.
+ */
+router.post('/resume/:candidateAssessmentId', [
+    body('otp').isLength({ min: 6, max: 6 }).withMessage('Invalid OTP'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const candidateAssessment = await CandidateAssessment.findById(req.params.candidateAssessmentId)
+            .populate('candidate', 'email')
+            .populate('jd', 'company assessmentConfig');
+
+        if (!candidateAssessment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assessment not found',
+            });
+        }
+
+        if (candidateAssessment.status !== 'in_progress') {
+            return res.status(400).json({
+                success: false,
+                error: 'Assessment is not in progress',
+            });
+        }
+
+        // The assessment window (or the candidate's own) must still be open
+        const windowError = accommodationService.getWindowError(candidateAssessment, candidateAssessment.jd);
+        if (windowError) {
+            return res.status(400).json({
+                success: false,
+                error: windowError,
+            });
+        }
+
+        const result = await OTP.verifyOTP(candidateAssessment.candidate.email, req.body.otp, 'session_resume');
+        if (!result.valid) {
+            return res.status(400).json({
+                success: false,
+                error: result.error,
+            });
+        }
+
+        if (submissionService.isExpired(candidateAssessment, candidateAssessment.jd)) {
+            await submissionService.finalize(candidateAssessment, { submissionType: 'time_expired' });
+            return res.status(400).json({
+                success: false,
+                error: 'Assessment time expired',
+            });
+        }
+
+        // Credit the time up to the disconnect (capped) and move the session to this device
+        sessionClockService.tick(candidateAssessment);
+        const client = sessionBindingService.getClient(req);
+        sessionBindingService.bind(candidateAssessment, client);
+        candidateAssessment.sessionLog.push({ event: 'resumed', ...client });
+        await candidateAssessment.save();
+
+        res.json({
+            success: true,
+            message: 'Assessment resumed',
+            data: {
+                sessionToken: candidateAssessment.sessionToken,
+                sessionTokenExpiresAt: candidateAssessment.sessionTokenExpiresAt,
+                startedAt: candidateAssessment.startedAt,
+                remainingTimeMs: Math.max(0, submissionService.getRemainingMs(candidateAssessment, candidateAssessment.jd)),
+                paused: candidateAssessment.pause.isPaused,
+                currentSection: candidateAssessment.currentSection,
+                sectionProgress: candidateAssessment.sectionProgress,
+                sections: candidateAssessment.jd.assessmentConfig.sections,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Resume assessment error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resume assessment',
+        });
+    }
+});
+
 // ============================================================================
 // HELPER: Resume Matching (Background Task)
 // ============================================================================
@@ -759,19 +937,37 @@ Return ONLY valid JSON.`;
 
         } catch (parseError) {
             console.error('❌ Error parsing AI response:', parseError);
-            candidateAssessment.resume.analyzedAt = new Date();
-            candidateAssessment.resume.matchScore = 0;
-            candidateAssessment.status = 'resume_rejected';
-            await candidateAssessment.save();
-            return candidateAssessment;
+            throw parseError;
         }
 
     } catch (error) {
         console.error('❌ Resume matching error:', error);
-        return null;
+        // Rethrow so the job queue can retry
+        throw error;
     }
 }
 
+// ============================================================================
+// JOB QUEUE HANDLER
+// ============================================================================
+
+jobQueue.register('resume_match', {
+    run: async ({ candidateAssessmentId }) => {
+        const candidateAssessment = await matchResumeWithJD(candidateAssessmentId);
+        return {
+            status: candidateAssessment?.status,
+            matchScore: candidateAssessment?.resume?.matchScore,
+        };
+    },
+    // Once retries run out, reject the resume as the inline flow did when the AI response was unusable
+    onFailed: async ({ candidateAssessmentId }) => {
+        await CandidateAssessment.updateOne(
+            { _id: candidateAssessmentId, status: 'resume_review' },
+            { $set: { status: 'resume_rejected', 'resume.matchScore': 0, 'resume.analyzedAt': new Date() } }
+        );
+    },
+});
+
 // ============================================================================
 // CANDIDATE PROFILE & HISTORY (Authenticated)
 // ============================================================================
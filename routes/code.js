@@ -3,6 +3,11 @@ import { body, validationResult } from 'express-validator';
 import CandidateAssessment from '../models/CandidateAssessment.js';
 import AssessmentAnswer from '../models/AssessmentAnswer.js';
 import judge0Service from '../services/judge0Service.js';
+import harnessService from '../services/harnessService.js';
+import submissionService from '../services/submissionService.js';
+import sectionTimerService from '../services/sectionTimerService.js';
+import sessionClockService from '../services/sessionClockService.js';
+import sessionBindingService from '../services/sessionBindingService.js';
 
 const router = express.Router();
 
@@ -21,7 +26,8 @@ async function validateSession(req, res, next) {
             });
         }
 
-        const candidateAssessment = await CandidateAssessment.findOne({ sessionToken })
+        const candidateAssessment = await CandidateAssessment.findOne(sessionBindingService.getTokenFilter(sessionToken))
+            .populate('jd', 'company assessmentConfig')
             .populate('assignedSet');
 
         if (!candidateAssessment) {
@@ -38,6 +44,52 @@ async function validateSession(req, res, next) {
             });
         }
 
+        // Token must be current and used from the device the session is bound to
+        const bindingError = await sessionBindingService.verify(
+            candidateAssessment, sessionToken, sessionBindingService.getClient(req)
+        );
+        if (bindingError) {
+            return res.status(bindingError.status).json({
+                success: false,
+                error: bindingError.error,
+                requiresResume: bindingError.requiresResume,
+            });
+        }
+
+        sessionClockService.tick(candidateAssessment);
+        if (candidateAssessment.pause?.isPaused) {
+            await candidateAssessment.save();
+            return res.status(409).json({
+                success: false,
+                error: 'Assessment is paused',
+                paused: true,
+            });
+        }
+
+        // Check time limit
+        if (submissionService.isExpired(candidateAssessment, candidateAssessment.jd)) {
+            await submissionService.finalize(candidateAssessment, { submissionType: 'time_expired' });
+
+            return res.status(400).json({
+                success: false,
+                error: 'Assessment time expired',
+            });
+        }
+
+        // Code runs only in an open programming section; one whose time ran out is auto-submitted here
+        const enforced = await sectionTimerService.enforce(candidateAssessment, candidateAssessment.jd);
+        const writeError = enforced.finalized
+            ? 'Section time expired. Assessment submitted.'
+            : sectionTimerService.getWriteError(candidateAssessment, candidateAssessment.jd, 'programming');
+        if (writeError) {
+            return res.status(400).json({
+                success: false,
+                error: writeError,
+            });
+        }
+
+        await candidateAssessment.save();
+
         req.candidateAssessment = candidateAssessment;
         next();
     } catch (error) {
@@ -109,15 +161,31 @@ router.post('/run', validateSession, [
             });
         }
 
+        if (question.signature?.functionName && !harnessService.supportsLanguage(language)) {
+            return res.status(400).json({
+                success: false,
+                error: `Language ${language} is not supported for this question`,
+            });
+        }
+
         // Prepare test cases
         const testCasesToRun = sampleTestCases.map((tc, idx) => ({
             number: idx + 1,
             input: tc.input,
             expectedOutput: tc.expectedOutput,
+            checker: tc.checker,
         }));
 
+        // Function-signature questions run the candidate's function through a generated driver
+        const run = question.signature?.functionName
+            ? harnessService.wrap(question.signature, language, code, testCasesToRun)
+            : { code, testCases: testCasesToRun };
+
         // Run code against test cases
-        const results = await judge0Service.runTestCases(code, languageId, testCasesToRun);
+        const results = await judge0Service.runTestCases(run.code, languageId, run.testCases, {
+            timeLimit: question.timeLimit,
+            memoryLimit: question.memoryLimit * 1024, // MB -> KB
+        });
 
         // Format results
         const testResults = results.map((r, idx) => ({
@@ -126,8 +194,9 @@ router.post('/run', validateSession, [
             expectedOutput: sampleTestCases[idx].expectedOutput,
             actualOutput: r.actualOutput || '',
             passed: r.passed,
+            verdict: r.verdict,
             executionTime: r.executionTime,
-            memoryUsed: r.memoryUsed,
+            memoryUsed: r.memory,
             error: r.error || '',
         }));
 
@@ -244,6 +313,13 @@ router.post('/submit', validateSession, [
             });
         }
 
+        if (question.signature?.functionName && !harnessService.supportsLanguage(language)) {
+            return res.status(400).json({
+                success: false,
+                error: `Language ${language} is not supported for this question`,
+            });
+        }
+
         // Get ALL test cases
         const allTestCases = question.testCases;
 
@@ -259,11 +335,19 @@ router.post('/submit', validateSession, [
             number: idx + 1,
             input: tc.input,
             expectedOutput: tc.expectedOutput,
+            checker: tc.checker,
             weight: tc.weight || 1,
         }));
 
+        const run = question.signature?.functionName
+            ? harnessService.wrap(question.signature, language, code, testCasesToRun)
+            : { code, testCases: testCasesToRun };
+
         // Run code against all test cases
-        const results = await judge0Service.runTestCases(code, languageId, testCasesToRun);
+        const results = await judge0Service.runTestCases(run.code, languageId, run.testCases, {
+            timeLimit: question.timeLimit,
+            memoryLimit: question.memoryLimit * 1024, // MB -> KB
+        });
 
         // Format and calculate results
         const testCaseResults = results.map((r, idx) => ({
@@ -272,8 +356,9 @@ router.post('/submit', validateSession, [
             expectedOutput: allTestCases[idx].expectedOutput,
             actualOutput: r.actualOutput || '',
             passed: r.passed,
+            verdict: r.verdict,
             executionTime: r.executionTime,
-            memoryUsed: r.memoryUsed,
+            memoryUsed: r.memory,
             error: r.error || '',
             isHidden: allTestCases[idx].isHidden,
         }));
@@ -320,6 +405,7 @@ router.post('/submit', validateSession, [
                 expectedOutput: r.isHidden ? '[hidden]' : r.expectedOutput,
                 actualOutput: r.actualOutput,
                 passed: r.passed,
+                verdict: r.verdict,
                 executionTime: r.executionTime,
                 memoryUsed: r.memoryUsed,
                 error: r.error,
@@ -362,11 +448,15 @@ router.post('/submit', validateSession, [
                     expectedOutput: r.expectedOutput,
                     actualOutput: r.actualOutput,
                     passed: r.passed,
+                    verdict: r.verdict,
                     executionTime: r.executionTime,
+                    memoryUsed: r.memoryUsed,
                     error: r.error,
                 })),
                 hiddenTestsPassed: testCaseResults.filter(r => r.isHidden && r.passed).length,
                 hiddenTestsTotal: testCaseResults.filter(r => r.isHidden).length,
+                // Verdicts only for hidden cases, so their inputs stay private
+                hiddenVerdicts: testCaseResults.filter(r => r.isHidden).map(r => r.verdict),
             },
         });
     } catch (error) {
@@ -5,6 +5,12 @@ import CandidateAssessment from '../models/CandidateAssessment.js';
 import AssessmentAnswer from '../models/AssessmentAnswer.js';
 import Evaluation from '../models/Evaluation.js';
 import JobDescription from '../models/JobDescription.js';
+import jobQueue from '../services/jobQueueService.js';
+import plagiarismService from '../services/plagiarismService.js';
+import skillAnalysisService from '../services/skillAnalysisService.js';
+import oaScoringService from '../services/oaScoringService.js';
+import jdRevisionService from '../services/jdRevisionService.js';
+import scoreNormalizationService from '../services/scoreNormalizationService.js';
 import { authenticateToken, requireRecruiter } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -64,17 +70,21 @@ router.post('/trigger/:candidateAssessmentId', authenticateToken, requireRecruit
         candidateAssessment.status = 'evaluating';
         await candidateAssessment.save();
 
-        // Start evaluation in background
-        res.json({
-            success: true,
-            message: 'Evaluation started',
+        // Run evaluation on the job queue
+        const job = await jobQueue.enqueue('evaluation', { candidateAssessmentId }, {
+            subjectId: candidateAssessment._id,
+            company: candidateAssessment.jd.company,
+            createdBy: req.user._id,
         });
 
-        // Run evaluation async
-        runEvaluation(candidateAssessmentId).catch(err => {
-            console.error('❌ Background evaluation error:', err);
+        res.status(202).json({
+            success: true,
+            message: 'Evaluation queued',
+            data: {
+                jobId: job._id,
+                status: job.status,
+            },
         });
-
     } catch (error) {
         console.error('❌ Trigger evaluation error:', error);
         res.status(500).json({
@@ -140,6 +150,104 @@ router.get('/result/:candidateAssessmentId', authenticateToken, requireRecruiter
     }
 });
 
+/**
+ * GET /api/eval/skills/:candidateAssessmentId
+ * Per-skill scores and the gap report against the resume's claimed skills
+ */
+router.get('/skills/:candidateAssessmentId', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const { candidateAssessmentId } = req.params;
+
+        const candidateAssessment = await CandidateAssessment.findById(candidateAssessmentId)
+            .populate('jd', 'company parsedContent.roleTitle')
+            .populate('candidate', 'name email');
+
+        if (!candidateAssessment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assessment not found',
+            });
+        }
+
+        // Verify ownership
+        if (candidateAssessment.jd.company.toString() !== req.user.company.toString()) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied',
+            });
+        }
+
+        const evaluation = await Evaluation.findOne({ candidateAssessment: candidateAssessmentId })
+            .select('skillScores weightedSkillScore skillGapReport evaluationCompletedAt');
+
+        if (!evaluation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Evaluation not found',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                candidate: {
+                    name: candidateAssessment.candidate.name,
+                    email: candidateAssessment.candidate.email,
+                },
+                roleTitle: candidateAssessment.jd.parsedContent?.roleTitle,
+                resumeMatchScore: candidateAssessment.resume?.matchScore,
+                skillScores: evaluation.skillScores,
+                weightedSkillScore: evaluation.weightedSkillScore,
+                gapReport: evaluation.skillGapReport,
+                evaluatedAt: evaluation.evaluationCompletedAt,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Get skill report error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get skill report',
+        });
+    }
+});
+
+/**
+ * POST /api/eval/normalize/:jdId
+ * Recompute set-normalized scores for every evaluated candidate of a JD
+ */
+router.post('/normalize/:jdId', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const jd = await JobDescription.findOne({
+            _id: req.params.jdId,
+            company: req.user.company,
+        }).select('_id');
+
+        if (!jd) {
+            return res.status(404).json({
+                success: false,
+                error: 'JD not found',
+            });
+        }
+
+        const sets = await scoreNormalizationService.recompute(jd._id);
+
+        res.json({
+            success: true,
+            message: 'Scores normalized',
+            data: {
+                minSampleSize: scoreNormalizationService.minSample,
+                sets,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Normalize scores error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to normalize scores',
+        });
+    }
+});
+
 /**
  * POST /api/eval/admin-decision/:candidateAssessmentId
  * Set admin decision (PASS/FAIL/HOLD)
@@ -222,11 +330,12 @@ export async function runEvaluation(candidateAssessmentId) {
     try {
         const candidateAssessment = await CandidateAssessment.findById(candidateAssessmentId)
             .populate('jd')
-            .populate('assignedSet');
+            .populate('assignedSet')
+            .populate('candidate', 'name email');
 
         if (!candidateAssessment) {
-            console.error(`❌ Evaluation aborted: Assessment ${candidateAssessmentId} not found`);
-            return;
+            // Thrown, not returned, so the job fails and the status goes back to submitted
+            throw new Error(`Assessment ${candidateAssessmentId} not found`);
         }
 
         // Get all answers
@@ -243,11 +352,13 @@ export async function runEvaluation(candidateAssessmentId) {
         }
 
         const set = candidateAssessment.assignedSet;
-        const jd = candidateAssessment.jd;
+        // Score with the cutoff, weights and rubric of the revision the assessment was taken under
+        const jd = candidateAssessment.jd
+            ? await jdRevisionService.resolve(candidateAssessment.jd, candidateAssessment.jdRevision)
+            : null;
 
         if (!jd || !jd.assessmentConfig) {
-            console.error(`❌ Evaluation aborted: JD or config missing for ${candidateAssessmentId}`);
-            return;
+            throw new Error(`JD or assessment config missing for ${candidateAssessmentId}`);
         }
 
         // ==================== OBJECTIVE SECTION ====================
@@ -378,30 +489,42 @@ export async function runEvaluation(candidateAssessmentId) {
                 totalMaxScore += q.points || 20;
             });
 
+            const scoringWeights = jd.assessmentConfig.programmingScoring || {};
+
             for (const ans of programmingAnswersDoc.programmingAnswers) {
                 const question = set.programmingQuestions.find(q => q.questionId === ans.questionId);
                 if (question) {
                     const maxPoints = question.points || 20;
 
-                    // Calculate score based on test cases passed
-                    const testScore = ans.totalTestCases > 0
-                        ? (ans.testCasesPassed / ans.totalTestCases) * maxPoints
-                        : 0;
+                    // Correctness, efficiency, code quality and approach, weighted per JD
+                    const result = await oaScoringService.scoreHiringAnswer(question, ans, scoringWeights);
+                    const questionScore = (result.percentage / 100) * maxPoints;
 
                     details.push({
                         questionId: ans.questionId,
                         testCasesPassed: ans.testCasesPassed,
                         totalTestCases: ans.totalTestCases,
-                        codeQualityScore: ans.codeQualityScore || 0,
-                        correctnessScore: ans.correctnessScore || testScore,
-                        efficiencyScore: ans.efficiencyScore || 0,
-                        feedback: ans.allPassed ? 'All test cases passed' : `${ans.testCasesPassed}/${ans.totalTestCases} test cases passed`,
+                        score: questionScore,
+                        maxScore: maxPoints,
+                        codeQualityScore: result.codeQuality,
+                        correctnessScore: result.correctness,
+                        efficiencyScore: result.efficiency,
+                        approachScore: result.approach,
+                        timeComplexity: result.timeComplexity,
+                        feedback: result.feedback,
                     });
 
-                    totalScore += testScore;
+                    totalScore += questionScore;
+
+                    // Update answer document with the dimension scores
+                    ans.codeQualityScore = result.codeQuality;
+                    ans.correctnessScore = result.correctness;
+                    ans.efficiencyScore = result.efficiency;
                 }
             }
 
+            await programmingAnswersDoc.save();
+
             evaluation.sections.programming = {
                 score: totalScore,
                 maxScore: totalMaxScore,
@@ -445,52 +568,33 @@ export async function runEvaluation(candidateAssessmentId) {
         evaluation.calculateWeightedScore(jd.assessmentConfig.sections);
 
         // ==================== SKILL SCORES ====================
-        // Aggregate by skill
-        const skillMap = new Map();
-
-        // From objective
-        evaluation.sections.objective.details?.forEach(d => {
-            const q = set.objectiveQuestions.find(q => q.questionId === d.questionId);
-            if (q?.skill) {
-                if (!skillMap.has(q.skill)) {
-                    skillMap.set(q.skill, { score: 0, maxScore: 0, attempted: 0 });
-                }
-                const s = skillMap.get(q.skill);
-                s.score += d.isCorrect ? (q.points || 1) : 0;
-                s.maxScore += q.points || 1;
-                s.attempted++;
-            }
-        });
-
-        // Convert to array
-        evaluation.skillScores = Array.from(skillMap).map(([skill, data]) => ({
-            skill,
-            score: data.score,
-            maxScore: data.maxScore,
-            percentage: data.maxScore > 0 ? (data.score / data.maxScore) * 100 : 0,
-            competencyLevel: getCompetencyLevel(data.score / data.maxScore * 100),
-            questionsAttempted: data.attempted,
-        }));
+        const jdSkills = jd.parsedContent?.technicalSkills || [];
+        const { skillScores, weightedSkillScore } = skillAnalysisService.computeSkillScores(evaluation, set, jdSkills);
+        evaluation.skillScores = skillScores;
+        evaluation.weightedSkillScore = weightedSkillScore;
+        evaluation.skillGapReport = skillAnalysisService.buildGapReport(
+            skillScores,
+            jdSkills,
+            candidateAssessment.resume?.matchDetails?.skillMatches || []
+        );
 
         // ==================== PLAGIARISM CHECK ====================
-        // Simple placeholder - in production, use actual plagiarism service
-        evaluation.plagiarism = {
-            checked: true,
-            checkedAt: new Date(),
-            subjectivePlagiarismPercent: 0, // Placeholder
-            codePlagiarismPercent: 0, // Placeholder
-            isFlagged: false,
-            flagReason: '',
-        };
+        const plagiarismThreshold = jd.assessmentConfig.plagiarismThreshold ?? 80;
+        const { counterpartMatches, ...plagiarism } = await plagiarismService.check(candidateAssessment, {
+            threshold: plagiarismThreshold,
+        });
+        evaluation.plagiarism = plagiarism;
+
+        if (plagiarism.isFlagged) {
+            console.warn(`⚠️  Plagiarism flagged for ${candidateAssessmentId}: ${plagiarism.flagReason}`);
+        }
 
         // ==================== RESUME CORRELATION ====================
-        evaluation.resumeCorrelation = {
-            analyzed: true,
-            claimedSkillsValidated: evaluation.percentage,
-            performanceMatchesResume: evaluation.percentage >= 50,
-            discrepancies: [],
-            analysis: `Candidate scored ${evaluation.percentage.toFixed(1)}% overall.`,
-        };
+        evaluation.resumeCorrelation = skillAnalysisService.correlateResume(
+            skillScores,
+            candidateAssessment.resume,
+            jdSkills
+        );
 
         // ==================== AI RECOMMENDATION ====================
         evaluation.generateRecommendation(jd.assessmentConfig.cutoffScore);
@@ -498,17 +602,91 @@ export async function runEvaluation(candidateAssessmentId) {
         evaluation.evaluationCompletedAt = new Date();
         await evaluation.save();
 
+        // Earlier evaluations never saw this submission, so record the matches on their side too
+        await recordCounterpartMatches(counterpartMatches, jd);
+
+        // ==================== SET NORMALIZATION ====================
+        // A new score shifts its set's mean and spread, so the whole JD is recomputed
+        try {
+            await scoreNormalizationService.recompute(jd._id);
+        } catch (error) {
+            console.error(`❌ Score normalization failed for JD ${jd._id}:`, error);
+        }
+
         // Update candidate assessment
         candidateAssessment.status = 'evaluated';
         await candidateAssessment.save();
 
         console.log(`✅ Evaluation complete for ${candidateAssessmentId}: ${evaluation.percentage.toFixed(1)}%`);
+        return evaluation;
 
     } catch (error) {
         console.error(`❌ Evaluation error for ${candidateAssessmentId}:`, error);
+        // Rethrow so the job queue can retry
+        throw error;
     }
 }
 
+/**
+ * Merge matches found while evaluating a later candidate into the counterparts' evaluations
+ * @param {Map} counterpartMatches - counterpart CandidateAssessment id -> { codeMatches, subjectiveMatches }
+ * @param {Object} jd - Populated JD (for the threshold and cutoff)
+ */
+async function recordCounterpartMatches(counterpartMatches, jd) {
+    for (const [counterpartId, matches] of counterpartMatches) {
+        try {
+            const counterpart = await Evaluation.findOne({ candidateAssessment: counterpartId });
+            if (!counterpart?.plagiarism?.checked) continue;
+
+            for (const key of ['codeMatches', 'subjectiveMatches']) {
+                for (const match of matches[key]) {
+                    const existing = counterpart.plagiarism[key].find(m =>
+                        m.questionId === match.questionId &&
+                        m.matchedCandidateAssessment?.toString() === match.matchedCandidateAssessment.toString()
+                    );
+                    if (existing) {
+                        existing.matchPercent = match.matchPercent;
+                    } else {
+                        counterpart.plagiarism[key].push(match);
+                    }
+                }
+            }
+
+            const wasFlagged = counterpart.plagiarism.isFlagged;
+            plagiarismService.summarize(counterpart.plagiarism, jd.assessmentConfig.plagiarismThreshold ?? 80);
+            counterpart.plagiarism.checkedAt = new Date();
+
+            // Don't second-guess a decision a recruiter already made
+            if (counterpart.plagiarism.isFlagged && !wasFlagged && counterpart.adminDecision === 'REVIEW_PENDING') {
+                counterpart.generateRecommendation(jd.assessmentConfig.cutoffScore);
+            }
+
+            await counterpart.save();
+        } catch (error) {
+            console.error(`❌ Failed to record plagiarism matches for ${counterpartId}:`, error);
+        }
+    }
+}
+
+// ============================================================================
+// JOB QUEUE HANDLER
+// ============================================================================
+
+jobQueue.register('evaluation', {
+    run: async ({ candidateAssessmentId }) => {
+        await CandidateAssessment.findByIdAndUpdate(candidateAssessmentId, { $set: { status: 'evaluating' } });
+        const evaluation = await runEvaluation(candidateAssessmentId);
+        return { evaluationId: evaluation?._id, percentage: evaluation?.percentage };
+    },
+    // Back to submitted so the evaluation can be triggered again
+    onFailed: async ({ candidateAssessmentId }) => {
+        await CandidateAssessment.updateOne(
+            { _id: candidateAssessmentId, status: 'evaluating' },
+            { $set: { status: 'submitted' } }
+        );
+    },
+});
+
 async function gradeSubjectiveAnswer(question, expectedAnswer, rubric, candidateAnswer) {
     const prompt = `Grade the following subjective answer.
 
@@ -548,11 +726,4 @@ Be fair but strict. Return ONLY valid JSON.`;
     }
 }
 
-function getCompetencyLevel(percentage) {
-    if (percentage >= 90) return 'expert';
-    if (percentage >= 70) return 'proficient';
-    if (percentage >= 50) return 'intermediate';
-    return 'beginner';
-}
-
 export default router;
@@ -1,12 +1,27 @@
 import express from 'express';
-import { body, validationResult, param } from 'express-validator';
+import { body, validationResult, param, query } from 'express-validator';
 import { callGemini } from '../lib/gemini.js';
 import JobDescription from '../models/JobDescription.js';
 import AssessmentSet from '../models/AssessmentSet.js';
+import JDRevision from '../models/JDRevision.js';
+import CandidateAssessment from '../models/CandidateAssessment.js';
+import Company from '../models/Company.js';
+import BankQuestion from '../models/BankQuestion.js';
+import harnessService from '../services/harnessService.js';
+import jobQueue from '../services/jobQueueService.js';
+import jdRevisionService from '../services/jdRevisionService.js';
+import blueprintService from '../services/blueprintService.js';
+import setBalancingService from '../services/setBalancingService.js';
+import questionBankService from '../services/questionBankService.js';
+import referenceSolutionService from '../services/referenceSolutionService.js';
+import { uploadJD, extractDocumentText } from '../services/uploadService.js';
 import { authenticateToken, requireRecruiter } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Prefix for file-extraction warnings in parsingMeta.parseErrors (kept across re-parses)
+const EXTRACTION_WARNING_PREFIX = 'File extraction: ';
+
 // OpenAI client initialized in lib/openai.js
 
 
@@ -114,6 +129,104 @@ function getDefaultSectionConfig(experienceLevel) {
   return configs[experienceLevel] || configs.mid;
 }
 
+/**
+ * Apply the company's assessment template to a freshly parsed JD,
+ * falling back to the experience-level defaults when the company has none
+ */
+async function applyCompanyDefaults(jd) {
+  const company = await Company.findById(jd.company).select('assessmentTemplate');
+  const template = company?.assessmentTemplate?.toObject();
+
+  if (!template) {
+    jd.assessmentConfig.sections = getDefaultSectionConfig(jd.parsedContent.experienceLevel);
+    return false;
+  }
+
+  jd.assessmentConfig.sections = template.sections;
+  jd.assessmentConfig.difficultyDistribution = template.difficultyDistribution;
+  jd.assessmentConfig.cutoffScore = template.cutoffScore;
+  jd.assessmentConfig.instructions = template.instructions;
+  return true;
+}
+
+/**
+ * Parse a JD's text with AI and apply the result (shared by /:id/parse and the jd_parse job)
+ * Extraction warnings from an uploaded file are kept in parsingMeta.parseErrors.
+ * @returns {Promise<Object>} { success, error, noContent }
+ */
+async function parseJobDescription(jd, author = null) {
+  const extractionWarnings = (jd.parsingMeta?.parseErrors || [])
+    .filter(e => e.startsWith(EXTRACTION_WARNING_PREFIX));
+  const aiModel = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+  // Uploaded file whose text hasn't been extracted yet
+  if (!jd.rawText && jd.rawFileUrl?.startsWith('/uploads/')) {
+    const { text, warnings } = await extractDocumentText(jd.rawFileUrl);
+    jd.rawText = text;
+    extractionWarnings.push(...warnings.map(w => `${EXTRACTION_WARNING_PREFIX}${w}`));
+  }
+
+  const textToParse = jd.rawText;
+
+  if (!textToParse) {
+    jd.parsingMeta = { parsedAt: new Date(), parseErrors: extractionWarnings, aiModel };
+    await jd.save();
+    return { success: false, error: 'No text content available for parsing', noContent: true };
+  }
+
+  // Update status to parsing
+  jd.status = 'parsing';
+  await jd.save();
+
+  // Parse with AI
+  const parseResult = await parseJDWithAI(textToParse);
+
+  if (!parseResult.success) {
+    jd.status = 'draft';
+    jd.parsingMeta = {
+      parsedAt: new Date(),
+      parseErrors: [...extractionWarnings, parseResult.error],
+      aiModel,
+    };
+    await jd.save();
+    return { success: false, error: parseResult.error };
+  }
+
+  // Update JD with parsed content
+  jd.parsedContent = {
+    refinedJD: parseResult.data.refinedJD || '',
+    companyName: parseResult.data.companyName || '',
+    aboutCompany: parseResult.data.aboutCompany || '',
+    roleTitle: parseResult.data.roleTitle || '',
+    roleResponsibilities: parseResult.data.roleResponsibilities || [],
+    experienceLevel: parseResult.data.experienceLevel || 'mid',
+    yearsOfExperience: parseResult.data.yearsOfExperience || { min: 0, max: 0 },
+    technicalSkills: parseResult.data.technicalSkills || [],
+    softSkills: parseResult.data.softSkills || [],
+    toolsAndTechnologies: parseResult.data.toolsAndTechnologies || [],
+    qualifications: parseResult.data.qualifications || [],
+  };
+
+  // Set evaluation rubrics
+  jd.evaluationRubrics = parseResult.data.evaluationRubrics || '';
+
+  // Company template, or default section config based on experience level
+  await applyCompanyDefaults(jd);
+  jd.assessmentConfig.totalTimeMinutes = jd.calculateTotalTime();
+
+  jd.status = 'parsed';
+  jd.parsingMeta = {
+    parsedAt: new Date(),
+    parseErrors: extractionWarnings,
+    aiModel,
+  };
+
+  await jd.save();
+  await jdRevisionService.record(jd, { author, source: 'parse' });
+
+  return { success: true };
+}
+
 // ============================================================================
 // JD CRUD ROUTES
 // ============================================================================
@@ -144,6 +257,138 @@ router.get('/', authenticateToken, requireRecruiter, async (req, res) => {
   }
 });
 
+// ============================================================================
+// COMPANY ASSESSMENT TEMPLATE
+// ============================================================================
+
+/**
+ * GET /api/jd/template
+ * Get the company's assessment template (null when the experience-level defaults apply)
+ */
+router.get('/template', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.company).select('assessmentTemplate');
+
+    res.json({
+      success: true,
+      data: {
+        template: company?.assessmentTemplate || null,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Get template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch assessment template',
+    });
+  }
+});
+
+/**
+ * PUT /api/jd/template
+ * Save the company's assessment template, applied to new JDs when they are parsed.
+ * Pass fromJd to capture an existing JD's config; other fields override it.
+ */
+router.put('/template', authenticateToken, requireRecruiter, [
+  body('fromJd').optional().isMongoId(),
+  body('cutoffScore').optional().isFloat({ min: 0, max: 100 }),
+  body('instructions').optional().isString(),
+  body('sections').optional().isObject(),
+  body('difficultyDistribution').optional().isObject(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        error: 'Company not found',
+      });
+    }
+
+    const { fromJd, sections, difficultyDistribution, cutoffScore, instructions } = req.body;
+
+    let base = company.assessmentTemplate?.toObject() || {};
+    if (fromJd) {
+      const jd = await JobDescription.findOne({
+        _id: fromJd,
+        company: req.user.company,
+      }).select('assessmentConfig');
+
+      if (!jd) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job description not found',
+        });
+      }
+
+      const { sections: jdSections, difficultyDistribution: jdDistribution, cutoffScore: jdCutoff, instructions: jdInstructions } =
+        jd.assessmentConfig.toObject();
+      base = { sections: jdSections, difficultyDistribution: jdDistribution, cutoffScore: jdCutoff, instructions: jdInstructions };
+    }
+
+    const template = {
+      ...base,
+      updatedBy: req.user._id,
+      updatedAt: new Date(),
+    };
+    if (sections !== undefined) {
+      template.sections = {
+        objective: { ...base.sections?.objective, ...sections.objective },
+        subjective: { ...base.sections?.subjective, ...sections.subjective },
+        programming: { ...base.sections?.programming, ...sections.programming },
+      };
+    }
+    if (difficultyDistribution !== undefined) {
+      template.difficultyDistribution = { ...base.difficultyDistribution, ...difficultyDistribution };
+    }
+    if (cutoffScore !== undefined) template.cutoffScore = cutoffScore;
+    if (instructions !== undefined) template.instructions = instructions;
+
+    company.assessmentTemplate = template;
+    await company.save();
+
+    res.json({
+      success: true,
+      message: 'Assessment template saved',
+      data: {
+        template: company.assessmentTemplate,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Save template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save assessment template',
+    });
+  }
+});
+
+/**
+ * DELETE /api/jd/template
+ * Remove the company's assessment template (new JDs go back to the experience-level defaults)
+ */
+router.delete('/template', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    await Company.findByIdAndUpdate(req.user.company, { $set: { assessmentTemplate: null } });
+
+    res.json({
+      success: true,
+      message: 'Assessment template removed',
+    });
+  } catch (error) {
+    console.error('❌ Delete template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove assessment template',
+    });
+  }
+});
+
 /**
  * GET /api/jd/:id
  * Get single JD by ID
@@ -177,9 +422,10 @@ router.get('/:id', authenticateToken, requireRecruiter, async (req, res) => {
 
 /**
  * POST /api/jd/upload
- * Upload/create a new JD (text or file URL)
+ * Upload/create a new JD from text, a file URL, or a PDF/DOCX/TXT file (multipart field "jdFile").
+ * Uploaded files are stored, their text extracted and parsing queued.
  */
-router.post('/upload', authenticateToken, requireRecruiter, [
+router.post('/upload', authenticateToken, requireRecruiter, uploadJD.single('jdFile'), [
   body('jdText').optional().isString(),
   body('fileUrl').optional().isString(),
   body('fileName').optional().isString(),
@@ -192,31 +438,57 @@ router.post('/upload', authenticateToken, requireRecruiter, [
 
     const { jdText, fileUrl, fileName } = req.body;
 
-    if (!jdText && !fileUrl) {
+    if (!jdText && !fileUrl && !req.file) {
       return res.status(400).json({
         success: false,
-        error: 'Either jdText or fileUrl is required',
+        error: 'Either jdText, fileUrl or a jdFile upload is required',
       });
     }
 
+    // Extract text from the uploaded file
+    let extractedText = '';
+    let extractionWarnings = [];
+    if (req.file) {
+      const { text, warnings } = await extractDocumentText(req.file.path);
+      extractedText = text;
+      extractionWarnings = warnings.map(w => `${EXTRACTION_WARNING_PREFIX}${w}`);
+    }
+
     // Create JD in draft state
     const jd = await JobDescription.create({
       company: req.user.company,
       recruiter: req.user._id,
-      rawText: jdText || '',
-      rawFileUrl: fileUrl || '',
-      rawFileName: fileName || '',
+      rawText: jdText || extractedText,
+      rawFileUrl: req.file ? `/uploads/jds/${req.file.filename}` : (fileUrl || ''),
+      rawFileName: req.file ? req.file.originalname : (fileName || ''),
       status: 'draft',
+      parsingMeta: {
+        parseErrors: extractionWarnings,
+      },
     });
 
     console.log('✅ JD created:', jd._id);
 
+    // Start parsing uploaded files right away
+    let job = null;
+    if (req.file && jd.rawText) {
+      job = await jobQueue.enqueue('jd_parse', { jdId: jd._id }, {
+        subjectId: jd._id,
+        company: jd.company,
+        createdBy: req.user._id,
+      });
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Job description created',
+      message: job
+        ? 'Job description uploaded, parsing queued'
+        : 'Job description created',
       data: {
         id: jd._id,
         status: jd.status,
+        jobId: job?._id || null,
+        extractionWarnings,
       },
     });
   } catch (error) {
@@ -228,6 +500,108 @@ router.post('/upload', authenticateToken, requireRecruiter, [
   }
 });
 
+/**
+ * POST /api/jd/:id/clone
+ * Create a new JD from an existing one: text, parsed content, skills, rubrics and config,
+ * optionally with copies of its active question sets. Scheduling and the link are not copied.
+ */
+router.post('/:id/clone', authenticateToken, requireRecruiter, [
+  body('includeSets').optional().isBoolean(),
+  body('roleTitle').optional().isString().trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const source = await JobDescription.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job description not found',
+      });
+    }
+
+    if (['parsing', 'generating_sets'].includes(source.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot clone a job description while it is ${source.status.replace('_', ' ')}`,
+      });
+    }
+
+    const includeSets = req.body.includeSets === true || req.body.includeSets === 'true';
+    const isParsed = !['draft', 'parsing'].includes(source.status);
+
+    const { parsedContent, evaluationRubrics, assessmentConfig } = jdRevisionService.snapshot(source);
+    if (req.body.roleTitle) {
+      parsedContent.roleTitle = req.body.roleTitle;
+    }
+
+    const sourceRevision = await jdRevisionService.getCurrent(source);
+
+    const jd = new JobDescription({
+      company: source.company,
+      recruiter: req.user._id,
+      rawText: source.rawText,
+      rawFileUrl: source.rawFileUrl,
+      rawFileName: source.rawFileName,
+      parsedContent,
+      evaluationRubrics,
+      assessmentConfig,
+      status: isParsed ? 'parsed' : 'draft',
+      parsingMeta: source.parsingMeta,
+      clonedFrom: {
+        jd: source._id,
+        revisionNumber: sourceRevision.revisionNumber,
+        includedSets: false,
+      },
+    });
+
+    // Copy the active question sets
+    if (includeSets && isParsed) {
+      const sets = await AssessmentSet.find({ jd: source._id, isActive: true }).sort({ setNumber: 1 });
+      const copies = await AssessmentSet.insertMany(sets.map(set => {
+        const { _id, createdAt, updatedAt, __v, ...content } = set.toObject();
+        // Copies are reviewed again for the new JD
+        return { ...content, jd: jd._id, isApproved: false, approvedBy: null, approvedAt: null };
+      }));
+
+      if (copies.length > 0) {
+        jd.assessmentSets = copies.map(s => s._id);
+        jd.status = 'ready';
+        jd.clonedFrom.includedSets = true;
+      }
+    }
+
+    await jd.save();
+    await jdRevisionService.record(jd, { author: req.user._id, source: 'clone' });
+
+    console.log(`✅ JD ${jd._id} cloned from ${source._id}${jd.clonedFrom.includedSets ? ' (with sets)' : ''}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Job description cloned',
+      data: {
+        id: jd._id,
+        status: jd.status,
+        clonedFrom: jd.clonedFrom,
+        setsCopied: jd.assessmentSets.length,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Clone JD error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clone job description',
+    });
+  }
+});
+
 /**
  * POST /api/jd/:id/parse
  * Parse JD using AI to extract structured data
@@ -269,70 +643,16 @@ router.post('/:id/parse', authenticateToken, requireRecruiter, async (req, res)
       });
     }
 
-    // Update status to parsing
-    jd.status = 'parsing';
-    await jd.save();
-
-    // Get text content (if file URL, you'd need to fetch and extract text)
-    const textToParse = jd.rawText;
-
-    if (!textToParse) {
-      return res.status(400).json({
-        success: false,
-        error: 'No text content available for parsing',
-      });
-    }
-
-    // Parse with AI
-    const parseResult = await parseJDWithAI(textToParse);
+    const parseResult = await parseJobDescription(jd, req.user._id);
 
     if (!parseResult.success) {
-      jd.status = 'draft';
-      jd.parsingMeta = {
-        parsedAt: new Date(),
-        parseErrors: [parseResult.error],
-        aiModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
-      };
-      await jd.save();
-
-      return res.status(500).json({
+      return res.status(parseResult.noContent ? 400 : 500).json({
         success: false,
-        error: 'Failed to parse JD',
+        error: parseResult.noContent ? parseResult.error : 'Failed to parse JD',
         details: parseResult.error,
       });
     }
 
-    // Update JD with parsed content
-    jd.parsedContent = {
-      refinedJD: parseResult.data.refinedJD || '',
-      companyName: parseResult.data.companyName || '',
-      aboutCompany: parseResult.data.aboutCompany || '',
-      roleTitle: parseResult.data.roleTitle || '',
-      roleResponsibilities: parseResult.data.roleResponsibilities || [],
-      experienceLevel: parseResult.data.experienceLevel || 'mid',
-      yearsOfExperience: parseResult.data.yearsOfExperience || { min: 0, max: 0 },
-      technicalSkills: parseResult.data.technicalSkills || [],
-      softSkills: parseResult.data.softSkills || [],
-      toolsAndTechnologies: parseResult.data.toolsAndTechnologies || [],
-      qualifications: parseResult.data.qualifications || [],
-    };
-
-    // Set evaluation rubrics
-    jd.evaluationRubrics = parseResult.data.evaluationRubrics || '';
-
-    // Set default section config based on experience level
-    jd.assessmentConfig.sections = getDefaultSectionConfig(jd.parsedContent.experienceLevel);
-    jd.assessmentConfig.totalTimeMinutes = jd.calculateTotalTime();
-
-    jd.status = 'parsed';
-    jd.parsingMeta = {
-      parsedAt: new Date(),
-      parseErrors: [],
-      aiModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
-    };
-
-    await jd.save();
-
     console.log('✅ JD parsed successfully:', jd._id);
 
     res.json({
@@ -373,6 +693,8 @@ router.put('/:id/config', authenticateToken, requireRecruiter, async (req, res)
       });
     }
 
+    const before = jdRevisionService.snapshot(jd);
+
     const {
       cutoffScore,
       resumeMatchThreshold,
@@ -383,17 +705,23 @@ router.put('/:id/config', authenticateToken, requireRecruiter, async (req, res)
       maxAttempts,
       instructions,
       difficultyDistribution,
+      autoEvaluateOnSubmit,
+      plagiarismThreshold,
+      programmingScoring,
+      questionBankRatio,
+      navigationMode,
     } = req.body;
 
     // Check if test has already started (Lock logic)
     const now = new Date();
     const testStarted = jd.assessmentConfig.startTime && now >= new Date(jd.assessmentConfig.startTime);
 
-    // If test started, only allow updating endTime
+    // If test started, only allow updating endTime (and the evaluation-only settings)
     if (testStarted) {
       if (cutoffScore !== undefined || resumeMatchThreshold !== undefined || sections !== undefined ||
         numberOfSets !== undefined || startTime !== undefined || maxAttempts !== undefined ||
-        instructions !== undefined || difficultyDistribution !== undefined) {
+        instructions !== undefined || difficultyDistribution !== undefined || questionBankRatio !== undefined ||
+        navigationMode !== undefined) {
         return res.status(400).json({
           success: false,
           error: 'Assessment has already started. Only End Time can be modified now.',
@@ -415,6 +743,16 @@ router.put('/:id/config', authenticateToken, requireRecruiter, async (req, res)
     if (endTime !== undefined) jd.assessmentConfig.endTime = endTime;
     if (maxAttempts !== undefined) jd.assessmentConfig.maxAttempts = maxAttempts;
     if (instructions !== undefined) jd.assessmentConfig.instructions = instructions;
+    if (autoEvaluateOnSubmit !== undefined) jd.assessmentConfig.autoEvaluateOnSubmit = Boolean(autoEvaluateOnSubmit);
+    if (plagiarismThreshold !== undefined) jd.assessmentConfig.plagiarismThreshold = plagiarismThreshold;
+    if (questionBankRatio !== undefined) jd.assessmentConfig.questionBankRatio = questionBankRatio;
+    if (navigationMode !== undefined) jd.assessmentConfig.navigationMode = navigationMode;
+    if (programmingScoring !== undefined) {
+      jd.assessmentConfig.programmingScoring = {
+        ...jd.assessmentConfig.programmingScoring,
+        ...programmingScoring,
+      };
+    }
     if (difficultyDistribution !== undefined) {
       jd.assessmentConfig.difficultyDistribution = {
         ...jd.assessmentConfig.difficultyDistribution,
@@ -426,15 +764,20 @@ router.put('/:id/config', authenticateToken, requireRecruiter, async (req, res)
     jd.assessmentConfig.totalTimeMinutes = jd.calculateTotalTime();
 
     await jd.save();
+    const revision = await jdRevisionService.record(jd, { author: req.user._id, source: 'config', before });
 
     res.json({
       success: true,
       message: 'Configuration updated',
       data: {
         assessmentConfig: jd.assessmentConfig,
+        revisionNumber: revision.revisionNumber,
       },
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('❌ Update config error:', error);
     res.status(500).json({
       success: false,
@@ -470,6 +813,7 @@ router.put('/:id/skills', authenticateToken, requireRecruiter, async (req, res)
       });
     }
 
+    const before = jdRevisionService.snapshot(jd);
     const { technicalSkills, softSkills } = req.body;
 
     if (technicalSkills) {
@@ -480,6 +824,7 @@ router.put('/:id/skills', authenticateToken, requireRecruiter, async (req, res)
     }
 
     await jd.save();
+    const revision = await jdRevisionService.record(jd, { author: req.user._id, source: 'skills', before });
 
     res.json({
       success: true,
@@ -487,6 +832,7 @@ router.put('/:id/skills', authenticateToken, requireRecruiter, async (req, res)
       data: {
         technicalSkills: jd.parsedContent.technicalSkills,
         softSkills: jd.parsedContent.softSkills,
+        revisionNumber: revision.revisionNumber,
       },
     });
   } catch (error) {
@@ -566,12 +912,17 @@ router.put('/:id/rubrics', authenticateToken, requireRecruiter, [
       });
     }
 
+    const before = jdRevisionService.snapshot(jd);
     jd.evaluationRubrics = req.body.evaluationRubrics;
     await jd.save();
+    const revision = await jdRevisionService.record(jd, { author: req.user._id, source: 'rubrics', before });
 
     res.json({
       success: true,
       message: 'Rubrics updated',
+      data: {
+        revisionNumber: revision.revisionNumber,
+      },
     });
   } catch (error) {
     console.error('❌ Update rubrics error:', error);
@@ -583,17 +934,15 @@ router.put('/:id/rubrics', authenticateToken, requireRecruiter, [
 });
 
 /**
- * PUT /api/jd/:id/lock
- * Lock or unlock assessment
+ * GET /api/jd/:id/revisions
+ * List the JD's revisions (newest first)
  */
-router.put('/:id/lock', authenticateToken, requireRecruiter, async (req, res) => {
+router.get('/:id/revisions', authenticateToken, requireRecruiter, async (req, res) => {
   try {
-    const { lock } = req.body;
-
     const jd = await JobDescription.findOne({
       _id: req.params.id,
       company: req.user.company,
-    });
+    }).select('currentRevision');
 
     if (!jd) {
       return res.status(404).json({
@@ -602,42 +951,54 @@ router.put('/:id/lock', authenticateToken, requireRecruiter, async (req, res) =>
       });
     }
 
-    jd.assessmentConfig.isLocked = lock;
-    if (lock) {
-      jd.assessmentConfig.lockedAt = new Date();
-    } else {
-      jd.assessmentConfig.lockedAt = null;
-    }
+    const revisions = await JDRevision.find({ jd: jd._id })
+      .sort({ revisionNumber: -1 })
+      .populate('author', 'name email');
 
-    await jd.save();
+    // How many assessments were taken under each revision
+    const pinned = await CandidateAssessment.aggregate([
+      { $match: { jd: jd._id, jdRevision: { $ne: null } } },
+      { $group: { _id: '$jdRevisionNumber', count: { $sum: 1 } } },
+    ]);
+    const pinnedCounts = new Map(pinned.map(p => [p._id, p.count]));
 
     res.json({
       success: true,
-      message: lock ? 'Assessment locked' : 'Assessment unlocked',
       data: {
-        isLocked: jd.assessmentConfig.isLocked,
-        lockedAt: jd.assessmentConfig.lockedAt,
+        currentRevision: jd.currentRevision,
+        revisions: revisions.map(r => ({
+          ...r.toSummary(),
+          assessmentsPinned: pinnedCounts.get(r.revisionNumber) || 0,
+        })),
       },
     });
   } catch (error) {
-    console.error('❌ Lock/unlock error:', error);
+    console.error('❌ List revisions error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to lock/unlock assessment',
+      error: 'Failed to list revisions',
     });
   }
 });
 
 /**
- * POST /api/jd/:id/generate-questions
- * Generate question sets without creating a link yet
+ * GET /api/jd/:id/revisions/compare?from=1&to=3
+ * Field-level diff between two revisions
  */
-router.post('/:id/generate-questions', authenticateToken, requireRecruiter, async (req, res) => {
+router.get('/:id/revisions/compare', authenticateToken, requireRecruiter, [
+  query('from').isInt({ min: 1 }).withMessage('from must be a revision number'),
+  query('to').isInt({ min: 1 }).withMessage('to must be a revision number'),
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
     const jd = await JobDescription.findOne({
       _id: req.params.id,
       company: req.user.company,
-    });
+    }).select('_id');
 
     if (!jd) {
       return res.status(404).json({
@@ -646,177 +1007,1033 @@ router.post('/:id/generate-questions', authenticateToken, requireRecruiter, asyn
       });
     }
 
-    // Update config if provided
-    if (req.body.numberOfSets) {
-      await JobDescription.findByIdAndUpdate(req.params.id, {
-        $set: { 'assessmentConfig.numberOfSets': req.body.numberOfSets }
-      });
-    }
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    const revisions = await JDRevision.find({ jd: jd._id, revisionNumber: { $in: [from, to] } });
+    const fromRevision = revisions.find(r => r.revisionNumber === from);
+    const toRevision = revisions.find(r => r.revisionNumber === to);
 
-    // Trigger set generation and wait
-    const result = await generateQuestionSets(req.params.id);
-
-    if (!result.success) {
-      return res.status(500).json({
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
         success: false,
-        error: 'Failed to generate question sets',
-        details: result.error
+        error: 'Revision not found',
       });
     }
 
     res.json({
       success: true,
-      message: 'Question sets generated successfully',
-      data: { sets: result.sets }
+      data: {
+        from: fromRevision.toSummary(),
+        to: toRevision.toSummary(),
+        changes: jdRevisionService.diff(fromRevision.snapshot, toRevision.snapshot),
+      },
     });
   } catch (error) {
-    console.error('❌ Generate questions error:', error);
+    console.error('❌ Compare revisions error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to start question generation',
+      error: 'Failed to compare revisions',
     });
   }
 });
 
 /**
- * POST /api/jd/:id/generate-link
- * Generate unique assessment link
- * This also triggers question set generation
+ * GET /api/jd/:id/revisions/:revisionNumber
+ * Get a revision with its snapshot and changes
  */
-router.post('/:id/generate-link', authenticateToken, requireRecruiter, async (req, res) => {
+router.get('/:id/revisions/:revisionNumber', authenticateToken, requireRecruiter, [
+  param('revisionNumber').isInt({ min: 1 }).withMessage('Invalid revision number'),
+], async (req, res) => {
   try {
-    const jd = await JobDescription.findOne({
-      _id: req.params.id,
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const revision = await JDRevision.findOne({
+      jd: req.params.id,
       company: req.user.company,
-    });
+      revisionNumber: parseInt(req.params.revisionNumber),
+    }).populate('author', 'name email');
 
-    if (!jd) {
+    if (!revision) {
       return res.status(404).json({
         success: false,
-        error: 'Job description not found',
-      });
-    }
-
-    if (jd.status !== 'parsed' && jd.status !== 'ready') {
-      return res.status(400).json({
-        success: false,
-        error: 'JD must be parsed before generating link',
+        error: 'Revision not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...revision.toSummary(),
+        snapshot: revision.snapshot,
+        changes: revision.changes,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Get revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get revision',
+    });
+  }
+});
+
+/**
+ * POST /api/jd/:id/revisions/:revisionNumber/restore
+ * Restore a revision's content (recorded as a new revision)
+ */
+router.post('/:id/revisions/:revisionNumber/restore', authenticateToken, requireRecruiter, [
+  param('revisionNumber').isInt({ min: 1 }).withMessage('Invalid revision number'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const jd = await JobDescription.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+    });
+
+    if (!jd) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job description not found',
+      });
+    }
+
+    // Same lock as the edit endpoints
+    const now = new Date();
+    if (jd.assessmentConfig.startTime && now >= new Date(jd.assessmentConfig.startTime)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Assessment has already started and revisions cannot be restored',
+      });
+    }
+
+    const revision = await JDRevision.findOne({
+      jd: jd._id,
+      revisionNumber: parseInt(req.params.revisionNumber),
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+      });
+    }
+
+    const restored = await jdRevisionService.restore(jd, revision, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Revision ${revision.revisionNumber} restored`,
+      data: {
+        revisionNumber: restored.revisionNumber,
+        changes: restored.changes,
+        parsedContent: jd.parsedContent,
+        evaluationRubrics: jd.evaluationRubrics,
+        assessmentConfig: jd.assessmentConfig,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore revision',
+    });
+  }
+});
+
+/**
+ * PUT /api/jd/:id/lock
+ * Lock or unlock assessment
+ */
+router.put('/:id/lock', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const { lock } = req.body;
+
+    const jd = await JobDescription.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+    });
+
+    if (!jd) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job description not found',
+      });
+    }
+
+    if (lock) {
+      const approval = await getSetApprovalStatus(jd._id);
+      if (approval.activeCount === 0 || approval.unapproved.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: approval.activeCount === 0
+            ? 'Generate and approve question sets before locking the assessment'
+            : `Every active question set must be approved before locking (unapproved: ${approval.unapproved.join(', ')})`,
+          data: { unapprovedSets: approval.unapproved },
+        });
+      }
+    }
+
+    jd.assessmentConfig.isLocked = lock;
+    if (lock) {
+      jd.assessmentConfig.lockedAt = new Date();
+    } else {
+      jd.assessmentConfig.lockedAt = null;
+    }
+
+    await jd.save();
+
+    res.json({
+      success: true,
+      message: lock ? 'Assessment locked' : 'Assessment unlocked',
+      data: {
+        isLocked: jd.assessmentConfig.isLocked,
+        lockedAt: jd.assessmentConfig.lockedAt,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Lock/unlock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lock/unlock assessment',
+    });
+  }
+});
+
+/**
+ * POST /api/jd/:id/generate-questions
+ * Generate question sets without creating a link yet
+ */
+router.post('/:id/generate-questions', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const jd = await JobDescription.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+    });
+
+    if (!jd) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job description not found',
+      });
+    }
+
+    // Update config if provided
+    if (req.body.numberOfSets) {
+      await JobDescription.findByIdAndUpdate(req.params.id, {
+        $set: { 'assessmentConfig.numberOfSets': req.body.numberOfSets }
+      });
+    }
+
+    // Queue set generation
+    await JobDescription.findByIdAndUpdate(req.params.id, { $set: { status: 'generating_sets' } });
+    const job = await jobQueue.enqueue('question_generation', { jdId: jd._id }, {
+      subjectId: jd._id,
+      company: jd.company,
+      createdBy: req.user._id,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Question set generation queued',
+      data: {
+        jobId: job._id,
+        status: 'generating_sets',
+      }
+    });
+  } catch (error) {
+    console.error('❌ Generate questions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start question generation',
+    });
+  }
+});
+
+/**
+ * GET /api/jd/:id/coverage
+ * Skill × difficulty coverage of each active set, with the difficulty quota check per section
+ * and the set's equivalence metrics against the other sets
+ */
+router.get('/:id/coverage', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const jd = await JobDescription.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+    }).select('assessmentConfig.difficultyDistribution assessmentConfig.sections');
+
+    if (!jd) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job description not found',
+      });
+    }
+
+    const sets = await AssessmentSet.find({ jd: jd._id, isActive: true })
+      .sort({ setNumber: 1 })
+      .select('setNumber coverage equivalence objectiveQuestions.skill objectiveQuestions.difficulty subjectiveQuestions.skill subjectiveQuestions.difficulty programmingQuestions.skill programmingQuestions.difficulty');
+
+    res.json({
+      success: true,
+      data: {
+        difficultyDistribution: jd.assessmentConfig.difficultyDistribution,
+        tolerancePercent: blueprintService.tolerancePercent,
+        sets: sets.map(set => ({
+          id: set._id,
+          setNumber: set.setNumber,
+          // Sets generated before coverage tracking get their matrix computed on the fly
+          coverage: set.coverage?.generatedAt ? set.coverage : blueprintService.buildCoverage(set),
+          equivalence: set.equivalence?.balancedAt ? set.equivalence : null,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Get coverage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch set coverage',
+    });
+  }
+});
+
+/**
+ * POST /api/jd/:id/generate-link
+ * Generate unique assessment link
+ * Only once the JD is ready and every active question set has been approved;
+ * the approved sets are used as they are (nothing is generated here)
+ */
+router.post('/:id/generate-link', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const jd = await JobDescription.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+    });
+
+    if (!jd) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job description not found',
+      });
+    }
+
+    if (jd.status !== 'ready') {
+      return res.status(400).json({
+        success: false,
+        error: 'Generate and approve question sets before generating the link',
+      });
+    }
+
+    // Recruiters review the questions before candidates can be invited
+    const approval = await getSetApprovalStatus(jd._id);
+    if (approval.activeCount === 0 || approval.unapproved.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: approval.activeCount === 0
+          ? 'Generate and approve question sets before generating the link'
+          : `Every active question set must be approved before generating the link (unapproved: ${approval.unapproved.join(', ')})`,
+        data: { unapprovedSets: approval.unapproved },
       });
     }
 
     // Validate timing
     const { startTime, endTime } = req.body;
 
-    if (!startTime || !endTime) {
+    if (!startTime || !endTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start time and end time are required',
+      });
+    }
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (start >= end) {
+      return res.status(400).json({
+        success: false,
+        error: 'End time must be after start time',
+      });
+    }
+
+    // Generate unique assessment link
+    let assessmentLink = JobDescription.generateAssessmentLink();
+
+    // Ensure uniqueness
+    while (await JobDescription.findOne({ 'assessmentConfig.assessmentLink': assessmentLink })) {
+      assessmentLink = JobDescription.generateAssessmentLink();
+    }
+
+    // Update JD (the approved sets are used as they are)
+    const updateData = {
+      'assessmentConfig.assessmentLink': assessmentLink,
+      'assessmentConfig.linkGeneratedAt': new Date(),
+      'assessmentConfig.startTime': start,
+      'assessmentConfig.endTime': end,
+      // Removed automatic isLocked = true to allow edits until startTime
+    };
+
+    await JobDescription.findByIdAndUpdate(jd._id, { $set: updateData });
+
+    res.json({
+      success: true,
+      message: 'Assessment link generated',
+      data: {
+        assessmentLink,
+        fullLink: `${process.env.FRONTEND_URL}/assessment/${assessmentLink}`,
+        startTime: start,
+        endTime: end,
+        status: jd.status,
+        approvedSets: approval.activeCount,
+      },
+    });
+
+  } catch (error) {
+    console.error('❌ Generate link error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate assessment link',
+    });
+  }
+});
+
+/**
+ * DELETE /api/jd/:id
+ * Delete a JD
+ */
+router.delete('/:id', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const jd = await JobDescription.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+    });
+
+    if (!jd) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job description not found',
+      });
+    }
+
+    if (jd.status === 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete an active assessment',
+      });
+    }
+
+    // Delete associated assessment sets
+    await AssessmentSet.deleteMany({ jd: jd._id });
+
+    // Delete the JD
+    await jd.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Job description deleted',
+    });
+  } catch (error) {
+    console.error('❌ Delete JD error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete job description',
+    });
+  }
+});
+
+// ============================================================================
+// QUESTION SET REVIEW ROUTES
+// ============================================================================
+
+const SET_SECTIONS = ['objective', 'subjective', 'programming'];
+
+// Fields a recruiter may edit per section (questionId is fixed)
+const EDITABLE_QUESTION_FIELDS = {
+  objective: ['questionText', 'options', 'skill', 'difficulty', 'points', 'explanation'],
+  subjective: ['questionText', 'expectedAnswer', 'rubric', 'skill', 'difficulty', 'points', 'maxWords'],
+  programming: [
+    'title', 'questionText', 'description', 'constraints', 'sampleInput', 'sampleOutput', 'testCases',
+    'skill', 'difficulty', 'points', 'allowedLanguages', 'timeLimit', 'memoryLimit', 'signature', 'starterCode',
+    'referenceSolution',
+  ],
+};
+
+/**
+ * Load a JD and one of its sets for the review routes, sending the error response if either is missing
+ * or the set can no longer be edited
+ * @returns {Promise<Object|null>} { jd, set }
+ */
+async function loadEditableSet(req, res) {
+  const jd = await JobDescription.findOne({
+    _id: req.params.id,
+    company: req.user.company,
+  });
+
+  if (!jd) {
+    res.status(404).json({ success: false, error: 'Job description not found' });
+    return null;
+  }
+
+  const set = await AssessmentSet.findOne({ _id: req.params.setId, jd: jd._id });
+  if (!set) {
+    res.status(404).json({ success: false, error: 'Question set not found' });
+    return null;
+  }
+
+  if (jd.assessmentConfig.isLocked) {
+    res.status(400).json({ success: false, error: 'Assessment is locked. Unlock it to edit questions.' });
+    return null;
+  }
+
+  // Evaluations score answers against the set, so it must not change once a candidate has it
+  if (await CandidateAssessment.exists({ assignedSet: set._id })) {
+    res.status(400).json({ success: false, error: 'Question set is already assigned to candidates and cannot be edited' });
+    return null;
+  }
+
+  return { jd, set };
+}
+
+/**
+ * Find a question in a set by section and questionId, sending a 400/404 if not found
+ * @returns {Object|null} { questions, index }
+ */
+function findSetQuestion(req, res, set) {
+  const { section, questionId } = req.params;
+
+  if (!SET_SECTIONS.includes(section)) {
+    res.status(400).json({ success: false, error: `Section must be one of: ${SET_SECTIONS.join(', ')}` });
+    return null;
+  }
+
+  const questions = set[`${section}Questions`];
+  const index = questions.findIndex(q => q.questionId === questionId);
+  if (index === -1) {
+    res.status(404).json({ success: false, error: 'Question not found' });
+    return null;
+  }
+
+  return { questions, index };
+}
+
+/**
+ * Keep only the editable fields of a question payload; programming signatures get fresh starter code
+ */
+function pickQuestionFields(section, input) {
+  const fields = {};
+  for (const key of EDITABLE_QUESTION_FIELDS[section]) {
+    if (input[key] !== undefined) fields[key] = input[key];
+  }
+  if (fields.difficulty !== undefined) {
+    fields.difficulty = String(fields.difficulty).toLowerCase();
+  }
+  if (section === 'programming' && fields.signature !== undefined && fields.starterCode === undefined &&
+    harnessService.isValidSignature(fields.signature)) {
+    fields.starterCode = harnessService.generateStarterCode(fields.signature, fields.allowedLanguages || undefined);
+  }
+  return fields;
+}
+
+// Programming fields that change what the reference solution is checked against
+const REFERENCE_CHECKED_FIELDS = ['testCases', 'timeLimit', 'memoryLimit', 'signature', 'referenceSolution'];
+
+/**
+ * Re-run the reference solution of an edited programming question
+ * @returns {Promise<string|null>} Error message when the question's test cases fail their reference solution
+ */
+async function revalidateProgrammingQuestion(question, fields) {
+  if (!REFERENCE_CHECKED_FIELDS.some(key => fields[key] !== undefined)) {
+    return null;
+  }
+
+  question.referenceValidation = await referenceSolutionService.validate(question);
+  if (question.referenceValidation.status === 'failed') {
+    return `Reference solution check failed: ${question.referenceValidation.reason}`;
+  }
+  return null;
+}
+
+function validateObjectiveOptions(options) {
+  if (!Array.isArray(options) || options.length < 2) {
+    return 'Objective questions need at least 2 options';
+  }
+  if (options.filter(o => o?.isCorrect).length !== 1) {
+    return 'Objective questions need exactly 1 correct option';
+  }
+  return null;
+}
+
+/**
+ * Save an edited set: withdraw its approval, refresh its coverage and
+ * re-measure equivalence across the JD's sets. totalPoints is recomputed by the pre-save hook.
+ */
+async function saveEditedSet(set, userId) {
+  set.isApproved = false;
+  set.approvedBy = null;
+  set.approvedAt = null;
+  set.lastEditedBy = userId;
+  set.lastEditedAt = new Date();
+  set.coverage = blueprintService.refreshCoverage(set);
+  await set.save();
+
+  const sets = await AssessmentSet.find({ jd: set.jd, isActive: true });
+  const metrics = setBalancingService.measure(sets);
+  await Promise.all(sets.map((s, i) => AssessmentSet.updateOne({ _id: s._id }, {
+    $set: {
+      equivalence: {
+        ...metrics[i],
+        regenerations: s.equivalence?.regenerations || 0,
+        balancedAt: s.equivalence?.balancedAt || null,
+      },
+    },
+  })));
+}
+
+/**
+ * Active sets of a JD that still need approval
+ * @returns {Promise<Object>} { activeCount, unapproved: [setNumber] }
+ */
+async function getSetApprovalStatus(jdId) {
+  const sets = await AssessmentSet.find({ jd: jdId, isActive: true }).select('setNumber isApproved').lean();
+  return {
+    activeCount: sets.length,
+    unapproved: sets.filter(s => !s.isApproved).map(s => s.setNumber).sort((a, b) => a - b),
+  };
+}
+
+function setSummary(set) {
+  return {
+    id: set._id,
+    setNumber: set.setNumber,
+    isActive: set.isActive,
+    isApproved: set.isApproved,
+    approvedBy: set.approvedBy,
+    approvedAt: set.approvedAt,
+    lastEditedAt: set.lastEditedAt,
+    totalPoints: set.totalPoints,
+    questionCounts: {
+      objective: set.objectiveQuestions.length,
+      subjective: set.subjectiveQuestions.length,
+      programming: set.programmingQuestions.length,
+    },
+  };
+}
+
+/**
+ * GET /api/jd/:id/sets
+ * List a JD's question sets with their approval status (?includeQuestions=true for the questions)
+ */
+router.get('/:id/sets', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const jd = await JobDescription.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+    }).select('_id');
+
+    if (!jd) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job description not found',
+      });
+    }
+
+    const sets = await AssessmentSet.find({ jd: jd._id }).sort({ setNumber: 1 });
+    const includeQuestions = req.query.includeQuestions === 'true';
+    const approval = await getSetApprovalStatus(jd._id);
+
+    res.json({
+      success: true,
+      data: {
+        sets: sets.map(set => includeQuestions ? { ...setSummary(set), ...set.toObject() } : setSummary(set)),
+        allApproved: approval.activeCount > 0 && approval.unapproved.length === 0,
+        unapprovedSets: approval.unapproved,
+      },
+    });
+  } catch (error) {
+    console.error('❌ List sets error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch question sets',
+    });
+  }
+});
+
+/**
+ * GET /api/jd/:id/sets/:setId
+ * Get a question set with all its questions
+ */
+router.get('/:id/sets/:setId', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const jd = await JobDescription.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+    }).select('_id');
+
+    const set = jd && await AssessmentSet.findOne({ _id: req.params.setId, jd: jd._id });
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question set not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: set,
+    });
+  } catch (error) {
+    console.error('❌ Get set error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch question set',
+    });
+  }
+});
+
+/**
+ * PUT /api/jd/:id/sets/:setId/approval
+ * Approve or withdraw approval of a set. Body: { approved: boolean }
+ */
+router.put('/:id/sets/:setId/approval', authenticateToken, requireRecruiter, [
+  body('approved').isBoolean().withMessage('approved must be a boolean'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const jd = await JobDescription.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+    });
+
+    const set = jd && await AssessmentSet.findOne({ _id: req.params.setId, jd: jd._id });
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question set not found',
+      });
+    }
+
+    const approved = req.body.approved === true || req.body.approved === 'true';
+    if (!approved && jd.assessmentConfig.isLocked) {
       return res.status(400).json({
         success: false,
-        error: 'Start time and end time are required',
+        error: 'Assessment is locked. Unlock it before withdrawing approval.',
       });
     }
 
-    const start = new Date(startTime);
-    const end = new Date(endTime);
+    set.isApproved = approved;
+    set.approvedBy = approved ? req.user._id : null;
+    set.approvedAt = approved ? new Date() : null;
+    await set.save();
 
-    if (start >= end) {
+    const approval = await getSetApprovalStatus(jd._id);
+
+    res.json({
+      success: true,
+      message: approved ? `Set ${set.setNumber} approved` : `Set ${set.setNumber} approval withdrawn`,
+      data: {
+        ...setSummary(set),
+        allApproved: approval.activeCount > 0 && approval.unapproved.length === 0,
+        unapprovedSets: approval.unapproved,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Set approval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update set approval',
+    });
+  }
+});
+
+/**
+ * PATCH /api/jd/:id/sets/:setId/questions/:section/:questionId
+ * Edit fields of a question
+ */
+router.patch('/:id/sets/:setId/questions/:section/:questionId', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const loaded = await loadEditableSet(req, res);
+    if (!loaded) return;
+    const { set } = loaded;
+
+    const found = findSetQuestion(req, res, set);
+    if (!found) return;
+
+    const { section } = req.params;
+    const fields = pickQuestionFields(section, req.body);
+    if (Object.keys(fields).length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'End time must be after start time',
+        error: `No editable fields provided (${EDITABLE_QUESTION_FIELDS[section].join(', ')})`,
       });
     }
 
-    // Generate unique assessment link
-    let assessmentLink = JobDescription.generateAssessmentLink();
+    if (section === 'objective' && fields.options !== undefined) {
+      const optionsError = validateObjectiveOptions(fields.options);
+      if (optionsError) {
+        return res.status(400).json({ success: false, error: optionsError });
+      }
+    }
 
-    // Ensure uniqueness
-    while (await JobDescription.findOne({ 'assessmentConfig.assessmentLink': assessmentLink })) {
-      assessmentLink = JobDescription.generateAssessmentLink();
+    found.questions[found.index].set(fields);
+
+    if (section === 'programming') {
+      const referenceError = await revalidateProgrammingQuestion(found.questions[found.index], fields);
+      if (referenceError) {
+        return res.status(400).json({
+          success: false,
+          error: referenceError,
+          data: { referenceValidation: found.questions[found.index].referenceValidation },
+        });
+      }
     }
 
-    // Update JD
-    const updateData = {
-      'assessmentConfig.assessmentLink': assessmentLink,
-      'assessmentConfig.linkGeneratedAt': new Date(),
-      'assessmentConfig.startTime': start,
-      'assessmentConfig.endTime': end,
-      // Removed automatic isLocked = true to allow edits until startTime
-      status: 'generating_sets'
-    };
+    await saveEditedSet(set, req.user._id);
 
-    await JobDescription.findByIdAndUpdate(jd._id, { $set: updateData });
+    res.json({
+      success: true,
+      message: 'Question updated',
+      data: {
+        question: found.questions[found.index],
+        totalPoints: set.totalPoints,
+        isApproved: set.isApproved,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('❌ Edit question error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update question',
+    });
+  }
+});
+
+/**
+ * PUT /api/jd/:id/sets/:setId/questions/:section/:questionId
+ * Replace a question with a recruiter-written one (keeps the questionId)
+ */
+router.put('/:id/sets/:setId/questions/:section/:questionId', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const loaded = await loadEditableSet(req, res);
+    if (!loaded) return;
+    const { set } = loaded;
+
+    const found = findSetQuestion(req, res, set);
+    if (!found) return;
+
+    const { section, questionId } = req.params;
+    const fields = pickQuestionFields(section, req.body);
+
+    if (section === 'objective') {
+      const optionsError = validateObjectiveOptions(fields.options);
+      if (optionsError) {
+        return res.status(400).json({ success: false, error: optionsError });
+      }
+    }
+
+    found.questions.splice(found.index, 1, { ...fields, questionId });
+
+    if (section === 'programming') {
+      const referenceError = await revalidateProgrammingQuestion(found.questions[found.index], fields);
+      if (referenceError) {
+        return res.status(400).json({
+          success: false,
+          error: referenceError,
+          data: { referenceValidation: found.questions[found.index].referenceValidation },
+        });
+      }
+    }
+
+    await saveEditedSet(set, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Question replaced',
+      data: {
+        question: found.questions[found.index],
+        totalPoints: set.totalPoints,
+        isApproved: set.isApproved,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('❌ Replace question error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replace question',
+    });
+  }
+});
+
+/**
+ * POST /api/jd/:id/sets/:setId/questions/:section/:questionId/regenerate
+ * Replace a question with a new AI-generated one of the same skill and difficulty
+ */
+router.post('/:id/sets/:setId/questions/:section/:questionId/regenerate', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const loaded = await loadEditableSet(req, res);
+    if (!loaded) return;
+    const { jd, set } = loaded;
+
+    const found = findSetQuestion(req, res, set);
+    if (!found) return;
 
-    // Trigger set generation and MAINTAIN sequence (Wait for success)
-    console.log(`⏳ Starting question generation for JD ${jd._id} before returning link...`);
-    const generationResult = await generateQuestionSets(jd._id);
+    const { section, questionId } = req.params;
+    const current = found.questions[found.index];
+    const plan = blueprintService.planForSlots([{ skill: current.skill, difficulty: current.difficulty }]);
+    const { generate, idPrefix } = SECTION_GENERATORS[section];
 
-    if (!generationResult.success) {
-      return res.status(500).json({
+    const result = await generate(jd.parsedContent, 1, jd.evaluationRubrics, plan);
+    const [question] = result.success ? blueprintService.fitToPlan(result.questions, plan, idPrefix) : [];
+
+    if (!question) {
+      return res.status(502).json({
         success: false,
-        error: 'Assessment link generated, but question set generation failed.',
-        details: generationResult.error
+        error: `Failed to regenerate question${result.error ? `: ${result.error}` : ''}`,
       });
     }
 
+    found.questions.splice(found.index, 1, { ...question, questionId });
+    await saveEditedSet(set, req.user._id);
+
     res.json({
       success: true,
-      message: 'Assessment link generated and question sets are ready.',
+      message: 'Question regenerated',
       data: {
-        assessmentLink,
-        fullLink: `${process.env.FRONTEND_URL}/assessment/${assessmentLink}`,
-        startTime: start,
-        endTime: end,
-        status: 'ready',
+        question: found.questions[found.index],
+        totalPoints: set.totalPoints,
+        isApproved: set.isApproved,
       },
     });
-
   } catch (error) {
-    console.error('❌ Generate link error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(502).json({ success: false, error: `Generated question was invalid: ${error.message}` });
+    }
+    console.error('❌ Regenerate question error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate assessment link',
+      error: 'Failed to regenerate question',
     });
   }
 });
 
 /**
- * DELETE /api/jd/:id
- * Delete a JD
+ * POST /api/jd/:id/sets/:setId/questions/:section/:questionId/promote
+ * Add a question to the company question bank. Body: { roles, tags } (roles defaults to the JD's role title)
  */
-router.delete('/:id', authenticateToken, requireRecruiter, async (req, res) => {
+router.post('/:id/sets/:setId/questions/:section/:questionId/promote', authenticateToken, requireRecruiter, [
+  body('roles').optional().isArray(),
+  body('tags').optional().isArray(),
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
     const jd = await JobDescription.findOne({
       _id: req.params.id,
       company: req.user.company,
-    });
+    }).select('company parsedContent.roleTitle');
 
-    if (!jd) {
+    const set = jd && await AssessmentSet.findOne({ _id: req.params.setId, jd: jd._id });
+    if (!set) {
       return res.status(404).json({
         success: false,
-        error: 'Job description not found',
+        error: 'Question set not found',
       });
     }
 
-    if (jd.status === 'active') {
+    const found = findSetQuestion(req, res, set);
+    if (!found) return;
+
+    const { section, questionId } = req.params;
+    const question = found.questions[found.index];
+    if (question.bankQuestion) {
       return res.status(400).json({
         success: false,
-        error: 'Cannot delete an active assessment',
+        error: 'Question is already in the question bank',
+        data: { bankQuestionId: question.bankQuestion },
       });
     }
 
-    // Delete associated assessment sets
-    await AssessmentSet.deleteMany({ jd: jd._id });
+    const roleTitle = jd.parsedContent?.roleTitle;
+    const bankQuestion = await BankQuestion.create({
+      ...questionBankService.fromSetQuestion(section, question),
+      company: jd.company,
+      roles: req.body.roles || (roleTitle ? [roleTitle] : []),
+      tags: req.body.tags || [],
+      source: { jd: jd._id, assessmentSet: set._id, questionId },
+      createdBy: req.user._id,
+      usage: { timesUsed: 1, jds: [jd._id], lastUsedAt: new Date() },
+    });
 
-    // Delete the JD
-    await jd.deleteOne();
+    // Link without touching the set's approval; the question itself is unchanged
+    await AssessmentSet.updateOne(
+      { _id: set._id },
+      { $set: { [`${section}Questions.${found.index}.bankQuestion`]: bankQuestion._id } }
+    );
+
+    console.log(`🏦 Question ${questionId} of set ${set.setNumber} promoted to the bank: ${bankQuestion._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Question added to the question bank',
+      data: bankQuestion,
+    });
+  } catch (error) {
+    console.error('❌ Promote question error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add question to the question bank',
+    });
+  }
+});
+
+/**
+ * DELETE /api/jd/:id/sets/:setId/questions/:section/:questionId
+ * Remove a question from a set
+ */
+router.delete('/:id/sets/:setId/questions/:section/:questionId', authenticateToken, requireRecruiter, async (req, res) => {
+  try {
+    const loaded = await loadEditableSet(req, res);
+    if (!loaded) return;
+    const { set } = loaded;
+
+    const found = findSetQuestion(req, res, set);
+    if (!found) return;
+
+    found.questions.splice(found.index, 1);
+    await saveEditedSet(set, req.user._id);
 
     res.json({
       success: true,
-      message: 'Job description deleted',
+      message: 'Question deleted',
+      data: {
+        totalPoints: set.totalPoints,
+        questionCounts: setSummary(set).questionCounts,
+        isApproved: set.isApproved,
+      },
     });
   } catch (error) {
-    console.error('❌ Delete JD error:', error);
+    console.error('❌ Delete question error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete job description',
+      error: 'Failed to delete question',
     });
   }
 });
@@ -826,6 +2043,8 @@ router.delete('/:id', authenticateToken, requireRecruiter, async (req, res) => {
 // ============================================================================
 
 async function generateQuestionSets(jdId) {
+  const generatedSets = [];
+
   try {
     const jd = await JobDescription.findById(jdId);
     if (!jd) {
@@ -834,69 +2053,41 @@ async function generateQuestionSets(jdId) {
     }
 
     const numberOfSets = jd.assessmentConfig.numberOfSets || 3;
-    const sections = jd.assessmentConfig.sections;
 
     console.log(`🎯 Generating ${numberOfSets} sets for JD: ${jd._id}`);
 
-    const generatedSets = [];
+    // Bank questions already placed in one of this JD's sets
+    const usedBankIds = new Set();
 
+    const sets = [];
     for (let setNum = 1; setNum <= numberOfSets; setNum++) {
       console.log(`📝 Generating set ${setNum}/${numberOfSets}...`);
+      sets.push(await buildQuestionSet(jd, setNum, usedBankIds));
+    }
 
-      const set = {
-        jd: jd._id,
-        setNumber: setNum,
-        objectiveQuestions: [],
-        subjectiveQuestions: [],
-        programmingQuestions: [],
-        generationMeta: {
-          generatedAt: new Date(),
-          aiModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
-        },
-      };
-
-      // Generate objective questions
-      if (sections.objective.enabled && sections.objective.questionCount > 0) {
-        const objectiveResult = await generateObjectiveQuestions(
-          jd.parsedContent,
-          sections.objective.questionCount,
-          jd.evaluationRubrics
-        );
-        if (objectiveResult.success) {
-          set.objectiveQuestions = objectiveResult.questions;
-        }
-      }
-
-      // Generate subjective questions
-      if (sections.subjective.enabled && sections.subjective.questionCount > 0) {
-        const subjectiveResult = await generateSubjectiveQuestions(
-          jd.parsedContent,
-          sections.subjective.questionCount,
-          jd.evaluationRubrics
-        );
-        if (subjectiveResult.success) {
-          set.subjectiveQuestions = subjectiveResult.questions;
-        }
-      }
+    // Make the sets equivalent before any candidate can be assigned one
+    await setBalancingService.balance(sets, (setNum) => {
+      console.log(`📝 Regenerating set ${setNum}/${numberOfSets}...`);
+      return buildQuestionSet(jd, setNum, usedBankIds);
+    });
 
-      // Generate programming questions
-      if (sections.programming.enabled && sections.programming.questionCount > 0) {
-        const programmingResult = await generateProgrammingQuestions(
-          jd.parsedContent,
-          sections.programming.questionCount,
-          jd.evaluationRubrics
-        );
-        if (programmingResult.success) {
-          set.programmingQuestions = programmingResult.questions;
-        }
-      }
+    for (const set of sets) {
+      // Swaps move questions between sets, so recount skills (difficulty quotas are unchanged)
+      set.coverage = blueprintService.buildCoverage(set, set.coverage.sections);
 
-      // Save the set
       const savedSet = await AssessmentSet.create(set);
       generatedSets.push(savedSet._id);
-      console.log(`✅ Set ${setNum} saved: ${savedSet._id}`);
+      console.log(`✅ Set ${set.setNumber} saved: ${savedSet._id}`);
     }
 
+    await questionBankService.recordUsage(sets, jd._id);
+
+    // Retire the previous sets (kept for candidates already assigned to them)
+    await AssessmentSet.updateMany(
+      { jd: jdId, _id: { $nin: generatedSets }, isActive: true },
+      { $set: { isActive: false } }
+    );
+
     // Update JD with generated sets using findByIdAndUpdate to avoid VersionError
     await JobDescription.findByIdAndUpdate(jdId, {
       $set: {
@@ -911,9 +2102,11 @@ async function generateQuestionSets(jdId) {
   } catch (error) {
     console.error('❌ Error generating question sets:', error);
 
-    // Update JD status to indicate error without using .save()
+    // Drop sets from this attempt so a retry starts clean
+    await AssessmentSet.deleteMany({ _id: { $in: generatedSets } });
+
+    // Record the error without using .save(); the job queue resets the status once retries run out
     await JobDescription.findByIdAndUpdate(jdId, {
-      $set: { status: 'parsed' },
       $push: { 'parsingMeta.parseErrors': error.message }
     });
 
@@ -921,16 +2114,148 @@ async function generateQuestionSets(jdId) {
   }
 }
 
-async function generateObjectiveQuestions(parsedContent, count, rubrics) {
+/**
+ * Generate one set's questions (not saved)
+ * @returns {Promise<Object>} Plain AssessmentSet object with its coverage report
+ */
+async function buildQuestionSet(jd, setNum, usedBankIds = new Set()) {
+  const sections = jd.assessmentConfig.sections;
+  const set = {
+    jd: jd._id,
+    setNumber: setNum,
+    objectiveQuestions: [],
+    subjectiveQuestions: [],
+    programmingQuestions: [],
+    generationMeta: {
+      generatedAt: new Date(),
+      aiModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    },
+  };
+  const startedAt = Date.now();
+
+  // Generate each section against its skill × difficulty plan
+  const sectionChecks = {};
+  for (const section of ['objective', 'subjective', 'programming']) {
+    if (!sections[section].enabled || sections[section].questionCount <= 0) continue;
+
+    const { questions, check } = await generateSection(jd, section, setNum, usedBankIds);
+    set[`${section}Questions`] = questions;
+    sectionChecks[section] = check;
+  }
+  set.coverage = blueprintService.buildCoverage(set, sectionChecks);
+  set.generationMeta.generationTime = Date.now() - startedAt;
+
+  return set;
+}
+
+const SECTION_GENERATORS = {
+  objective: { generate: generateObjectiveQuestions, idPrefix: 'obj' },
+  subjective: { generate: generateSubjectiveQuestions, idPrefix: 'sub' },
+  programming: { generate: generateProgrammingQuestions, idPrefix: 'prog' },
+};
+
+/**
+ * Generate one section of a set, regenerating until its difficulty mix is within tolerance.
+ * assessmentConfig.questionBankRatio of the plan's slots are filled from the company question bank
+ * (where matching questions exist) and the rest by AI.
+ * @param {Set} usedBankIds - Bank questions already in this JD's sets (updated with new picks)
+ * @returns {Promise<Object>} { questions, check } - check includes the number of attempts
+ * @throws When no attempt is within tolerance
+ */
+async function generateSection(jd, section, setNum, usedBankIds) {
+  const { generate, idPrefix } = SECTION_GENERATORS[section];
+  const count = jd.assessmentConfig.sections[section].questionCount;
+  const plan = blueprintService.buildPlan(
+    count,
+    jd.parsedContent.technicalSkills,
+    jd.assessmentConfig.difficultyDistribution
+  );
+
+  const bank = await questionBankService.pickForSlots({
+    company: jd.company,
+    type: section,
+    slots: plan.slots,
+    count: Math.round((count * (jd.assessmentConfig.questionBankRatio || 0)) / 100),
+    role: jd.parsedContent.roleTitle,
+    excludeIds: usedBankIds,
+  });
+  const bankQuestions = bank.questions.map(b => b.question);
+  const aiPlan = blueprintService.planForSlots(bank.remainingSlots);
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= blueprintService.maxAttempts; attempt++) {
+    let aiQuestions = [];
+    if (aiPlan.count > 0) {
+      const result = await generate(jd.parsedContent, aiPlan.count, jd.evaluationRubrics, aiPlan);
+      if (!result.success) {
+        lastError = result.error;
+        continue;
+      }
+      aiQuestions = result.questions;
+    }
+
+    const questions = blueprintService.fitToPlan([...bankQuestions, ...aiQuestions], plan, idPrefix);
+    const check = blueprintService.checkSection(questions, plan);
+    if (check.withinTolerance) {
+      return { questions, check: { ...check, attempts: attempt, fromBank: bankQuestions.length } };
+    }
+
+    lastError = `${check.offQuota} of ${count} question(s) outside the difficulty quota ` +
+      `(target ${JSON.stringify(check.target)}, got ${JSON.stringify(check.actual)})`;
+    console.warn(`⚠️ Set ${setNum} ${section} attempt ${attempt} rejected: ${lastError}`);
+  }
+
+  throw new Error(`Set ${setNum} ${section} questions rejected after ${blueprintService.maxAttempts} attempts: ${lastError}`);
+}
+
+// ============================================================================
+// JOB QUEUE HANDLER
+// ============================================================================
+
+jobQueue.register('question_generation', {
+  run: async ({ jdId }) => {
+    await JobDescription.findByIdAndUpdate(jdId, { $set: { status: 'generating_sets' } });
+
+    const result = await generateQuestionSets(jdId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return { sets: result.sets };
+  },
+  onFailed: async ({ jdId }) => {
+    await JobDescription.findByIdAndUpdate(jdId, { $set: { status: 'parsed' } });
+  },
+});
+
+jobQueue.register('jd_parse', {
+  run: async ({ jdId }, job) => {
+    const jd = await JobDescription.findById(jdId);
+    if (!jd) {
+      throw new Error('Job description not found');
+    }
+
+    const result = await parseJobDescription(jd, job.createdBy);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return { status: jd.status };
+  },
+  onFailed: async ({ jdId }) => {
+    await JobDescription.updateOne({ _id: jdId, status: 'parsing' }, { $set: { status: 'draft' } });
+  },
+});
+
+async function generateObjectiveQuestions(parsedContent, count, rubrics, plan) {
   const prompt = `Generate ${count} multiple choice questions for a technical assessment.
 
 ROLE: ${parsedContent.roleTitle}
 EXPERIENCE LEVEL: ${parsedContent.experienceLevel}
 SKILLS TO TEST: ${parsedContent.technicalSkills.map(s => s.name).join(', ')}
+${plan ? blueprintService.formatPlan(plan) : ''}
 
 Requirements:
 - Questions should be relevant to the role
-- Mix of easy, medium, and hard questions
+- ${plan ? 'Follow the question plan exactly: same number of questions, difficulty and skill per question' : 'Mix of easy, medium, and hard questions'}
 - Each question should have 4 options with exactly 1 correct answer
 - Cover various skills proportionally to their weights
 
@@ -990,18 +2315,19 @@ Return ONLY valid JSON.`;
   }
 }
 
-async function generateSubjectiveQuestions(parsedContent, count, rubrics) {
+async function generateSubjectiveQuestions(parsedContent, count, rubrics, plan) {
   const prompt = `Generate ${count} subjective/open-ended questions for a technical assessment.
 
 ROLE: ${parsedContent.roleTitle}
 EXPERIENCE LEVEL: ${parsedContent.experienceLevel}
 SKILLS TO TEST: ${parsedContent.technicalSkills.map(s => s.name).join(', ')}
 RESPONSIBILITIES: ${parsedContent.roleResponsibilities.slice(0, 5).join(', ')}
+${plan ? blueprintService.formatPlan(plan) : ''}
 
 Requirements:
 - Questions should test understanding, analysis, and problem-solving
 - Mix scenario-based and conceptual questions
-- Appropriate for the experience level
+- Appropriate for the experience level${plan ? '\n- Follow the question plan exactly: same number of questions, difficulty and skill per question' : ''}
 
 Return a JSON object with a "questions" key containing an array of questions:
 {
@@ -1053,18 +2379,27 @@ Return ONLY valid JSON.`;
   }
 }
 
-async function generateProgrammingQuestions(parsedContent, count, rubrics) {
+async function generateProgrammingQuestions(parsedContent, count, rubrics, plan) {
   const prompt = `Generate ${count} programming/coding questions for a technical assessment.
 
 ROLE: ${parsedContent.roleTitle}
 EXPERIENCE LEVEL: ${parsedContent.experienceLevel}
 TECHNOLOGIES: ${parsedContent.toolsAndTechnologies.join(', ')}
+${plan ? blueprintService.formatPlan(plan) : ''}
 
 Requirements:
-- Practical, real-world scenarios
+- Practical, real-world scenarios${plan ? '\n- Follow the question plan exactly: same number of questions, difficulty and skill per question' : ''}
 - Clear problem statements
 - Include 2-3 sample test cases and 2-3 hidden test cases
 - Appropriate complexity for the experience level
+- Each test case may set "checker": {"type": "exact"} (default), "token", "float" (with "tolerance") or "unordered_lines" when several output formats are correct
+- Prefer function-style problems: give a "signature" with the function name, typed parameters and return type
+  (types: int, long, double, boolean, string, optionally with [] or [][]). Test case inputs then assign every
+  parameter with JSON-style literals, e.g. "nums = [2,7,11,15], target = 9", and expected outputs are the
+  JSON-style return value, e.g. "[0,1]"
+- Include a correct, efficient "referenceSolution" in python that passes every test case within the time and memory limits
+  (for function-style problems only the function itself; otherwise a full program reading stdin). It is run against
+  the test cases and questions whose expected outputs disagree with it are discarded
 
 Return a JSON object with a "questions" key containing an array of questions:
 {
@@ -1077,6 +2412,11 @@ Return a JSON object with a "questions" key containing an array of questions:
       "constraints": "Input/output constraints",
       "sampleInput": "Example input",
       "sampleOutput": "Example output",
+      "signature": {
+        "functionName": "twoSum",
+        "params": [{"name": "nums", "type": "int[]"}, {"name": "target", "type": "int"}],
+        "returnType": "int[]"
+      },
       "testCases": [
         {"input": "test input 1", "expectedOutput": "expected output 1", "isHidden": false, "isSample": true, "weight": 1},
         {"input": "test input 2", "expectedOutput": "expected output 2", "isHidden": false, "isSample": true, "weight": 1},
@@ -1088,7 +2428,11 @@ Return a JSON object with a "questions" key containing an array of questions:
       "points": 20,
       "allowedLanguages": ["python", "javascript", "java", "cpp"],
       "timeLimit": 2,
-      "memoryLimit": 256
+      "memoryLimit": 256,
+      "referenceSolution": {
+        "language": "python",
+        "code": "def twoSum(nums, target):\n    ..."
+      }
     }
   ]
 }
@@ -1114,6 +2458,10 @@ Return ONLY valid JSON.`;
     // Validate and fix strict schema issues
     questions = questions.map((q, i) => ({
       ...q,
+      // Starter code comes from the signature so it matches what the harness calls
+      ...(harnessService.isValidSignature(q.signature)
+        ? { starterCode: harnessService.generateStarterCode(q.signature, q.allowedLanguages || undefined) }
+        : { signature: undefined }),
       questionId: q.questionId || `prog_${i + 1}`,
       questionText: q.questionText || q.question || q.text || "Question text missing",
       title: q.title || "Untitled Problem",
@@ -1125,7 +2473,11 @@ Return ONLY valid JSON.`;
       difficulty: q.difficulty || "medium"
     }));
 
-    return { success: true, questions };
+    // Drop questions whose reference solution disagrees with their test cases or breaks the limits
+    const validated = await referenceSolutionService.filterGenerated(questions);
+    validated.rejected.forEach(r => console.warn(`⚠️ Programming question "${r.title}" rejected: ${r.reason}`));
+
+    return { success: true, questions: validated.questions };
   } catch (error) {
     console.error('❌ Error generating programming questions:', error);
     return { success: false, error: error.message };
@@ -0,0 +1,129 @@
+import express from 'express';
+import Job from '../models/Job.js';
+import jobQueue from '../services/jobQueueService.js';
+import { authenticateToken, requireRecruiter } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// ============================================================================
+// JOB STATUS ROUTES
+// ============================================================================
+
+/**
+ * GET /api/jobs
+ * List background jobs for the recruiter's company
+ * Query: type, status, subjectId, page, limit
+ */
+router.get('/', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const { type, status, subjectId, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const query = { company: req.user.company };
+        if (type) query.type = type;
+        if (status) query.status = status;
+        if (subjectId) query.subjectId = subjectId;
+
+        const total = await Job.countDocuments(query);
+        const jobs = await Job.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        res.json({
+            success: true,
+            data: {
+                jobs: jobs.map(job => job.toStatus()),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit)),
+                },
+            },
+        });
+    } catch (error) {
+        console.error('❌ List jobs error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list jobs',
+        });
+    }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get the status of a background job
+ */
+router.get('/:id', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const job = await Job.findOne({ _id: req.params.id, company: req.user.company });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...job.toStatus(),
+                errorHistory: job.errorHistory,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Get job error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get job',
+        });
+    }
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * Re-queue a failed job
+ */
+router.post('/:id/retry', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const job = await Job.findOne({ _id: req.params.id, company: req.user.company });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found',
+            });
+        }
+
+        if (job.status !== 'failed') {
+            return res.status(400).json({
+                success: false,
+                error: 'Only failed jobs can be retried',
+            });
+        }
+
+        const retried = await jobQueue.retry(job._id);
+        if (!retried) {
+            return res.status(409).json({
+                success: false,
+                error: 'Job was already re-queued',
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Job re-queued',
+            data: retried.toStatus(),
+        });
+    } catch (error) {
+        console.error('❌ Retry job error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry job',
+        });
+    }
+});
+
+export default router;
@@ -390,6 +390,7 @@ router.post('/session/:sessionId/run', authenticateToken, async (req, res) => {
                     number: testNumber++,
                     input: value.input || '',
                     expectedOutput: value.output || '',
+                    checker: value.checker,
                 });
             }
         }
@@ -436,6 +437,7 @@ router.post('/session/:sessionId/run', authenticateToken, async (req, res) => {
                 testResults: testResults.map(t => ({
                     testNumber: t.testNumber,
                     passed: t.passed,
+                    verdict: t.verdict,
                     expectedOutput: t.expectedOutput,
                     actualOutput: t.actualOutput,
                     error: t.error,
@@ -494,6 +496,7 @@ router.post('/session/:sessionId/submit', authenticateToken, async (req, res) =>
                     number: testNumber++,
                     input: value.input || '',
                     expectedOutput: value.output || '',
+                    checker: value.checker,
                 });
             }
         }
@@ -507,6 +510,7 @@ router.post('/session/:sessionId/submit', authenticateToken, async (req, res) =>
                     number: testNumber++,
                     input: value.input || '',
                     expectedOutput: value.output || '',
+                    checker: value.checker,
                 });
             }
         }
@@ -520,6 +524,7 @@ router.post('/session/:sessionId/submit', authenticateToken, async (req, res) =>
                     number: testNumber++,
                     input: value.input || '',
                     expectedOutput: value.output || '',
+                    checker: value.checker,
                 });
             }
         }
@@ -662,6 +667,7 @@ router.post('/session/:sessionId/complete', authenticateToken, async (req, res)
                         number: testNumber++,
                         input: value.input || '',
                         expectedOutput: value.output || '',
+                        checker: value.checker,
                     });
                 }
             }
@@ -675,6 +681,7 @@ router.post('/session/:sessionId/complete', authenticateToken, async (req, res)
                         number: testNumber++,
                         input: value.input || '',
                         expectedOutput: value.output || '',
+                        checker: value.checker,
                     });
                 }
             }
@@ -688,6 +695,7 @@ router.post('/session/:sessionId/complete', authenticateToken, async (req, res)
                         number: testNumber++,
                         input: value.input || '',
                         expectedOutput: value.output || '',
+                        checker: value.checker,
                     });
                 }
             }
@@ -857,6 +865,7 @@ router.post('/practice/run', authenticateToken, async (req, res) => {
                     number: testNumber++,
                     input: value.input || '',
                     expectedOutput: value.output || '',
+                    checker: value.checker,
                 });
             }
         }
@@ -871,6 +880,7 @@ router.post('/practice/run', authenticateToken, async (req, res) => {
                     number: testNumber++,
                     input: value.input || '',
                     expectedOutput: value.output || '',
+                    checker: value.checker,
                 });
             }
         }
@@ -885,6 +895,7 @@ router.post('/practice/run', authenticateToken, async (req, res) => {
                     number: testNumber++,
                     input: value.input || '',
                     expectedOutput: value.output || '',
+                    checker: value.checker,
                 });
             }
         }
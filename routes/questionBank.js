@@ -0,0 +1,239 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import BankQuestion from '../models/BankQuestion.js';
+import questionBankService from '../services/questionBankService.js';
+import skillAnalysisService from '../services/skillAnalysisService.js';
+import { authenticateToken, requireRecruiter } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const QUESTION_TYPES = ['objective', 'subjective', 'programming'];
+
+// Bank bookkeeping that request bodies can't set
+const PROTECTED_FIELDS = ['_id', 'company', 'skillKey', 'content', 'source', 'usage', 'createdBy', 'createdAt', 'updatedAt'];
+
+function questionFields(input) {
+    const fields = { ...input };
+    PROTECTED_FIELDS.forEach(key => delete fields[key]);
+    return fields;
+}
+
+// ============================================================================
+// QUESTION BANK ROUTES
+// ============================================================================
+
+/**
+ * GET /api/question-bank
+ * List the company's bank questions
+ * Query: type, skill, difficulty, role, tag, search, includeInactive, page, limit
+ */
+router.get('/', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const { type, skill, difficulty, role, tag, search, includeInactive, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const query = { company: req.user.company };
+        if (includeInactive !== 'true') query.isActive = true;
+        if (type) query.type = type;
+        if (skill) query.skillKey = skillAnalysisService.normalizeSkill(skill);
+        if (difficulty) query.difficulty = difficulty;
+        if (role) query.roles = role;
+        if (tag) query.tags = tag;
+        if (search) query.questionText = { $regex: escapeRegex(search), $options: 'i' };
+
+        const total = await BankQuestion.countDocuments(query);
+        const questions = await BankQuestion.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        res.json({
+            success: true,
+            data: {
+                questions,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit)),
+                },
+            },
+        });
+    } catch (error) {
+        console.error('❌ List bank questions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch question bank',
+        });
+    }
+});
+
+/**
+ * GET /api/question-bank/:id
+ * Get a bank question
+ */
+router.get('/:id', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const question = await BankQuestion.findOne({ _id: req.params.id, company: req.user.company })
+            .populate('source.jd', 'parsedContent.roleTitle');
+
+        if (!question) {
+            return res.status(404).json({
+                success: false,
+                error: 'Question not found',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: question,
+        });
+    } catch (error) {
+        console.error('❌ Get bank question error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch question',
+        });
+    }
+});
+
+/**
+ * POST /api/question-bank
+ * Add a recruiter-written question. Body: { type, roles, tags, ...question fields as in AssessmentSet }
+ * (Generated questions are added with POST /api/jd/:id/sets/:setId/questions/:section/:questionId/promote)
+ */
+router.post('/', authenticateToken, requireRecruiter, [
+    body('type').isIn(QUESTION_TYPES).withMessage(`type must be one of: ${QUESTION_TYPES.join(', ')}`),
+    body('questionText').trim().notEmpty().withMessage('questionText is required'),
+    body('difficulty').optional().isIn(['easy', 'medium', 'hard']),
+    body('roles').optional().isArray(),
+    body('tags').optional().isArray(),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { type, roles = [], tags = [], ...fields } = req.body;
+
+        const question = await BankQuestion.create({
+            ...questionBankService.fromSetQuestion(type, questionFields(fields)),
+            company: req.user.company,
+            roles,
+            tags,
+            createdBy: req.user._id,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Question added to the question bank',
+            data: question,
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Create bank question error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add question',
+        });
+    }
+});
+
+/**
+ * PUT /api/question-bank/:id
+ * Update a bank question's tags or content. Sets that already use it keep their copy.
+ */
+router.put('/:id', authenticateToken, requireRecruiter, [
+    body('difficulty').optional().isIn(['easy', 'medium', 'hard']),
+    body('roles').optional().isArray(),
+    body('tags').optional().isArray(),
+    body('isActive').optional().isBoolean(),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const question = await BankQuestion.findOne({ _id: req.params.id, company: req.user.company });
+        if (!question) {
+            return res.status(404).json({
+                success: false,
+                error: 'Question not found',
+            });
+        }
+
+        const { roles, tags, isActive, type, ...rest } = req.body;
+        const fields = questionFields(rest);
+        if (roles !== undefined) question.roles = roles;
+        if (tags !== undefined) question.tags = tags;
+        if (isActive !== undefined) question.isActive = isActive;
+
+        if (Object.keys(fields).length > 0) {
+            // Merge the edit into the current question and re-split it into tags and content
+            const merged = { ...questionBankService.toSetQuestion(question.toObject()), ...fields };
+            const updated = questionBankService.fromSetQuestion(question.type, merged);
+            question.set(updated);
+            question.markModified('content');
+        }
+
+        await question.save();
+
+        res.json({
+            success: true,
+            message: 'Question updated',
+            data: question,
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Update bank question error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update question',
+        });
+    }
+});
+
+/**
+ * DELETE /api/question-bank/:id
+ * Retire a bank question (kept for the sets that already use it)
+ */
+router.delete('/:id', authenticateToken, requireRecruiter, async (req, res) => {
+    try {
+        const question = await BankQuestion.findOneAndUpdate(
+            { _id: req.params.id, company: req.user.company },
+            { $set: { isActive: false } },
+            { new: true }
+        );
+
+        if (!question) {
+            return res.status(404).json({
+                success: false,
+                error: 'Question not found',
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Question removed from the question bank',
+        });
+    } catch (error) {
+        console.error('❌ Delete bank question error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove question',
+        });
+    }
+});
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default router;
@@ -15,9 +15,13 @@ import codeRouter from './routes/code.js';
 import evaluationRouter from './routes/evaluation.js';
 import adminRouter from './routes/admin.js';
 import emailRouter from './routes/email.js';
+import jobsRouter from './routes/jobs.js';
+import questionBankRouter from './routes/questionBank.js';
 
 // Services
 import emailService from './services/emailService.js';
+import jobQueue from './services/jobQueueService.js';
+import submissionService from './services/submissionService.js';
 import EmailTemplate from './models/EmailTemplate.js';
 
 // ES Module path helpers
@@ -62,6 +66,12 @@ connectDB().then(() => {
   EmailTemplate.seedDefaults()
     .then(() => console.log('📧 Email templates seeded'))
     .catch(err => console.error('❌ Failed to seed email templates:', err));
+
+  // Start the background job worker
+  jobQueue.start();
+
+  // Finalize abandoned assessments whose time has run out
+  submissionService.start();
 });
 
 // Initialize services
@@ -86,6 +96,7 @@ app.get('/', (req, res) => {
       eval: '/api/eval (evaluation, scoring)',
       admin: '/api/admin (dashboard, analytics)',
       email: '/api/email (templates, send)',
+      jobs: '/api/jobs (background job status)',
       health: '/health',
     },
   });
@@ -128,6 +139,12 @@ app.use('/api/admin', adminRouter);
 // Email routes (templates, send)
 app.use('/api/email', emailRouter);
 
+// Background job status routes (list, status, retry)
+app.use('/api/jobs', jobsRouter);
+
+// Company question bank routes (list, create, tag, retire)
+app.use('/api/question-bank', questionBankRouter);
+
 // =============================================================================
 // ERROR HANDLING
 // =============================================================================
@@ -167,4 +184,5 @@ app.listen(PORT, () => {
   console.log(`💻 Code endpoints: http://localhost:${PORT}/api/code`);
   console.log(`✅ Evaluation endpoints: http://localhost:${PORT}/api/eval`);
   console.log(`⚙️  Admin endpoints: http://localhost:${PORT}/api/admin`);
+  console.log(`🧵 Job endpoints: http://localhost:${PORT}/api/jobs`);
 });
@@ -0,0 +1,230 @@
+/**
+ * Accommodation Service
+ * Per-candidate time and window adjustments granted by recruiters.
+ *
+ * - Section time = timeMinutes × multiplier + section extra minutes + a share of the overall
+ *   extra minutes (split across enabled sections in proportion to their time). The multiplier
+ *   is the section's own, or the overall one when the section has none.
+ * - Total time is the sum of the enabled sections' times, so the overall and section clocks agree
+ * - windowStart / windowEnd replace the JD's startTime / endTime for the candidate
+ * - Every change is appended to CandidateAssessment.accommodationLog
+ * - A new registration for the same JD inherits the settings, logged once as 'carried_over'
+ */
+
+const SECTIONS = ['objective', 'subjective', 'programming'];
+
+// Statuses after which time and window changes no longer have any effect
+const CLOSED_STATUSES = ['submitted', 'evaluating', 'evaluated', 'decided'];
+
+class AccommodationService {
+    /**
+     * Time allowed for a section, with the candidate's accommodations
+     * @returns {number} Milliseconds
+     */
+    getSectionTimeMs(candidateAssessment, jd, section) {
+        const config = jd.assessmentConfig.sections[section];
+        const baseMinutes = config?.timeMinutes || 0;
+        const accommodations = candidateAssessment.accommodations || {};
+        const sectionAccommodation = accommodations.sections?.[section] || {};
+
+        const multiplier = sectionAccommodation.timeMultiplier || accommodations.timeMultiplier || 1;
+        const enabledMinutes = SECTIONS
+            .filter(s => jd.assessmentConfig.sections[s]?.enabled)
+            .reduce((sum, s) => sum + (jd.assessmentConfig.sections[s].timeMinutes || 0), 0);
+        const overallShare = enabledMinutes > 0 && config?.enabled
+            ? (accommodations.extraMinutes || 0) * (baseMinutes / enabledMinutes)
+            : 0;
+
+        const minutes = baseMinutes * multiplier + (sectionAccommodation.extraMinutes || 0) + overallShare;
+        return Math.round(minutes * 60 * 1000);
+    }
+
+    /**
+     * Total time allowed, with the candidate's accommodations
+     * @returns {number} Milliseconds
+     */
+    getTotalTimeMs(candidateAssessment, jd) {
+        if (!this.hasTimeAccommodations(candidateAssessment)) {
+            return (jd.assessmentConfig.totalTimeMinutes || 0) * 60 * 1000;
+        }
+        return SECTIONS
+            .filter(s => jd.assessmentConfig.sections[s]?.enabled)
+            .reduce((sum, s) => sum + this.getSectionTimeMs(candidateAssessment, jd, s), 0);
+    }
+
+    getTotalTimeMinutes(candidateAssessment, jd) {
+        return Math.round(this.getTotalTimeMs(candidateAssessment, jd) / 6000) / 10;
+    }
+
+    hasTimeAccommodations(candidateAssessment) {
+        const accommodations = candidateAssessment?.accommodations;
+        if (!accommodations) return false;
+        return (accommodations.timeMultiplier || 1) !== 1 ||
+            (accommodations.extraMinutes || 0) > 0 ||
+            SECTIONS.some(s => accommodations.sections?.[s]?.timeMultiplier || accommodations.sections?.[s]?.extraMinutes);
+    }
+
+    /**
+     * Assessment window for the candidate
+     * @param {Object|null} candidateAssessment - null before the candidate has registered
+     * @returns {Object} { startTime, endTime, isOverridden }
+     */
+    getWindow(candidateAssessment, jd) {
+        const accommodations = candidateAssessment?.accommodations || {};
+        return {
+            startTime: accommodations.windowStart || jd.assessmentConfig.startTime || null,
+            endTime: accommodations.windowEnd || jd.assessmentConfig.endTime || null,
+            isOverridden: Boolean(accommodations.windowStart || accommodations.windowEnd),
+        };
+    }
+
+    /**
+     * Why the candidate can't register or start now, or null if they can
+     */
+    getWindowError(candidateAssessment, jd, now = new Date()) {
+        const { startTime, endTime } = this.getWindow(candidateAssessment, jd);
+        if (startTime && now < startTime) return 'Assessment has not started yet';
+        if (endTime && now > endTime) return 'Assessment has expired';
+        return null;
+    }
+
+    /**
+     * Effective times and window for the recruiter view
+     */
+    describe(candidateAssessment, jd) {
+        const sectionTimeMinutes = {};
+        for (const section of SECTIONS) {
+            if (jd.assessmentConfig.sections[section]?.enabled) {
+                sectionTimeMinutes[section] = Math.round(this.getSectionTimeMs(candidateAssessment, jd, section) / 6000) / 10;
+            }
+        }
+        return {
+            accommodations: candidateAssessment.accommodations,
+            totalTimeMinutes: this.getTotalTimeMinutes(candidateAssessment, jd),
+            sectionTimeMinutes,
+            window: this.getWindow(candidateAssessment, jd),
+            history: candidateAssessment.accommodationLog,
+        };
+    }
+
+    /**
+     * Why a candidate's accommodations can no longer be changed, or null
+     */
+    getUpdateError(candidateAssessment) {
+        return CLOSED_STATUSES.includes(candidateAssessment.status)
+            ? 'Assessment has already been submitted'
+            : null;
+    }
+
+    /**
+     * Grant or change accommodations and record the change. Does not save.
+     * @param {Object} candidateAssessment - Document
+     * @param {Object} input - { timeMultiplier, extraMinutes, sections: { [section]: { timeMultiplier, extraMinutes } },
+     *   windowStart, windowEnd, notes }; omitted fields are unchanged
+     * @param {Object} options - { userId, reason }
+     */
+    update(candidateAssessment, input, { userId, reason = '' }) {
+        const accommodations = candidateAssessment.accommodations;
+        const before = snapshot(accommodations);
+        const wasGranted = hasAny(before);
+
+        for (const key of ['timeMultiplier', 'extraMinutes', 'windowStart', 'windowEnd', 'notes']) {
+            if (input[key] !== undefined) accommodations[key] = input[key];
+        }
+        for (const section of SECTIONS) {
+            const sectionInput = input.sections?.[section];
+            if (!sectionInput) continue;
+            if (sectionInput.timeMultiplier !== undefined) accommodations.sections[section].timeMultiplier = sectionInput.timeMultiplier;
+            if (sectionInput.extraMinutes !== undefined) accommodations.sections[section].extraMinutes = sectionInput.extraMinutes;
+        }
+        accommodations.updatedBy = userId;
+        accommodations.updatedAt = new Date();
+
+        candidateAssessment.accommodationLog.push({
+            action: wasGranted ? 'updated' : 'granted',
+            before,
+            after: snapshot(accommodations),
+            reason,
+            changedBy: userId,
+        });
+    }
+
+    /**
+     * Fields for a new registration that inherits an earlier one's accommodations: the settings
+     * and, if any were granted, one 'carried_over' log entry pointing at the source
+     * @param {Object} previousAssessment - Document
+     * @returns {Object} { accommodations, accommodationLog }
+     */
+    getCarryOver(previousAssessment) {
+        const accommodations = previousAssessment.accommodations.toObject();
+        const settings = snapshot(accommodations);
+        if (!hasAny(settings)) return { accommodations, accommodationLog: [] };
+
+        return {
+            accommodations,
+            accommodationLog: [{
+                action: 'carried_over',
+                before: null,
+                after: settings,
+                sourceAssessment: previousAssessment._id,
+            }],
+        };
+    }
+
+    /**
+     * Remove all accommodations and record the change. Does not save.
+     */
+    revoke(candidateAssessment, { userId, reason = '' }) {
+        const before = snapshot(candidateAssessment.accommodations);
+
+        candidateAssessment.accommodations = {
+            timeMultiplier: 1,
+            extraMinutes: 0,
+            sections: {},
+            windowStart: null,
+            windowEnd: null,
+            notes: '',
+            updatedBy: userId,
+            updatedAt: new Date(),
+        };
+
+        candidateAssessment.accommodationLog.push({
+            action: 'revoked',
+            before,
+            after: snapshot(candidateAssessment.accommodations),
+            reason,
+            changedBy: userId,
+        });
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Plain copy of the accommodation settings for the audit trail
+function snapshot(accommodations = {}) {
+    const sections = {};
+    for (const section of SECTIONS) {
+        sections[section] = {
+            timeMultiplier: accommodations.sections?.[section]?.timeMultiplier ?? null,
+            extraMinutes: accommodations.sections?.[section]?.extraMinutes || 0,
+        };
+    }
+    return {
+        timeMultiplier: accommodations.timeMultiplier ?? 1,
+        extraMinutes: accommodations.extraMinutes || 0,
+        sections,
+        windowStart: accommodations.windowStart || null,
+        windowEnd: accommodations.windowEnd || null,
+        notes: accommodations.notes || '',
+    };
+}
+
+function hasAny(settings) {
+    return settings.timeMultiplier !== 1 || settings.extraMinutes > 0 ||
+        Boolean(settings.windowStart || settings.windowEnd) ||
+        SECTIONS.some(s => settings.sections[s].timeMultiplier || settings.sections[s].extraMinutes);
+}
+
+export default new AccommodationService();
@@ -0,0 +1,270 @@
+/**
+ * Blueprint Service
+ * Plans the skill × difficulty make-up of each generated section and checks the
+ * AI's questions against it.
+ *
+ * - Difficulty quotas come from assessmentConfig.difficultyDistribution (largest remainder,
+ *   so quotas always add up to the section's question count)
+ * - Skill quotas are proportional to each JD skill's weight, doubled for primary skills
+ * - A section is within tolerance when no more than QUESTION_DIFFICULTY_TOLERANCE percent
+ *   of its questions sit outside their difficulty quota
+ */
+
+import skillAnalysisService from './skillAnalysisService.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const PRIMARY_SKILL_MULTIPLIER = 2;
+
+class BlueprintService {
+    constructor() {
+        this.tolerancePercent = parseFloat(process.env.QUESTION_DIFFICULTY_TOLERANCE) || 10;
+        this.maxAttempts = parseInt(process.env.QUESTION_GENERATION_MAX_ATTEMPTS) || 3;
+    }
+
+    normalizeDifficulty(difficulty) {
+        const value = String(difficulty || '').toLowerCase().trim();
+        return DIFFICULTIES.includes(value) ? value : 'medium';
+    }
+
+    /**
+     * Exact per-difficulty question counts for a section
+     * @param {number} count - Section question count
+     * @param {Object} distribution - { easy, medium, hard } percentages (need not add up to 100)
+     * @returns {Object} { easy, medium, hard }
+     */
+    allocateDifficulty(count, distribution = {}) {
+        const weights = DIFFICULTIES.map(d => Math.max(0, Number(distribution[d]) || 0));
+        const quotas = allocate(count, weights.some(w => w > 0) ? weights : [1, 1, 1]);
+        return Object.fromEntries(DIFFICULTIES.map((d, i) => [d, quotas[i]]));
+    }
+
+    /**
+     * Per-skill question counts, weighted by skill weight and isPrimary
+     * @param {number} count - Section question count
+     * @param {Array} skills - jd.parsedContent.technicalSkills
+     * @returns {Array} [{ skill, quota }] for skills with at least one question
+     */
+    allocateSkills(count, skills = []) {
+        const weighted = skills
+            .filter(s => s?.name && (s.weight ?? 5) > 0)
+            .map(s => ({ skill: s.name, weight: (s.weight ?? 5) * (s.isPrimary ? PRIMARY_SKILL_MULTIPLIER : 1) }))
+            .sort((a, b) => b.weight - a.weight);
+
+        if (weighted.length === 0) return [];
+
+        const quotas = allocate(count, weighted.map(s => s.weight));
+        return weighted
+            .map((s, i) => ({ skill: s.skill, quota: quotas[i] }))
+            .filter(s => s.quota > 0);
+    }
+
+    /**
+     * Plan a section: one slot per question with the skill and difficulty it must cover
+     * @returns {Object} { count, difficulty: { easy, medium, hard }, slots: [{ skill, difficulty }] }
+     */
+    buildPlan(count, skills, distribution) {
+        const difficulty = this.allocateDifficulty(count, distribution);
+        const skillQuotas = this.allocateSkills(count, skills);
+        const remaining = { ...difficulty };
+        const slots = [];
+
+        // Spread each skill's questions over the difficulties still open, in proportion to what's left
+        let remainingTotal = count;
+        for (const { skill, quota } of skillQuotas) {
+            const open = DIFFICULTIES.map(d => remaining[d]);
+            const shares = allocate(quota, open, open);
+            DIFFICULTIES.forEach((d, i) => {
+                for (let n = 0; n < shares[i]; n++) slots.push({ skill, difficulty: d });
+                remaining[d] -= shares[i];
+            });
+            remainingTotal -= quota;
+        }
+
+        // No skills to plan by: difficulty-only slots
+        if (remainingTotal > 0) {
+            DIFFICULTIES.forEach(d => {
+                for (let n = 0; n < remaining[d]; n++) slots.push({ skill: null, difficulty: d });
+            });
+        }
+
+        slots.sort((a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty));
+        return { count, difficulty, slots };
+    }
+
+    /**
+     * Plan for given slots, e.g. regenerating one question with the same skill and difficulty
+     * @param {Array} slots - [{ skill, difficulty }]
+     */
+    planForSlots(slots) {
+        const normalized = slots.map(s => ({ skill: s.skill || null, difficulty: this.normalizeDifficulty(s.difficulty) }));
+        return { count: normalized.length, difficulty: countByDifficulty(normalized), slots: normalized };
+    }
+
+    /**
+     * Prompt lines describing the plan, for the question generators
+     */
+    formatPlan(plan) {
+        const { easy, medium, hard } = plan.difficulty;
+        const lines = plan.slots.map((slot, i) =>
+            `${i + 1}. ${slot.difficulty}${slot.skill ? ` - ${slot.skill}` : ''}`
+        );
+        return `DIFFICULTY QUOTA (exact): ${easy} easy, ${medium} medium, ${hard} hard
+QUESTION PLAN (one question per line, in this order, with exactly this difficulty and skill):
+${lines.join('\n')}`;
+    }
+
+    /**
+     * Pick the generated questions that best fill the plan's slots, in slot order.
+     * Matches skill and difficulty first, then difficulty alone, then whatever is left.
+     * @param {Array} questions - Generated questions
+     * @param {Object} plan - From buildPlan
+     * @param {string} idPrefix - questionId prefix for the section (obj, sub, prog)
+     * @returns {Array} Up to plan.count questions with normalized difficulty and sequential ids
+     */
+    fitToPlan(questions, plan, idPrefix) {
+        const pool = questions.map(q => ({ ...q, difficulty: this.normalizeDifficulty(q.difficulty) }));
+        const filled = new Array(plan.slots.length).fill(null);
+
+        const take = (predicate) => {
+            plan.slots.forEach((slot, i) => {
+                if (filled[i]) return;
+                const index = pool.findIndex(q => predicate(q, slot));
+                if (index !== -1) filled[i] = pool.splice(index, 1)[0];
+            });
+        };
+
+        take((q, slot) => q.difficulty === slot.difficulty && slot.skill &&
+            skillAnalysisService.normalizeSkill(q.skill) === skillAnalysisService.normalizeSkill(slot.skill));
+        take((q, slot) => q.difficulty === slot.difficulty);
+        take(() => true);
+
+        return filled
+            .filter(Boolean)
+            .map((q, i) => ({ ...q, questionId: `${idPrefix}_${i + 1}` }));
+    }
+
+    /**
+     * Compare a section's questions with its difficulty quota
+     * @returns {Object} { target, actual, offQuota, allowedOffQuota, withinTolerance }
+     */
+    checkSection(questions, plan) {
+        const actual = countByDifficulty(questions);
+        const target = { ...plan.difficulty };
+
+        // Questions in the wrong difficulty band, plus any the generator didn't produce
+        const missing = Math.max(0, plan.count - questions.length);
+        const misplaced = DIFFICULTIES.reduce((sum, d) => sum + Math.max(0, actual[d] - target[d]), 0);
+        const offQuota = misplaced + missing;
+        const allowedOffQuota = Math.floor(plan.count * this.tolerancePercent / 100);
+
+        return {
+            target,
+            actual,
+            offQuota,
+            allowedOffQuota,
+            withinTolerance: missing === 0 && offQuota <= allowedOffQuota,
+        };
+    }
+
+    /**
+     * Coverage report for a set whose questions were edited, re-checking each
+     * section against the difficulty quota it was generated with
+     */
+    refreshCoverage(set) {
+        const sectionChecks = {};
+        for (const [section, check] of Object.entries(set.coverage?.sections || {})) {
+            const target = check.target || {};
+            const count = DIFFICULTIES.reduce((sum, d) => sum + (target[d] || 0), 0);
+            sectionChecks[section] = {
+                ...this.checkSection(set[`${section}Questions`] || [], { count, difficulty: target }),
+                attempts: check.attempts,
+            };
+        }
+        return this.buildCoverage(set, sectionChecks);
+    }
+
+    /**
+     * Skill × difficulty coverage report for a set
+     * @param {Object} set - AssessmentSet (or plain object with the three question arrays)
+     * @param {Object} sectionChecks - { objective, subjective, programming } results of checkSection
+     * @returns {Object} AssessmentSet.coverage shape
+     */
+    buildCoverage(set, sectionChecks = {}) {
+        const matrix = new Map();
+        const questions = [
+            ...(set.objectiveQuestions || []),
+            ...(set.subjectiveQuestions || []),
+            ...(set.programmingQuestions || []),
+        ];
+
+        for (const q of questions) {
+            const name = q.skill || 'General';
+            const key = skillAnalysisService.normalizeSkill(name);
+            if (!matrix.has(key)) {
+                matrix.set(key, { skill: name, easy: 0, medium: 0, hard: 0, total: 0 });
+            }
+            const row = matrix.get(key);
+            row[this.normalizeDifficulty(q.difficulty)]++;
+            row.total++;
+        }
+
+        const sections = {};
+        for (const [section, check] of Object.entries(sectionChecks)) {
+            if (check) sections[section] = check;
+        }
+
+        return {
+            skills: Array.from(matrix.values()).sort((a, b) => b.total - a.total),
+            difficulty: countByDifficulty(questions),
+            sections,
+            withinTolerance: Object.values(sections).every(s => s.withinTolerance),
+            generatedAt: new Date(),
+        };
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function countByDifficulty(questions) {
+    const counts = { easy: 0, medium: 0, hard: 0 };
+    for (const q of questions) {
+        counts[DIFFICULTIES.includes(q.difficulty) ? q.difficulty : 'medium']++;
+    }
+    return counts;
+}
+
+/**
+ * Split total into integer parts proportional to weights (largest remainder),
+ * optionally never giving a part more than its cap
+ */
+function allocate(total, weights, caps = null) {
+    const sum = weights.reduce((a, b) => a + b, 0);
+    if (total <= 0 || sum <= 0) return weights.map(() => 0);
+
+    const exact = weights.map(w => (total * w) / sum);
+    const parts = exact.map((x, i) => Math.min(Math.floor(x), caps ? caps[i] : Infinity));
+    let left = total - parts.reduce((a, b) => a + b, 0);
+
+    const order = exact
+        .map((x, i) => ({ i, remainder: x - Math.floor(x) }))
+        .sort((a, b) => b.remainder - a.remainder || weights[b.i] - weights[a.i]);
+
+    while (left > 0) {
+        const next = order.find(({ i }) => !caps || parts[i] < caps[i]);
+        if (!next) break;
+        parts[next.i]++;
+        left--;
+        // Each part takes at most one extra per pass
+        order.splice(order.indexOf(next), 1);
+        if (order.length === 0) {
+            order.push(...weights.map((w, i) => ({ i, remainder: 0 })).sort((a, b) => weights[b.i] - weights[a.i]));
+        }
+    }
+
+    return parts;
+}
+
+export default new BlueprintService();
@@ -0,0 +1,138 @@
+/**
+ * Checker Service
+ * Decides whether a program's output is correct for a test case.
+ *
+ * Checker types (set per test case as `checker.type`):
+ * - exact:           line-by-line match, ignoring line endings and surrounding whitespace
+ * - token:           whitespace-separated tokens must match in order
+ * - float:           numbers may differ by `checker.tolerance` (absolute or relative), the text
+ *                    around them (brackets, commas, words) must match ignoring whitespace
+ * - unordered_lines: same lines in any order
+ * - custom:          a checker program (`checker.code` in `checker.language`) decides
+ *
+ * Custom checker protocol (stdin):
+ *   line 1: three integers - line counts of the input, expected output and actual output
+ *   then the input lines, the expected output lines and the actual output lines
+ * The checker accepts by exiting 0 and printing AC, OK, ACCEPTED, 1 or true as its first token.
+ */
+
+export const CHECKER_TYPES = ['exact', 'token', 'float', 'unordered_lines', 'custom'];
+
+const ACCEPT_TOKENS = ['ac', 'ok', 'accepted', '1', 'true'];
+
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+class CheckerService {
+    constructor() {
+        this.defaultTolerance = 1e-6;
+    }
+
+    /**
+     * Compare output with a built-in checker
+     * @param {string} actual - Program output
+     * @param {string} expected - Expected output
+     * @param {Object} checker - { type, tolerance }
+     * @returns {boolean}
+     */
+    check(actual, expected, checker = {}) {
+        const type = checker.type || 'exact';
+
+        switch (type) {
+            case 'exact':
+                return this.normalizeLines(actual).join('\n') === this.normalizeLines(expected).join('\n');
+            case 'token':
+                return this.compareTokens(this.tokenize(actual), this.tokenize(expected), (a, b) => a === b);
+            case 'float': {
+                const tolerance = checker.tolerance ?? this.defaultTolerance;
+                const a = this.splitNumbers(actual);
+                const b = this.splitNumbers(expected);
+                return a.skeleton === b.skeleton && this.compareTokens(a.numbers, b.numbers, (x, y) =>
+                    this.floatTokensMatch(x, y, tolerance)
+                );
+            }
+            case 'unordered_lines': {
+                const actualLines = this.normalizeLines(actual).filter(line => line !== '').sort();
+                const expectedLines = this.normalizeLines(expected).filter(line => line !== '').sort();
+                return this.compareTokens(actualLines, expectedLines, (a, b) => a === b);
+            }
+            case 'custom':
+                throw new Error('Custom checkers must be run through Judge0Service');
+            default:
+                throw new Error(`Unknown checker type: ${type}`);
+        }
+    }
+
+    /**
+     * Build the stdin for a custom checker program
+     */
+    buildCustomCheckerInput(input, expected, actual) {
+        const blocks = [input, expected, actual].map(text => this.splitLines(text));
+        return [
+            blocks.map(lines => lines.length).join(' '),
+            ...blocks.flat(),
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Read a custom checker's verdict from its formatted execution result
+     */
+    parseCustomCheckerResult(result) {
+        if (!result || result.status !== 'success') {
+            return false;
+        }
+        const firstToken = (result.stdout || '').trim().split(/\s+/)[0] || '';
+        return ACCEPT_TOKENS.includes(firstToken.toLowerCase());
+    }
+
+    normalizeLines(str) {
+        return (str || '')
+            .replace(/\r\n/g, '\n')
+            .replace(/\r/g, '\n')
+            .trim()
+            .split('\n')
+            .map(line => line.trim());
+    }
+
+    splitLines(str) {
+        const text = (str || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n$/, '');
+        return text === '' ? [] : text.split('\n');
+    }
+
+    tokenize(str) {
+        return (str || '').trim().split(/\s+/).filter(token => token !== '');
+    }
+
+    /**
+     * Separate the numbers in an output from the text around them (with all whitespace
+     * removed), so `[1.5, 2]` and `[1.5,2]` compare number by number
+     */
+    splitNumbers(str) {
+        const numbers = [];
+        const skeleton = (str || '')
+            .replace(NUMBER_PATTERN, match => {
+                numbers.push(match);
+                return '#';
+            })
+            .replace(/\s+/g, '');
+        return { skeleton, numbers };
+    }
+
+    compareTokens(actual, expected, equals) {
+        if (actual.length !== expected.length) return false;
+        return actual.every((token, idx) => equals(token, expected[idx]));
+    }
+
+    floatTokensMatch(actual, expected, tolerance) {
+        const a = Number(actual);
+        const b = Number(expected);
+
+        if (Number.isNaN(a) || Number.isNaN(b)) {
+            return actual === expected;
+        }
+
+        const diff = Math.abs(a - b);
+        return diff <= tolerance || diff <= tolerance * Math.abs(b);
+    }
+}
+
+export default new CheckerService();
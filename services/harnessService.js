@@ -0,0 +1,1624 @@
+/**
+ * Harness Service
+ * Turns function-signature (LeetCode-style) questions into runnable stdin/stdout programs.
+ *
+ * A signature names the function the candidate writes and types its parameters:
+ *   { functionName: 'twoSum', params: [{ name: 'nums', type: 'int[]' }, { name: 'target', type: 'int' }], returnType: 'int[]' }
+ * Types are int, long, double, boolean or string, optionally with one or two `[]` suffixes.
+ *
+ * Test inputs are written as in the OA question files, e.g. `nums = [2,7,11,15], target = 9`
+ * (names may be omitted, in which case values are taken in parameter order).
+ * They are encoded into a whitespace-separated token stream the drivers can read without a JSON parser:
+ *   int/long/double: the number, boolean: 1 or 0, string: `x` followed by the UTF-8 bytes in hex,
+ *   arrays: the length followed by the elements.
+ * Drivers print the return value as compact JSON-like text: `3`, `true`, `"abc"`, `[0,1]`, `[[1,2],[3]]`,
+ * with doubles fixed to 5 decimals. Expected outputs are normalized to the same form before checking.
+ */
+
+const BASE_TYPES = ['int', 'long', 'double', 'boolean', 'string'];
+
+const TYPE_ALIASES = {
+    integer: 'int',
+    bool: 'boolean',
+    float: 'double',
+    str: 'string',
+};
+
+const MAX_ARRAY_DEPTH = 2;
+
+// Doubles are printed with 5 decimals, and rounding of exact ties differs between languages
+const DOUBLE_TOLERANCE = 2e-5;
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+const INT_RANGE = { min: -(2n ** 31n), max: 2n ** 31n - 1n };
+const LONG_RANGE = { min: -(2n ** 63n), max: 2n ** 63n - 1n };
+
+const CAMEL_NAMES = { int: 'Int', long: 'Long', double: 'Double', boolean: 'Boolean', string: 'String' };
+const DEPTH_NAMES = ['', 'Array', 'Matrix'];
+
+const camelName = (prefix, type) => `${prefix}${CAMEL_NAMES[type.base]}${DEPTH_NAMES[type.depth]}`;
+const snakeName = (prefix, type) => [prefix, type.base, DEPTH_NAMES[type.depth].toLowerCase()].filter(Boolean).join('_');
+const elementOf = type => ({ base: type.base, depth: type.depth - 1 });
+
+/**
+ * Array types a driver needs helpers for, innermost first
+ */
+function arrayTypesFor(types) {
+    const seen = new Map();
+    for (const type of types) {
+        for (let depth = 1; depth <= type.depth; depth++) {
+            seen.set(`${type.base}:${depth}`, { base: type.base, depth });
+        }
+    }
+    return [...seen.values()].sort((a, b) => a.depth - b.depth);
+}
+
+// ----------------------------------------------------------------------------
+// Dynamically typed languages share one recursive reader/serializer per driver
+// ----------------------------------------------------------------------------
+
+const PYTHON_RUNTIME = String.raw`
+import sys as _harness_sys
+
+
+def _harness_read(tokens, base, depth):
+    token = next(tokens)
+    if depth > 0:
+        return [_harness_read(tokens, base, depth - 1) for _ in range(int(token))]
+    if base in ('int', 'long'):
+        return int(token)
+    if base == 'double':
+        return float(token)
+    if base == 'boolean':
+        return token == '1'
+    return bytes.fromhex(token[1:]).decode('utf-8')
+
+
+def _harness_ser(value, base, depth):
+    if depth > 0:
+        return '[' + ','.join(_harness_ser(v, base, depth - 1) for v in value) + ']'
+    if base in ('int', 'long'):
+        return str(int(value))
+    if base == 'double':
+        return '%.5f' % value
+    if base == 'boolean':
+        return 'true' if value else 'false'
+    return '"' + value.replace('\\', '\\\\').replace('"', '\\"').replace('\n', '\\n').replace('\r', '\\r').replace('\t', '\\t') + '"'
+`;
+
+const JAVASCRIPT_RUNTIME = String.raw`
+    var harnessTokens = require('fs').readFileSync(0, 'utf8').split(/\s+/).filter(function (t) { return t.length > 0; });
+    var harnessPos = 0;
+
+    function harnessRead(base, depth) {
+        var token = harnessTokens[harnessPos++];
+        if (depth > 0) {
+            var items = [];
+            for (var i = 0, n = parseInt(token, 10); i < n; i++) items.push(harnessRead(base, depth - 1));
+            return items;
+        }
+        if (base === 'int' || base === 'long') return parseInt(token, 10);
+        if (base === 'double') return parseFloat(token);
+        if (base === 'boolean') return token === '1';
+        return Buffer.from(token.slice(1), 'hex').toString('utf8');
+    }
+
+    function harnessSer(value, base, depth) {
+        if (depth > 0) return '[' + value.map(function (v) { return harnessSer(v, base, depth - 1); }).join(',') + ']';
+        if (base === 'int' || base === 'long') return String(value);
+        if (base === 'double') return Number(value).toFixed(5);
+        if (base === 'boolean') return value ? 'true' : 'false';
+        return '"' + String(value).replace(/[\\"\n\r\t]/g, function (c) {
+            return { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' }[c];
+        }) + '"';
+    }
+`;
+
+const RUBY_RUNTIME = String.raw`
+def harness_read(tokens, base, depth)
+  token = tokens.shift
+  return Array.new(token.to_i) { harness_read(tokens, base, depth - 1) } if depth > 0
+
+  case base
+  when 'int', 'long' then token.to_i
+  when 'double' then token.to_f
+  when 'boolean' then token == '1'
+  else [token[1..]].pack('H*').force_encoding('UTF-8')
+  end
+end
+
+def harness_ser(value, base, depth)
+  return '[' + value.map { |v| harness_ser(v, base, depth - 1) }.join(',') + ']' if depth > 0
+
+  case base
+  when 'int', 'long' then value.to_i.to_s
+  when 'double' then format('%.5f', value)
+  when 'boolean' then value ? 'true' : 'false'
+  else '"' + value.gsub(/["\\\n\r\t]/, '"' => '\\"', '\\' => '\\\\', "\n" => '\\n', "\r" => '\\r', "\t" => '\\t') + '"'
+  end
+end
+`;
+
+const PHP_RUNTIME = String.raw`
+function harness_read(array &$tokens, int &$pos, string $base, int $depth)
+{
+    $token = $tokens[$pos++];
+    if ($depth > 0) {
+        $items = [];
+        for ($i = 0, $n = intval($token); $i < $n; $i++) {
+            $items[] = harness_read($tokens, $pos, $base, $depth - 1);
+        }
+        return $items;
+    }
+    switch ($base) {
+        case 'int':
+        case 'long':
+            return intval($token);
+        case 'double':
+            return floatval($token);
+        case 'boolean':
+            return $token === '1';
+        default:
+            return (string) hex2bin((string) substr($token, 1));
+    }
+}
+
+function harness_ser($value, string $base, int $depth): string
+{
+    if ($depth > 0) {
+        return '[' . implode(',', array_map(function ($v) use ($base, $depth) {
+            return harness_ser($v, $base, $depth - 1);
+        }, $value)) . ']';
+    }
+    switch ($base) {
+        case 'int':
+        case 'long':
+            return (string) intval($value);
+        case 'double':
+            return sprintf('%.5f', $value);
+        case 'boolean':
+            return $value ? 'true' : 'false';
+        default:
+            return '"' . strtr($value, ['\\' => '\\\\', '"' => '\\"', "\n" => '\\n', "\r" => '\\r', "\t" => '\\t']) . '"';
+    }
+}
+`;
+
+// ----------------------------------------------------------------------------
+// Statically typed languages get one read/serialize helper per array type used
+// ----------------------------------------------------------------------------
+
+const JAVA_RUNTIME = String.raw`
+    private static String[] harnessTokens;
+    private static int harnessPos = 0;
+
+    private static String harnessNext() { return harnessTokens[harnessPos++]; }
+    private static int harnessReadInt() { return Integer.parseInt(harnessNext()); }
+    private static long harnessReadLong() { return Long.parseLong(harnessNext()); }
+    private static double harnessReadDouble() { return Double.parseDouble(harnessNext()); }
+    private static boolean harnessReadBoolean() { return harnessNext().equals("1"); }
+
+    private static String harnessReadString() {
+        String token = harnessNext();
+        byte[] bytes = new byte[(token.length() - 1) / 2];
+        for (int i = 0; i < bytes.length; i++) {
+            bytes[i] = (byte) Integer.parseInt(token.substring(1 + 2 * i, 3 + 2 * i), 16);
+        }
+        return new String(bytes, java.nio.charset.StandardCharsets.UTF_8);
+    }
+
+    private static String harnessSerInt(int v) { return Integer.toString(v); }
+    private static String harnessSerLong(long v) { return Long.toString(v); }
+    private static String harnessSerDouble(double v) { return String.format(java.util.Locale.ROOT, "%.5f", v); }
+    private static String harnessSerBoolean(boolean v) { return v ? "true" : "false"; }
+
+    private static String harnessSerString(String v) {
+        StringBuilder sb = new StringBuilder("\"");
+        for (char c : v.toCharArray()) {
+            switch (c) {
+                case '"': sb.append("\\\""); break;
+                case '\\': sb.append("\\\\"); break;
+                case '\n': sb.append("\\n"); break;
+                case '\r': sb.append("\\r"); break;
+                case '\t': sb.append("\\t"); break;
+                default: sb.append(c);
+            }
+        }
+        return sb.append('"').toString();
+    }
+`;
+
+const CSHARP_RUNTIME = String.raw`
+    private static string[] harnessTokens;
+    private static int harnessPos = 0;
+
+    private static string HarnessNext() { return harnessTokens[harnessPos++]; }
+    private static int HarnessReadInt() { return int.Parse(HarnessNext(), System.Globalization.CultureInfo.InvariantCulture); }
+    private static long HarnessReadLong() { return long.Parse(HarnessNext(), System.Globalization.CultureInfo.InvariantCulture); }
+    private static double HarnessReadDouble() { return double.Parse(HarnessNext(), System.Globalization.CultureInfo.InvariantCulture); }
+    private static bool HarnessReadBoolean() { return HarnessNext() == "1"; }
+
+    private static string HarnessReadString()
+    {
+        string token = HarnessNext();
+        byte[] bytes = new byte[(token.Length - 1) / 2];
+        for (int i = 0; i < bytes.Length; i++)
+        {
+            bytes[i] = System.Convert.ToByte(token.Substring(1 + 2 * i, 2), 16);
+        }
+        return System.Text.Encoding.UTF8.GetString(bytes);
+    }
+
+    private static string HarnessSerInt(int v) { return v.ToString(System.Globalization.CultureInfo.InvariantCulture); }
+    private static string HarnessSerLong(long v) { return v.ToString(System.Globalization.CultureInfo.InvariantCulture); }
+    private static string HarnessSerDouble(double v) { return v.ToString("F5", System.Globalization.CultureInfo.InvariantCulture); }
+    private static string HarnessSerBoolean(bool v) { return v ? "true" : "false"; }
+
+    private static string HarnessSerString(string v)
+    {
+        var sb = new System.Text.StringBuilder("\"");
+        foreach (char c in v)
+        {
+            switch (c)
+            {
+                case '"': sb.Append("\\\""); break;
+                case '\\': sb.Append("\\\\"); break;
+                case '\n': sb.Append("\\n"); break;
+                case '\r': sb.Append("\\r"); break;
+                case '\t': sb.Append("\\t"); break;
+                default: sb.Append(c); break;
+            }
+        }
+        return sb.Append('"').ToString();
+    }
+`;
+
+const CPP_PRELUDE = String.raw`#include <algorithm>
+#include <cstdio>
+#include <cstdlib>
+#include <iostream>
+#include <map>
+#include <set>
+#include <string>
+#include <unordered_map>
+#include <unordered_set>
+#include <vector>
+using namespace std;
+`;
+
+const CPP_RUNTIME = String.raw`
+static vector<string> harnessTokens;
+static size_t harnessPos = 0;
+
+static const string& harnessNext() { return harnessTokens[harnessPos++]; }
+static int harnessReadInt() { return stoi(harnessNext()); }
+static long long harnessReadLong() { return stoll(harnessNext()); }
+static double harnessReadDouble() { return stod(harnessNext()); }
+static bool harnessReadBoolean() { return harnessNext() == "1"; }
+
+static string harnessReadString() {
+    const string& token = harnessNext();
+    string s;
+    for (size_t i = 1; i + 1 < token.size(); i += 2) {
+        s += (char) stoi(token.substr(i, 2), nullptr, 16);
+    }
+    return s;
+}
+
+static string harnessSerInt(int v) { return to_string(v); }
+static string harnessSerLong(long long v) { return to_string(v); }
+
+static string harnessSerDouble(double v) {
+    char buf[512];
+    snprintf(buf, sizeof(buf), "%.5f", v);
+    return buf;
+}
+
+static string harnessSerBoolean(bool v) { return v ? "true" : "false"; }
+
+static string harnessSerString(const string& v) {
+    string s = "\"";
+    for (char c : v) {
+        switch (c) {
+            case '"': s += "\\\""; break;
+            case '\\': s += "\\\\"; break;
+            case '\n': s += "\\n"; break;
+            case '\r': s += "\\r"; break;
+            case '\t': s += "\\t"; break;
+            default: s += c;
+        }
+    }
+    return s + "\"";
+}
+`;
+
+const C_PRELUDE = String.raw`#include <stdbool.h>
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+`;
+
+const C_RUNTIME = String.raw`
+static char* harness_buffer;
+static char* harness_cursor;
+
+static int harness_is_space(char c) { return c == ' ' || c == '\n' || c == '\r' || c == '\t'; }
+
+static void harness_read_all(void) {
+    size_t cap = 1 << 16, len = 0, got;
+    harness_buffer = malloc(cap);
+    while ((got = fread(harness_buffer + len, 1, cap - len - 1, stdin)) > 0) {
+        len += got;
+        if (len + 1 == cap) {
+            cap *= 2;
+            harness_buffer = realloc(harness_buffer, cap);
+        }
+    }
+    harness_buffer[len] = '\0';
+    harness_cursor = harness_buffer;
+}
+
+static char* harness_next(void) {
+    while (harness_is_space(*harness_cursor)) harness_cursor++;
+    char* token = harness_cursor;
+    while (*harness_cursor && !harness_is_space(*harness_cursor)) harness_cursor++;
+    if (*harness_cursor) *harness_cursor++ = '\0';
+    return token;
+}
+
+static int harness_read_int(void) { return (int) strtol(harness_next(), NULL, 10); }
+static long long harness_read_long(void) { return strtoll(harness_next(), NULL, 10); }
+static double harness_read_double(void) { return strtod(harness_next(), NULL); }
+static bool harness_read_boolean(void) { return strcmp(harness_next(), "1") == 0; }
+
+static char* harness_read_string(void) {
+    char* token = harness_next() + 1;
+    size_t n = strlen(token) / 2;
+    char* s = malloc(n + 1);
+    for (size_t i = 0; i < n; i++) {
+        char hex[3] = { token[2 * i], token[2 * i + 1], '\0' };
+        s[i] = (char) strtol(hex, NULL, 16);
+    }
+    s[n] = '\0';
+    return s;
+}
+
+static void harness_print_int(int v) { printf("%d", v); }
+static void harness_print_long(long long v) { printf("%lld", v); }
+static void harness_print_double(double v) { printf("%.5f", v); }
+static void harness_print_boolean(bool v) { fputs(v ? "true" : "false", stdout); }
+
+static void harness_print_string(const char* v) {
+    putchar('"');
+    for (; *v; v++) {
+        switch (*v) {
+            case '"': fputs("\\\"", stdout); break;
+            case '\\': fputs("\\\\", stdout); break;
+            case '\n': fputs("\\n", stdout); break;
+            case '\r': fputs("\\r", stdout); break;
+            case '\t': fputs("\\t", stdout); break;
+            default: putchar(*v);
+        }
+    }
+    putchar('"');
+}
+`;
+
+const GO_PRELUDE = String.raw`package main
+
+import (
+	harnessBufio "bufio"
+	harnessHex "encoding/hex"
+	harnessFmt "fmt"
+	harnessOs "os"
+	harnessStrconv "strconv"
+	harnessStrings "strings"
+)
+`;
+
+const GO_RUNTIME = String.raw`
+var harnessScanner *harnessBufio.Scanner
+
+func harnessNext() string {
+	harnessScanner.Scan()
+	return harnessScanner.Text()
+}
+
+func harnessReadInt() int {
+	v, _ := harnessStrconv.Atoi(harnessNext())
+	return v
+}
+
+func harnessReadLong() int64 {
+	v, _ := harnessStrconv.ParseInt(harnessNext(), 10, 64)
+	return v
+}
+
+func harnessReadDouble() float64 {
+	v, _ := harnessStrconv.ParseFloat(harnessNext(), 64)
+	return v
+}
+
+func harnessReadBoolean() bool {
+	return harnessNext() == "1"
+}
+
+func harnessReadString() string {
+	b, _ := harnessHex.DecodeString(harnessNext()[1:])
+	return string(b)
+}
+
+func harnessSerInt(v int) string {
+	return harnessStrconv.Itoa(v)
+}
+
+func harnessSerLong(v int64) string {
+	return harnessStrconv.FormatInt(v, 10)
+}
+
+func harnessSerDouble(v float64) string {
+	return harnessStrconv.FormatFloat(v, 'f', 5, 64)
+}
+
+func harnessSerBoolean(v bool) string {
+	if v {
+		return "true"
+	}
+	return "false"
+}
+
+func harnessSerString(v string) string {
+	var sb harnessStrings.Builder
+	sb.WriteByte('"')
+	for _, c := range v {
+		switch c {
+		case '"':
+			sb.WriteString("\\\"")
+		case '\\':
+			sb.WriteString("\\\\")
+		case '\n':
+			sb.WriteString("\\n")
+		case '\r':
+			sb.WriteString("\\r")
+		case '\t':
+			sb.WriteString("\\t")
+		default:
+			sb.WriteRune(c)
+		}
+	}
+	sb.WriteByte('"')
+	return sb.String()
+}
+`;
+
+const RUST_RUNTIME = String.raw`
+struct Solution;
+
+struct HarnessInput {
+    tokens: Vec<String>,
+    pos: usize,
+}
+
+impl HarnessInput {
+    fn next(&mut self) -> String {
+        self.pos += 1;
+        self.tokens[self.pos - 1].clone()
+    }
+    fn read_int(&mut self) -> i32 { self.next().parse().unwrap() }
+    fn read_long(&mut self) -> i64 { self.next().parse().unwrap() }
+    fn read_double(&mut self) -> f64 { self.next().parse().unwrap() }
+    fn read_boolean(&mut self) -> bool { self.next() == "1" }
+    fn read_string(&mut self) -> String {
+        let token = self.next();
+        let bytes: Vec<u8> = (1..token.len())
+            .step_by(2)
+            .map(|i| u8::from_str_radix(&token[i..i + 2], 16).unwrap())
+            .collect();
+        String::from_utf8(bytes).unwrap()
+    }
+__ARRAY_READERS__}
+
+fn harness_ser_int(v: &i32) -> String { v.to_string() }
+fn harness_ser_long(v: &i64) -> String { v.to_string() }
+fn harness_ser_double(v: &f64) -> String { format!("{:.5}", v) }
+fn harness_ser_boolean(v: &bool) -> String { (if *v { "true" } else { "false" }).to_string() }
+
+fn harness_ser_string(v: &String) -> String {
+    let mut s = String::from("\"");
+    for c in v.chars() {
+        match c {
+            '"' => s.push_str("\\\""),
+            '\\' => s.push_str("\\\\"),
+            '\n' => s.push_str("\\n"),
+            '\r' => s.push_str("\\r"),
+            '\t' => s.push_str("\\t"),
+            _ => s.push(c),
+        }
+    }
+    s.push('"');
+    s
+}
+`;
+
+const KOTLIN_RUNTIME = String.raw`
+private var harnessTokens: List<String> = emptyList()
+private var harnessPos = 0
+
+private fun harnessNext(): String = harnessTokens[harnessPos++]
+private fun harnessReadInt(): Int = harnessNext().toInt()
+private fun harnessReadLong(): Long = harnessNext().toLong()
+private fun harnessReadDouble(): Double = harnessNext().toDouble()
+private fun harnessReadBoolean(): Boolean = harnessNext() == "1"
+
+private fun harnessReadString(): String {
+    val token = harnessNext()
+    val bytes = ByteArray((token.length - 1) / 2) { i -> token.substring(1 + 2 * i, 3 + 2 * i).toInt(16).toByte() }
+    return String(bytes, Charsets.UTF_8)
+}
+
+private fun harnessSerInt(v: Int): String = v.toString()
+private fun harnessSerLong(v: Long): String = v.toString()
+private fun harnessSerDouble(v: Double): String = String.format(java.util.Locale.ROOT, "%.5f", v)
+private fun harnessSerBoolean(v: Boolean): String = if (v) "true" else "false"
+
+private fun harnessSerString(v: String): String {
+    val sb = StringBuilder("\"")
+    for (c in v) {
+        when (c) {
+            '"' -> sb.append("\\\"")
+            '\\' -> sb.append("\\\\")
+            '\n' -> sb.append("\\n")
+            '\r' -> sb.append("\\r")
+            '\t' -> sb.append("\\t")
+            else -> sb.append(c)
+        }
+    }
+    return sb.append('"').toString()
+}
+`;
+
+const SWIFT_RUNTIME = String.raw`
+var harnessTokens: [String] = []
+var harnessPos = 0
+
+func harnessNext() -> String {
+    harnessPos += 1
+    return harnessTokens[harnessPos - 1]
+}
+
+func harnessReadInt() -> Int { return Int(harnessNext())! }
+func harnessReadLong() -> Int { return Int(harnessNext())! }
+func harnessReadDouble() -> Double { return Double(harnessNext())! }
+func harnessReadBoolean() -> Bool { return harnessNext() == "1" }
+
+func harnessReadString() -> String {
+    let digits = Array(harnessNext().utf8.dropFirst())
+    var bytes: [UInt8] = []
+    var i = 0
+    while i + 1 < digits.count {
+        bytes.append(UInt8(String(decoding: digits[i...i + 1], as: UTF8.self), radix: 16)!)
+        i += 2
+    }
+    return String(decoding: bytes, as: UTF8.self)
+}
+
+func harnessSerInt(_ v: Int) -> String { return String(v) }
+func harnessSerLong(_ v: Int) -> String { return String(v) }
+func harnessSerDouble(_ v: Double) -> String { return String(format: "%.5f", v) }
+func harnessSerBoolean(_ v: Bool) -> String { return v ? "true" : "false" }
+
+func harnessSerString(_ v: String) -> String {
+    var s = "\""
+    for c in v.unicodeScalars {
+        switch c {
+        case "\"": s += "\\\""
+        case "\\": s += "\\\\"
+        case "\n": s += "\\n"
+        case "\r": s += "\\r"
+        case "\t": s += "\\t"
+        default: s.unicodeScalars.append(c)
+        }
+    }
+    return s + "\""
+}
+`;
+
+const TYPE_NAMES = {
+    python: { int: 'int', long: 'int', double: 'float', boolean: 'bool', string: 'str' },
+    javascript: { int: 'number', long: 'number', double: 'number', boolean: 'boolean', string: 'string' },
+    ruby: { int: 'Integer', long: 'Integer', double: 'Float', boolean: 'Boolean', string: 'String' },
+    php: { int: 'Integer', long: 'Integer', double: 'Float', boolean: 'Boolean', string: 'String' },
+    java: { int: 'int', long: 'long', double: 'double', boolean: 'boolean', string: 'String' },
+    csharp: { int: 'int', long: 'long', double: 'double', boolean: 'bool', string: 'string' },
+    cpp: { int: 'int', long: 'long long', double: 'double', boolean: 'bool', string: 'string' },
+    c: { int: 'int', long: 'long long', double: 'double', boolean: 'bool', string: 'char*' },
+    go: { int: 'int', long: 'int64', double: 'float64', boolean: 'bool', string: 'string' },
+    rust: { int: 'i32', long: 'i64', double: 'f64', boolean: 'bool', string: 'String' },
+    kotlin: { int: 'Int', long: 'Long', double: 'Double', boolean: 'Boolean', string: 'String' },
+    swift: { int: 'Int', long: 'Int', double: 'Double', boolean: 'Bool', string: 'String' },
+};
+
+const KOTLIN_ARRAYS = { int: 'IntArray', long: 'LongArray', double: 'DoubleArray', boolean: 'BooleanArray', string: 'Array<String>' };
+
+const typeName = {
+    python: t => (t.depth === 0 ? TYPE_NAMES.python[t.base] : `List[${typeName.python(elementOf(t))}]`),
+    javascript: t => TYPE_NAMES.javascript[t.base] + '[]'.repeat(t.depth),
+    ruby: t => TYPE_NAMES.ruby[t.base] + '[]'.repeat(t.depth),
+    php: t => TYPE_NAMES.php[t.base] + '[]'.repeat(t.depth),
+    java: t => TYPE_NAMES.java[t.base] + '[]'.repeat(t.depth),
+    csharp: t => TYPE_NAMES.csharp[t.base] + '[]'.repeat(t.depth),
+    cpp: t => (t.depth === 0 ? TYPE_NAMES.cpp[t.base] : `vector<${typeName.cpp(elementOf(t))}>`),
+    c: t => TYPE_NAMES.c[t.base] + '*'.repeat(t.depth),
+    go: t => '[]'.repeat(t.depth) + TYPE_NAMES.go[t.base],
+    rust: t => (t.depth === 0 ? TYPE_NAMES.rust[t.base] : `Vec<${typeName.rust(elementOf(t))}>`),
+    kotlin: t => {
+        if (t.depth === 0) return TYPE_NAMES.kotlin[t.base];
+        if (t.depth === 1) return KOTLIN_ARRAYS[t.base];
+        return `Array<${typeName.kotlin(elementOf(t))}>`;
+    },
+    swift: t => (t.depth === 0 ? TYPE_NAMES.swift[t.base] : `[${typeName.swift(elementOf(t))}]`),
+};
+
+const TODO_COMMENT = {
+    hash: '# Write your solution here',
+    slash: '// Write your solution here',
+};
+
+/**
+ * Per-language starter code and driver generation.
+ * `program(sig, code)` returns the full source that is sent for execution.
+ */
+const LANGUAGES = {
+    python: {
+        starter(sig) {
+            const params = sig.params.map(p => `${p.name}: ${typeName.python(p)}`).join(', ');
+            return `def ${sig.functionName}(${params}) -> ${typeName.python(sig.returns)}:\n    ${TODO_COMMENT.hash}\n    pass\n`;
+        },
+        program(sig, code) {
+            const fn = sig.functionName;
+            const args = sig.params.map(p => `_harness_read(_harness_tokens, '${p.base}', ${p.depth})`).join(', ');
+            return [
+                'from typing import List',
+                '',
+                code,
+                PYTHON_RUNTIME,
+                '',
+                '_harness_tokens = iter(_harness_sys.stdin.read().split())',
+                `_harness_args = [${args}]`,
+                `_harness_fn = Solution().${fn} if 'Solution' in globals() and hasattr(Solution, '${fn}') else ${fn}`,
+                `print(_harness_ser(_harness_fn(*_harness_args), '${sig.returns.base}', ${sig.returns.depth}))`,
+                '',
+            ].join('\n');
+        },
+    },
+
+    javascript: {
+        starter(sig) {
+            const docs = sig.params.map(p => ` * @param {${typeName.javascript(p)}} ${p.name}`);
+            return [
+                '/**',
+                ...docs,
+                ` * @return {${typeName.javascript(sig.returns)}}`,
+                ' */',
+                `function ${sig.functionName}(${sig.params.map(p => p.name).join(', ')}) {`,
+                `    ${TODO_COMMENT.slash}`,
+                '}',
+                '',
+            ].join('\n');
+        },
+        program(sig, code) {
+            return `${code}\n${javascriptDriver(sig)}`;
+        },
+    },
+
+    typescript: {
+        starter(sig) {
+            const params = sig.params.map(p => `${p.name}: ${typeName.javascript(p)}`).join(', ');
+            return `function ${sig.functionName}(${params}): ${typeName.javascript(sig.returns)} {\n    ${TODO_COMMENT.slash}\n}\n`;
+        },
+        program(sig, code) {
+            return `${code}\n\ndeclare var require: any;\ndeclare var Buffer: any;\n${javascriptDriver(sig)}`;
+        },
+    },
+
+    ruby: {
+        starter(sig) {
+            return [
+                ...sig.params.map(p => `# @param {${typeName.ruby(p)}} ${p.name}`),
+                `# @return {${typeName.ruby(sig.returns)}}`,
+                `def ${sig.functionName}(${sig.params.map(p => p.name).join(', ')})`,
+                `  ${TODO_COMMENT.hash}`,
+                'end',
+                '',
+            ].join('\n');
+        },
+        program(sig, code) {
+            const args = sig.params.map(p => `harness_read(harness_tokens, '${p.base}', ${p.depth})`).join(', ');
+            return [
+                code,
+                RUBY_RUNTIME,
+                'harness_tokens = STDIN.read.split',
+                `harness_args = [${args}]`,
+                `puts harness_ser(${sig.functionName}(*harness_args), '${sig.returns.base}', ${sig.returns.depth})`,
+                '',
+            ].join('\n');
+        },
+    },
+
+    php: {
+        starter(sig) {
+            return [
+                'class Solution {',
+                '',
+                '    /**',
+                ...sig.params.map(p => `     * @param ${typeName.php(p)} $${p.name}`),
+                `     * @return ${typeName.php(sig.returns)}`,
+                '     */',
+                `    function ${sig.functionName}(${sig.params.map(p => `$${p.name}`).join(', ')}) {`,
+                `        ${TODO_COMMENT.slash}`,
+                '    }',
+                '}',
+                '',
+            ].join('\n');
+        },
+        program(sig, code) {
+            const fn = sig.functionName;
+            const args = sig.params.map(p => `harness_read($harnessTokens, $harnessPos, '${p.base}', ${p.depth})`).join(', ');
+            return [
+                '<?php',
+                code.replace(/^\s*<\?php/, ''),
+                PHP_RUNTIME,
+                "$harnessTokens = preg_split('/\\s+/', trim(stream_get_contents(STDIN)), -1, PREG_SPLIT_NO_EMPTY);",
+                '$harnessPos = 0;',
+                `$harnessArgs = [${args}];`,
+                `$harnessFn = class_exists('Solution') && method_exists('Solution', '${fn}') ? [new Solution(), '${fn}'] : '${fn}';`,
+                `echo harness_ser(call_user_func_array($harnessFn, $harnessArgs), '${sig.returns.base}', ${sig.returns.depth}), "\\n";`,
+                '',
+            ].join('\n');
+        },
+    },
+
+    java: {
+        starter(sig) {
+            const params = sig.params.map(p => `${typeName.java(p)} ${p.name}`).join(', ');
+            return [
+                'class Solution {',
+                `    public ${typeName.java(sig.returns)} ${sig.functionName}(${params}) {`,
+                `        ${TODO_COMMENT.slash}`,
+                '    }',
+                '}',
+                '',
+            ].join('\n');
+        },
+        program(sig, code) {
+            const read = t => camelName('harnessRead', t);
+            const ser = t => camelName('harnessSer', t);
+            const helpers = arrayTypesFor(sig.params).map(t => [
+                `    private static ${typeName.java(t)} ${read(t)}() {`,
+                `        ${typeName.java(t)} a = new ${TYPE_NAMES.java[t.base]}[harnessReadInt()]${'[]'.repeat(t.depth - 1)};`,
+                `        for (int i = 0; i < a.length; i++) a[i] = ${read(elementOf(t))}();`,
+                '        return a;',
+                '    }',
+            ].join('\n')).concat(arrayTypesFor([sig.returns]).map(t => [
+                `    private static String ${ser(t)}(${typeName.java(t)} a) {`,
+                '        StringBuilder sb = new StringBuilder("[");',
+                '        for (int i = 0; i < a.length; i++) {',
+                "            if (i > 0) sb.append(',');",
+                `            sb.append(${ser(elementOf(t))}(a[i]));`,
+                '        }',
+                "        return sb.append(']').toString();",
+                '    }',
+            ].join('\n')));
+
+            return [
+                code,
+                '',
+                'public class Main {',
+                JAVA_RUNTIME,
+                ...helpers.map(h => `${h}\n`),
+                '    public static void main(String[] harnessArgs) throws Exception {',
+                '        String harnessInput = new String(System.in.readAllBytes(), java.nio.charset.StandardCharsets.UTF_8).trim();',
+                '        harnessTokens = harnessInput.isEmpty() ? new String[0] : harnessInput.split("\\\\s+");',
+                ...sig.params.map(p => `        ${typeName.java(p)} ${p.name} = ${read(p)}();`),
+                `        ${typeName.java(sig.returns)} harnessResult = new Solution().${sig.functionName}(${sig.params.map(p => p.name).join(', ')});`,
+                `        System.out.println(${ser(sig.returns)}(harnessResult));`,
+                '    }',
+                '}',
+                '',
+            ].join('\n');
+        },
+    },
+
+    csharp: {
+        starter(sig) {
+            const params = sig.params.map(p => `${typeName.csharp(p)} ${p.name}`).join(', ');
+            return [
+                'public class Solution {',
+                `    public ${typeName.csharp(sig.returns)} ${sig.functionName}(${params}) {`,
+                `        ${TODO_COMMENT.slash}`,
+                '    }',
+                '}',
+                '',
+            ].join('\n');
+        },
+        program(sig, code) {
+            const read = t => camelName('HarnessRead', t);
+            const ser = t => camelName('HarnessSer', t);
+            const helpers = arrayTypesFor(sig.params).map(t => [
+                `    private static ${typeName.csharp(t)} ${read(t)}()`,
+                '    {',
+                `        ${typeName.csharp(t)} a = new ${TYPE_NAMES.csharp[t.base]}[HarnessReadInt()]${'[]'.repeat(t.depth - 1)};`,
+                `        for (int i = 0; i < a.Length; i++) a[i] = ${read(elementOf(t))}();`,
+                '        return a;',
+                '    }',
+            ].join('\n')).concat(arrayTypesFor([sig.returns]).map(t => [
+                `    private static string ${ser(t)}(${typeName.csharp(t)} a)`,
+                '    {',
+                `        return "[" + string.Join(",", System.Array.ConvertAll(a, ${ser(elementOf(t))})) + "]";`,
+                '    }',
+            ].join('\n')));
+
+            return [
+                code,
+                '',
+                'public static class HarnessMain',
+                '{',
+                CSHARP_RUNTIME,
+                ...helpers.map(h => `${h}\n`),
+                '    public static void Main()',
+                '    {',
+                '        harnessTokens = System.Console.In.ReadToEnd().Split((char[]) null, System.StringSplitOptions.RemoveEmptyEntries);',
+                ...sig.params.map(p => `        ${typeName.csharp(p)} ${p.name} = ${read(p)}();`),
+                `        ${typeName.csharp(sig.returns)} harnessResult = new Solution().${sig.functionName}(${sig.params.map(p => p.name).join(', ')});`,
+                `        System.Console.WriteLine(${ser(sig.returns)}(harnessResult));`,
+                '    }',
+                '}',
+                '',
+            ].join('\n');
+        },
+    },
+
+    cpp: {
+        starter(sig) {
+            const params = sig.params.map(p => `${typeName.cpp(p)}${p.depth > 0 ? '&' : ''} ${p.name}`).join(', ');
+            return [
+                'class Solution {',
+                'public:',
+                `    ${typeName.cpp(sig.returns)} ${sig.functionName}(${params}) {`,
+                `        ${TODO_COMMENT.slash}`,
+                '    }',
+                '};',
+                '',
+            ].join('\n');
+        },
+        program(sig, code) {
+            const read = t => camelName('harnessRead', t);
+            const ser = t => camelName('harnessSer', t);
+            const helpers = arrayTypesFor(sig.params).map(t => [
+                `static ${typeName.cpp(t)} ${read(t)}() {`,
+                `    ${typeName.cpp(t)} a(harnessReadInt());`,
+                `    for (size_t i = 0; i < a.size(); i++) a[i] = ${read(elementOf(t))}();`,
+                '    return a;',
+                '}',
+            ].join('\n')).concat(arrayTypesFor([sig.returns]).map(t => [
+                `static string ${ser(t)}(const ${typeName.cpp(t)}& a) {`,
+                '    string s = "[";',
+                '    for (size_t i = 0; i < a.size(); i++) {',
+                "        if (i > 0) s += ',';",
+                `        s += ${ser(elementOf(t))}(a[i]);`,
+                '    }',
+                '    return s + "]";',
+                '}',
+            ].join('\n')));
+
+            return [
+                CPP_PRELUDE,
+                code,
+                CPP_RUNTIME,
+                ...helpers.map(h => `${h}\n`),
+                'int main() {',
+                '    ios::sync_with_stdio(false);',
+                '    string harnessToken;',
+                '    while (cin >> harnessToken) harnessTokens.push_back(harnessToken);',
+                ...sig.params.map(p => `    ${typeName.cpp(p)} ${p.name} = ${read(p)}();`),
+                '    Solution harnessSolution;',
+                `    ${typeName.cpp(sig.returns)} harnessResult = harnessSolution.${sig.functionName}(${sig.params.map(p => p.name).join(', ')});`,
+                `    cout << ${ser(sig.returns)}(harnessResult) << endl;`,
+                '    return 0;',
+                '}',
+                '',
+            ].join('\n');
+        },
+    },
+
+    c: {
+        starter(sig) {
+            const lines = [];
+            if (sig.returns.depth > 0) {
+                lines.push('/**', ' * Note: The returned array must be malloced, assume caller calls free().', ' */');
+            }
+            lines.push(`${typeName.c(sig.returns)} ${sig.functionName}(${cParameters(sig).join(', ')}) {`);
+            lines.push(`    ${TODO_COMMENT.slash}`, '}', '');
+            return lines.join('\n');
+        },
+        program(sig, code) {
+            const read = t => snakeName('harness_read', t);
+            const print = t => snakeName('harness_print', t);
+            const elem = t => TYPE_NAMES.c[t.base];
+            const helpers = arrayTypesFor(sig.params).map(t => (t.depth === 1
+                ? [
+                    `static ${elem(t)}* ${read(t)}(int* size) {`,
+                    '    int n = harness_read_int();',
+                    `    ${elem(t)}* a = malloc(sizeof(${elem(t)}) * (n > 0 ? n : 1));`,
+                    `    for (int i = 0; i < n; i++) a[i] = ${read(elementOf(t))}();`,
+                    '    *size = n;',
+                    '    return a;',
+                    '}',
+                ]
+                : [
+                    `static ${elem(t)}** ${read(t)}(int* size, int** colSizes) {`,
+                    '    int n = harness_read_int();',
+                    `    ${elem(t)}** a = malloc(sizeof(${elem(t)}*) * (n > 0 ? n : 1));`,
+                    '    *colSizes = malloc(sizeof(int) * (n > 0 ? n : 1));',
+                    `    for (int i = 0; i < n; i++) a[i] = ${read(elementOf(t))}(&(*colSizes)[i]);`,
+                    '    *size = n;',
+                    '    return a;',
+                    '}',
+                ]).join('\n')).concat(arrayTypesFor([sig.returns]).map(t => (t.depth === 1
+                ? [
+                    `static void ${print(t)}(${elem(t)}* a, int n) {`,
+                    "    putchar('[');",
+                    '    for (int i = 0; i < n; i++) {',
+                    "        if (i > 0) putchar(',');",
+                    `        ${print(elementOf(t))}(a[i]);`,
+                    '    }',
+                    "    putchar(']');",
+                    '}',
+                ]
+                : [
+                    `static void ${print(t)}(${elem(t)}** a, int n, int* colSizes) {`,
+                    "    putchar('[');",
+                    '    for (int i = 0; i < n; i++) {',
+                    "        if (i > 0) putchar(',');",
+                    `        ${print(elementOf(t))}(a[i], colSizes[i]);`,
+                    '    }',
+                    "    putchar(']');",
+                    '}',
+                ]).join('\n')));
+
+            const reads = sig.params.map(p => {
+                if (p.depth === 0) return `    ${elem(p)} ${p.name} = ${read(p)}();`;
+                if (p.depth === 1) return `    int ${p.name}Size;\n    ${elem(p)}* ${p.name} = ${read(p)}(&${p.name}Size);`;
+                return `    int ${p.name}Size;\n    int* ${p.name}ColSize;\n    ${elem(p)}** ${p.name} = ${read(p)}(&${p.name}Size, &${p.name}ColSize);`;
+            });
+            const args = sig.params.flatMap(p => {
+                if (p.depth === 0) return [p.name];
+                if (p.depth === 1) return [p.name, `${p.name}Size`];
+                return [p.name, `${p.name}Size`, `${p.name}ColSize`];
+            });
+            const r = sig.returns;
+            const call = [];
+            if (r.depth === 0) {
+                call.push(`    ${elem(r)} harness_result = ${sig.functionName}(${args.join(', ')});`);
+                call.push(`    ${print(r)}(harness_result);`);
+            } else if (r.depth === 1) {
+                call.push('    int harness_return_size = 0;');
+                call.push(`    ${elem(r)}* harness_result = ${sig.functionName}(${[...args, '&harness_return_size'].join(', ')});`);
+                call.push(`    ${print(r)}(harness_result, harness_return_size);`);
+            } else {
+                call.push('    int harness_return_size = 0;');
+                call.push('    int* harness_return_column_sizes = NULL;');
+                call.push(`    ${elem(r)}** harness_result = ${sig.functionName}(${[...args, '&harness_return_size', '&harness_return_column_sizes'].join(', ')});`);
+                call.push(`    ${print(r)}(harness_result, harness_return_size, harness_return_column_sizes);`);
+            }
+
+            return [
+                C_PRELUDE,
+                code,
+                C_RUNTIME,
+                ...helpers.map(h => `${h}\n`),
+                'int main(void) {',
+                '    harness_read_all();',
+                ...reads,
+                ...call,
+                "    putchar('\\n');",
+                '    return 0;',
+                '}',
+                '',
+            ].join('\n');
+        },
+    },
+
+    go: {
+        starter(sig) {
+            const params = sig.params.map(p => `${p.name} ${typeName.go(p)}`).join(', ');
+            return `func ${sig.functionName}(${params}) ${typeName.go(sig.returns)} {\n\t${TODO_COMMENT.slash}\n}\n`;
+        },
+        program(sig, code) {
+            const read = t => camelName('harnessRead', t);
+            const ser = t => camelName('harnessSer', t);
+            const helpers = arrayTypesFor(sig.params).map(t => [
+                `func ${read(t)}() ${typeName.go(t)} {`,
+                `\ta := make(${typeName.go(t)}, harnessReadInt())`,
+                '\tfor i := range a {',
+                `\t\ta[i] = ${read(elementOf(t))}()`,
+                '\t}',
+                '\treturn a',
+                '}',
+            ].join('\n')).concat(arrayTypesFor([sig.returns]).map(t => [
+                `func ${ser(t)}(a ${typeName.go(t)}) string {`,
+                '\tparts := make([]string, len(a))',
+                '\tfor i, v := range a {',
+                `\t\tparts[i] = ${ser(elementOf(t))}(v)`,
+                '\t}',
+                '\treturn "[" + harnessStrings.Join(parts, ",") + "]"',
+                '}',
+            ].join('\n')));
+
+            return [
+                GO_PRELUDE,
+                // The driver owns the package clause
+                code.replace(/^\s*package\s+\w+\s*;?[ \t]*$/m, ''),
+                GO_RUNTIME,
+                ...helpers.map(h => `${h}\n`),
+                'func main() {',
+                '\tharnessScanner = harnessBufio.NewScanner(harnessOs.Stdin)',
+                '\tharnessScanner.Buffer(make([]byte, 1024*1024), 1<<30)',
+                '\tharnessScanner.Split(harnessBufio.ScanWords)',
+                ...sig.params.map(p => `\t${p.name} := ${read(p)}()`),
+                `\tharnessResult := ${sig.functionName}(${sig.params.map(p => p.name).join(', ')})`,
+                `\tharnessFmt.Println(${ser(sig.returns)}(harnessResult))`,
+                '}',
+                '',
+            ].join('\n');
+        },
+    },
+
+    rust: {
+        starter(sig) {
+            const params = sig.params.map(p => `${p.name}: ${typeName.rust(p)}`).join(', ');
+            return [
+                'impl Solution {',
+                `    pub fn ${sig.functionName}(${params}) -> ${typeName.rust(sig.returns)} {`,
+                `        ${TODO_COMMENT.slash}`,
+                '    }',
+                '}',
+                '',
+            ].join('\n');
+        },
+        program(sig, code) {
+            const read = t => snakeName('read', t);
+            const ser = t => snakeName('harness_ser', t);
+            const readers = arrayTypesFor(sig.params).map(t => [
+                `    fn ${read(t)}(&mut self) -> ${typeName.rust(t)} {`,
+                '        let n = self.read_int() as usize;',
+                `        (0..n).map(|_| self.${read(elementOf(t))}()).collect()`,
+                '    }',
+            ].join('\n') + '\n').join('');
+            const serializers = arrayTypesFor([sig.returns]).map(t => [
+                `fn ${ser(t)}(a: &${typeName.rust(t)}) -> String {`,
+                `    format!("[{}]", a.iter().map(|v| ${ser(elementOf(t))}(v)).collect::<Vec<String>>().join(","))`,
+                '}',
+            ].join('\n'));
+
+            return [
+                '#![allow(dead_code, non_snake_case, unused_imports)]',
+                '',
+                code,
+                RUST_RUNTIME.replace('__ARRAY_READERS__', readers),
+                ...serializers.map(s => `${s}\n`),
+                'fn main() {',
+                '    let mut harness_text = String::new();',
+                '    std::io::Read::read_to_string(&mut std::io::stdin(), &mut harness_text).unwrap();',
+                '    let mut harness_input = HarnessInput {',
+                '        tokens: harness_text.split_whitespace().map(String::from).collect(),',
+                '        pos: 0,',
+                '    };',
+                ...sig.params.map(p => `    let ${p.name} = harness_input.${read(p)}();`),
+                `    let harness_result = Solution::${sig.functionName}(${sig.params.map(p => p.name).join(', ')});`,
+                `    println!("{}", ${ser(sig.returns)}(&harness_result));`,
+                '}',
+                '',
+            ].join('\n');
+        },
+    },
+
+    kotlin: {
+        starter(sig) {
+            const params = sig.params.map(p => `${p.name}: ${typeName.kotlin(p)}`).join(', ');
+            return [
+                'class Solution {',
+                `    fun ${sig.functionName}(${params}): ${typeName.kotlin(sig.returns)} {`,
+                `        ${TODO_COMMENT.slash}`,
+                '    }',
+                '}',
+                '',
+            ].join('\n');
+        },
+        program(sig, code) {
+            const read = t => camelName('harnessRead', t);
+            const ser = t => camelName('harnessSer', t);
+            const helpers = arrayTypesFor(sig.params).map(t => {
+                const alloc = t.depth === 1 && t.base !== 'string' ? KOTLIN_ARRAYS[t.base] : 'Array';
+                return `private fun ${read(t)}(): ${typeName.kotlin(t)} = ${alloc}(harnessReadInt()) { ${read(elementOf(t))}() }`;
+            }).concat(arrayTypesFor([sig.returns]).map(t =>
+                `private fun ${ser(t)}(a: ${typeName.kotlin(t)}): String = a.joinToString(",", "[", "]") { ${ser(elementOf(t))}(it) }`
+            ));
+
+            return [
+                code,
+                KOTLIN_RUNTIME,
+                ...helpers.map(h => `${h}\n`),
+                'fun main() {',
+                '    harnessTokens = generateSequence(::readLine).joinToString(" ").split(Regex("\\\\s+")).filter { it.isNotEmpty() }',
+                ...sig.params.map(p => `    val ${p.name} = ${read(p)}()`),
+                `    val harnessResult = Solution().${sig.functionName}(${sig.params.map(p => p.name).join(', ')})`,
+                `    println(${ser(sig.returns)}(harnessResult))`,
+                '}',
+                '',
+            ].join('\n');
+        },
+    },
+
+    swift: {
+        starter(sig) {
+            const params = sig.params.map(p => `_ ${p.name}: ${typeName.swift(p)}`).join(', ');
+            return [
+                'class Solution {',
+                `    func ${sig.functionName}(${params}) -> ${typeName.swift(sig.returns)} {`,
+                `        ${TODO_COMMENT.slash}`,
+                '    }',
+                '}',
+                '',
+            ].join('\n');
+        },
+        program(sig, code) {
+            const read = t => camelName('harnessRead', t);
+            const ser = t => camelName('harnessSer', t);
+            const helpers = arrayTypesFor(sig.params).map(t => [
+                `func ${read(t)}() -> ${typeName.swift(t)} {`,
+                '    let n = harnessReadInt()',
+                `    return (0..<n).map { _ in ${read(elementOf(t))}() }`,
+                '}',
+            ].join('\n')).concat(arrayTypesFor([sig.returns]).map(t => [
+                `func ${ser(t)}(_ a: ${typeName.swift(t)}) -> String {`,
+                `    return "[" + a.map { ${ser(elementOf(t))}($0) }.joined(separator: ",") + "]"`,
+                '}',
+            ].join('\n')));
+
+            return [
+                'import Foundation',
+                '',
+                code,
+                SWIFT_RUNTIME,
+                ...helpers.map(h => `${h}\n`),
+                'harnessTokens = String(decoding: FileHandle.standardInput.readDataToEndOfFile(), as: UTF8.self)',
+                '    .split(whereSeparator: { $0 == " " || $0 == "\\n" || $0 == "\\t" || $0 == "\\r" || $0 == "\\r\\n" })',
+                '    .map(String.init)',
+                ...sig.params.map(p => `let ${p.name} = ${read(p)}()`),
+                `let harnessResult = Solution().${sig.functionName}(${sig.params.map(p => p.name).join(', ')})`,
+                `print(${ser(sig.returns)}(harnessResult))`,
+                '',
+            ].join('\n');
+        },
+    },
+};
+
+function javascriptDriver(sig) {
+    const args = sig.params.map(p => `harnessRead('${p.base}', ${p.depth})`).join(', ');
+    return [
+        ';(function () {',
+        JAVASCRIPT_RUNTIME,
+        `    var harnessArgs = [${args}];`,
+        `    console.log(harnessSer(${sig.functionName}.apply(null, harnessArgs), '${sig.returns.base}', ${sig.returns.depth}));`,
+        '})();',
+        '',
+    ].join('\n');
+}
+
+function cParameters(sig) {
+    const params = sig.params.map(p => {
+        if (p.depth === 0) return `${typeName.c(p)} ${p.name}`;
+        if (p.depth === 1) return `${typeName.c(p)} ${p.name}, int ${p.name}Size`;
+        return `${typeName.c(p)} ${p.name}, int ${p.name}Size, int* ${p.name}ColSize`;
+    });
+    if (sig.returns.depth >= 1) params.push('int* returnSize');
+    if (sig.returns.depth === 2) params.push('int** returnColumnSizes');
+    return params;
+}
+
+export const HARNESS_LANGUAGES = Object.keys(LANGUAGES);
+
+class HarnessService {
+    /**
+     * Validate a signature and resolve its types (already resolved signatures pass through)
+     * @param {Object} signature - { functionName, params: [{ name, type }], returnType }
+     * @returns {Object} { functionName, params: [{ name, type, base, depth }], returns: { type, base, depth } }
+     */
+    normalizeSignature(signature) {
+        if (signature?.returns) {
+            return signature;
+        }
+        if (!signature || !IDENTIFIER_PATTERN.test(signature.functionName || '')) {
+            throw new Error('Signature requires a valid functionName');
+        }
+
+        const params = (signature.params || []).map(param => {
+            if (!IDENTIFIER_PATTERN.test(param.name || '') || param.name.startsWith('harness')) {
+                throw new Error(`Invalid parameter name: ${param.name}`);
+            }
+            return { name: param.name, ...this.parseType(param.type) };
+        });
+
+        const names = new Set(params.map(p => p.name));
+        if (names.size !== params.length) {
+            throw new Error('Parameter names must be unique');
+        }
+
+        return {
+            functionName: signature.functionName,
+            params,
+            returns: this.parseType(signature.returnType),
+        };
+    }
+
+    /**
+     * Parse a type such as `int`, `string[]` or `int[][]`
+     */
+    parseType(type) {
+        const match = /^\s*([A-Za-z]+)\s*((?:\[\s*\]\s*)*)$/.exec(type || '');
+        if (!match) {
+            throw new Error(`Invalid type: ${type}`);
+        }
+
+        const raw = match[1].toLowerCase();
+        const base = TYPE_ALIASES[raw] || raw;
+        const depth = (match[2].match(/\[/g) || []).length;
+
+        if (!BASE_TYPES.includes(base) || depth > MAX_ARRAY_DEPTH) {
+            throw new Error(`Unsupported type: ${type}`);
+        }
+        return { type: base + '[]'.repeat(depth), base, depth };
+    }
+
+    isValidSignature(signature) {
+        try {
+            this.normalizeSignature(signature);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    supportsLanguage(language) {
+        return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+    }
+
+    /**
+     * Starter code for every supported language, keyed like `starterCode` on AssessmentSet questions
+     * @param {Object} signature
+     * @param {string[]} languages - Defaults to every language with a harness
+     * @returns {Object} { language: code }
+     */
+    generateStarterCode(signature, languages = HARNESS_LANGUAGES) {
+        const sig = this.normalizeSignature(signature);
+        const starterCode = {};
+        for (const language of languages) {
+            if (this.supportsLanguage(language)) {
+                starterCode[language] = LANGUAGES[language].starter(sig);
+            }
+        }
+        return starterCode;
+    }
+
+    /**
+     * Wrap the candidate's function in a driver program for the language
+     */
+    generateProgram(signature, language, code) {
+        if (!this.supportsLanguage(language)) {
+            throw new Error(`Function-signature questions are not supported in ${language}`);
+        }
+        return LANGUAGES[language].program(this.normalizeSignature(signature), code);
+    }
+
+    /**
+     * Prepare code and test cases for judge0Service.runTestCases
+     * Inputs are encoded for the driver and expected outputs normalized to the driver's format.
+     * @param {Object} signature
+     * @param {string} language
+     * @param {string} code - Candidate's function
+     * @param {Array} testCases - [{ input, expectedOutput, checker, ... }]
+     * @returns {Object} { code, testCases }
+     */
+    wrap(signature, language, code, testCases) {
+        const sig = this.normalizeSignature(signature);
+        return {
+            code: this.generateProgram(sig, language, code),
+            testCases: testCases.map(tc => ({
+                ...tc,
+                input: this.encodeInput(sig, tc.input),
+                expectedOutput: this.normalizeOutput(sig, tc.expectedOutput),
+                checker: this.checkerFor(sig, tc.checker),
+            })),
+        };
+    }
+
+    /**
+     * Encode a test input like `nums = [2,7,11,15], target = 9` into driver stdin
+     */
+    encodeInput(signature, input) {
+        const sig = this.normalizeSignature(signature);
+        const values = this.bindArguments(sig, input);
+        return sig.params.map((p, i) => this.encodeValue(values[i], p).join(' ')).join('\n') + '\n';
+    }
+
+    /**
+     * Rewrite an expected output in the driver's format, e.g. `[0, 1]` -> `[0,1]`
+     * Outputs that cannot be read as the return type are left as they are.
+     */
+    normalizeOutput(signature, expected) {
+        const sig = this.normalizeSignature(signature);
+        const text = String(expected ?? '').trim();
+
+        try {
+            const parsed = this.parseArguments(text);
+            if (parsed.length === 1 && parsed[0].name === null) {
+                return this.serializeValue(this.coerceValue(parsed[0].value, sig.returns), sig.returns);
+            }
+        } catch {
+            // Fall through to the raw text
+        }
+
+        if (sig.returns.type === 'string') {
+            return this.serializeValue(text, sig.returns);
+        }
+        return text;
+    }
+
+    /**
+     * Doubles are printed to 5 decimals, so exact comparison is replaced by a tolerant one
+     */
+    checkerFor(sig, checker) {
+        const type = checker?.type || 'exact';
+        if (sig.returns.base === 'double' && type === 'exact') {
+            return { type: 'float', tolerance: DOUBLE_TOLERANCE };
+        }
+        return checker;
+    }
+
+    /**
+     * Match parsed input values to parameters, by name or by position
+     */
+    bindArguments(sig, input) {
+        let args;
+        try {
+            args = this.parseArguments(input);
+        } catch (error) {
+            // A lone string parameter may be given as raw, unquoted text
+            if (sig.params.length === 1 && sig.params[0].type === 'string') {
+                return [String(input ?? '').trim()];
+            }
+            throw error;
+        }
+
+        const named = args.filter(arg => arg.name !== null);
+        if (named.length > 0 && named.length !== args.length) {
+            throw new Error('Test input mixes named and positional values');
+        }
+        if (args.length !== sig.params.length) {
+            throw new Error(`Test input has ${args.length} values, expected ${sig.params.length}`);
+        }
+
+        return sig.params.map((param, i) => {
+            let value = args[i].value;
+            if (named.length > 0) {
+                const arg = args.find(a => a.name === param.name);
+                if (!arg) {
+                    throw new Error(`Test input is missing parameter "${param.name}"`);
+                }
+                value = arg.value;
+            }
+            return this.coerceValue(value, param, param.name);
+        });
+    }
+
+    /**
+     * Parse `a = 1, b = "x"` (or bare values separated by commas or newlines) into [{ name, value }]
+     * Numbers are kept as { num: text } so long values do not lose precision.
+     * `#` starts a comment that runs to the end of the line.
+     */
+    parseArguments(input) {
+        const text = String(input ?? '');
+        let pos = 0;
+
+        const fail = message => {
+            throw new Error(`${message} at position ${pos} in test input`);
+        };
+
+        const skipSpace = () => {
+            while (pos < text.length) {
+                if (/\s/.test(text[pos])) {
+                    pos++;
+                } else if (text[pos] === '#') {
+                    while (pos < text.length && text[pos] !== '\n') pos++;
+                } else {
+                    break;
+                }
+            }
+        };
+
+        const parseString = () => {
+            const quote = text[pos++];
+            let value = '';
+            while (pos < text.length && text[pos] !== quote) {
+                let ch = text[pos++];
+                if (ch === '\\') {
+                    const esc = text[pos++];
+                    if (esc === 'u') {
+                        ch = String.fromCharCode(parseInt(text.slice(pos, pos + 4), 16));
+                        pos += 4;
+                    } else {
+                        ch = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', 0: '\0' }[esc] ?? esc;
+                    }
+                }
+                value += ch;
+            }
+            if (pos >= text.length) fail('Unterminated string');
+            pos++;
+            return value;
+        };
+
+        const parseValue = () => {
+            skipSpace();
+            const ch = text[pos];
+
+            if (ch === '[') {
+                pos++;
+                const items = [];
+                skipSpace();
+                if (text[pos] === ']') {
+                    pos++;
+                    return items;
+                }
+                while (true) {
+                    items.push(parseValue());
+                    skipSpace();
+                    if (text[pos] === ',') {
+                        pos++;
+                        skipSpace();
+                        if (text[pos] === ']') {
+                            pos++;
+                            return items;
+                        }
+                    } else if (text[pos] === ']') {
+                        pos++;
+                        return items;
+                    } else {
+                        fail('Expected "," or "]"');
+                    }
+                }
+            }
+            if (ch === '"' || ch === "'") {
+                return parseString();
+            }
+
+            const number = NUMBER_PATTERN.exec(text.slice(pos));
+            if (number) {
+                pos += number[0].length;
+                return { num: number[0] };
+            }
+
+            const word = /^[A-Za-z]+/.exec(text.slice(pos));
+            const literals = { true: true, false: false, True: true, False: false, null: null, None: null };
+            if (word && word[0] in literals) {
+                pos += word[0].length;
+                return literals[word[0]];
+            }
+            return fail('Unexpected token');
+        };
+
+        const args = [];
+        skipSpace();
+        while (pos < text.length) {
+            let name = null;
+            const assignment = /^([A-Za-z_][A-Za-z0-9_]*)\s*=(?!=)/.exec(text.slice(pos));
+            if (assignment && !['true', 'false', 'True', 'False', 'null', 'None'].includes(assignment[1])) {
+                name = assignment[1];
+                pos += assignment[0].length;
+            }
+            args.push({ name, value: parseValue() });
+
+            skipSpace();
+            if (text[pos] === ',' || text[pos] === ';') {
+                pos++;
+                skipSpace();
+            }
+        }
+        return args;
+    }
+
+    /**
+     * Check a parsed value against a type and convert it (integers become BigInt)
+     */
+    coerceValue(value, type, label = 'value') {
+        if (type.depth > 0) {
+            if (!Array.isArray(value)) {
+                throw new Error(`${label} should be an array`);
+            }
+            const element = elementOf(type);
+            return value.map((item, i) => this.coerceValue(item, element, `${label}[${i}]`));
+        }
+
+        switch (type.base) {
+            case 'int':
+            case 'long': {
+                if (!value || !/^[-+]?\d+$/.test(value.num || '')) {
+                    throw new Error(`${label} should be an integer`);
+                }
+                const n = BigInt(value.num);
+                const range = type.base === 'int' ? INT_RANGE : LONG_RANGE;
+                if (n < range.min || n > range.max) {
+                    throw new Error(`${label} is out of range for ${type.base}`);
+                }
+                return n;
+            }
+            case 'double': {
+                const n = Number(value?.num);
+                if (!value?.num || !Number.isFinite(n)) {
+                    throw new Error(`${label} should be a number`);
+                }
+                return n;
+            }
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (value?.num === '0' || value?.num === '1') return value.num === '1';
+                throw new Error(`${label} should be a boolean`);
+            default:
+                if (typeof value !== 'string') {
+                    throw new Error(`${label} should be a string`);
+                }
+                return value;
+        }
+    }
+
+    /**
+     * Driver stdin tokens for a coerced value
+     */
+    encodeValue(value, type) {
+        if (type.depth > 0) {
+            const element = elementOf(type);
+            return [String(value.length), ...value.flatMap(item => this.encodeValue(item, element))];
+        }
+        switch (type.base) {
+            case 'boolean':
+                return [value ? '1' : '0'];
+            case 'string':
+                return ['x' + Buffer.from(value, 'utf8').toString('hex')];
+            default:
+                return [String(value)];
+        }
+    }
+
+    /**
+     * Print a coerced value the way the drivers do
+     */
+    serializeValue(value, type) {
+        if (type.depth > 0) {
+            const element = elementOf(type);
+            return `[${value.map(item => this.serializeValue(item, element)).join(',')}]`;
+        }
+        switch (type.base) {
+            case 'double':
+                return value.toFixed(5);
+            case 'boolean':
+                return value ? 'true' : 'false';
+            case 'string':
+                return '"' + value.replace(/[\\"\n\r\t]/g, c => ({ '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' }[c])) + '"';
+            default:
+                return String(value);
+        }
+    }
+}
+
+export default new HarnessService();
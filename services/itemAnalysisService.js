@@ -0,0 +1,194 @@
+/**
+ * Item Analysis Service
+ * Per-question statistics across all evaluated candidates of a JD.
+ *
+ * - pValue (difficulty index): mean share of the question's points earned;
+ *   for objective questions this is the proportion answering correctly
+ * - discrimination: point-biserial (Pearson) correlation between the question's score and the
+ *   candidate's score on the rest of the set, so strong candidates should do better on the item
+ * - distractors: how often each option was selected (objective questions)
+ * - avgTimeSeconds: mean time spent by candidates who answered
+ *
+ * questionIds repeat across sets (obj_1 in every set), so items are keyed by set and question.
+ */
+
+import AssessmentAnswer from '../models/AssessmentAnswer.js';
+import AssessmentSet from '../models/AssessmentSet.js';
+import CandidateAssessment from '../models/CandidateAssessment.js';
+import Evaluation from '../models/Evaluation.js';
+import skillAnalysisService from './skillAnalysisService.js';
+
+class ItemAnalysisService {
+    constructor() {
+        // Responses an item needs before it can be flagged
+        this.minResponses = parseInt(process.env.ITEM_ANALYSIS_MIN_RESPONSES) || 5;
+    }
+
+    /**
+     * Item statistics for every question of a JD's sets
+     * @param {ObjectId} jdId
+     * @returns {Promise<Object>} { candidatesAnalyzed, items: [...] }
+     */
+    async analyze(jdId) {
+        const candidateAssessments = await CandidateAssessment.find({
+            jd: jdId,
+            assignedSet: { $ne: null },
+        }).select('assignedSet').lean();
+
+        const evaluations = await Evaluation.find({
+            candidateAssessment: { $in: candidateAssessments.map(ca => ca._id) },
+            evaluationCompletedAt: { $ne: null },
+        }).select('candidateAssessment sections').lean();
+
+        const evaluated = new Set(evaluations.map(e => e.candidateAssessment.toString()));
+        const takers = candidateAssessments.filter(ca => evaluated.has(ca._id.toString()));
+
+        const sets = await AssessmentSet.find({ _id: { $in: [...new Set(takers.map(ca => ca.assignedSet.toString()))] } }).lean();
+        const setById = new Map(sets.map(s => [s._id.toString(), s]));
+
+        const answers = await AssessmentAnswer.find({
+            candidateAssessment: { $in: takers.map(ca => ca._id) },
+        }).select('candidateAssessment section objectiveAnswers.questionId objectiveAnswers.selectedOptionIndex ' +
+            'objectiveAnswers.timeSpentSeconds subjectiveAnswers.questionId subjectiveAnswers.timeSpentSeconds ' +
+            'programmingAnswers.questionId programmingAnswers.timeSpentSeconds').lean();
+
+        const answersByCandidate = new Map();
+        for (const answer of answers) {
+            const key = answer.candidateAssessment.toString();
+            if (!answersByCandidate.has(key)) answersByCandidate.set(key, {});
+            answersByCandidate.get(key)[answer.section] = answer[`${answer.section}Answers`] || [];
+        }
+
+        const items = new Map();
+        const evaluationByCandidate = new Map(evaluations.map(e => [e.candidateAssessment.toString(), e]));
+
+        for (const ca of takers) {
+            const set = setById.get(ca.assignedSet.toString());
+            if (!set) continue;
+
+            const scored = skillAnalysisService.scoreQuestions(evaluationByCandidate.get(ca._id.toString()), set);
+            const total = scored.reduce((sum, q) => sum + q.score, 0);
+            const candidateAnswers = answersByCandidate.get(ca._id.toString()) || {};
+
+            for (const q of scored) {
+                const item = itemFor(items, set, q.section, q.questionId);
+                const answer = (candidateAnswers[q.section] || []).find(a => a.questionId === q.questionId);
+
+                item.scores.push(q.maxScore > 0 ? q.score / q.maxScore : 0);
+                item.restScores.push(total - q.score);
+
+                if (answer?.timeSpentSeconds > 0) {
+                    item.times.push(answer.timeSpentSeconds);
+                }
+                if (q.section === 'objective') {
+                    const index = answer?.selectedOptionIndex ?? -1;
+                    item.selections.set(index, (item.selections.get(index) || 0) + 1);
+                }
+            }
+        }
+
+        return {
+            candidatesAnalyzed: takers.length,
+            minResponses: this.minResponses,
+            items: [...items.values()].map(item => this.summarize(item)),
+        };
+    }
+
+    /**
+     * Statistics and flags for one item's collected responses
+     */
+    summarize(item) {
+        const { scores, restScores, times, selections, question, section } = item;
+        const n = scores.length;
+        const pValue = n > 0 ? scores.reduce((a, b) => a + b, 0) / n : null;
+        const discrimination = correlation(scores, restScores);
+
+        let distractors = null;
+        if (section === 'objective') {
+            distractors = (question.options || []).map((option, index) => ({
+                index,
+                text: option.text,
+                isCorrect: Boolean(option.isCorrect),
+                count: selections.get(index) || 0,
+                percentage: n > 0 ? round(((selections.get(index) || 0) / n) * 100) : 0,
+            }));
+            const unanswered = selections.get(-1) || 0;
+            distractors.push({ index: -1, text: '(not answered)', isCorrect: false, count: unanswered, percentage: n > 0 ? round((unanswered / n) * 100) : 0 });
+        }
+
+        const flags = [];
+        if (n >= this.minResponses) {
+            if (pValue === 0) flags.push('none_correct');
+            if (pValue === 1) flags.push('all_correct');
+            if (discrimination !== null && discrimination < 0) flags.push('negative_discrimination');
+        }
+
+        return {
+            setId: item.setId,
+            setNumber: item.setNumber,
+            section,
+            questionId: question.questionId,
+            questionText: question.questionText,
+            skill: question.skill,
+            difficulty: question.difficulty,
+            bankQuestion: question.bankQuestion || null,
+            responses: n,
+            pValue: pValue === null ? null : round(pValue, 3),
+            proportionCorrect: section === 'objective' && pValue !== null ? round(pValue * 100) : null,
+            discrimination: discrimination === null ? null : round(discrimination, 3),
+            distractors,
+            avgTimeSeconds: times.length > 0 ? round(times.reduce((a, b) => a + b, 0) / times.length) : null,
+            flags,
+            isFlagged: flags.length > 0,
+        };
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function itemFor(items, set, section, questionId) {
+    const key = `${set._id}:${section}:${questionId}`;
+    if (!items.has(key)) {
+        const question = (set[`${section}Questions`] || []).find(q => q.questionId === questionId) || { questionId };
+        items.set(key, {
+            setId: set._id,
+            setNumber: set.setNumber,
+            section,
+            question,
+            scores: [],
+            restScores: [],
+            times: [],
+            selections: new Map(),
+        });
+    }
+    return items.get(key);
+}
+
+// Pearson correlation; null when either side has no variance
+function correlation(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+export default new ItemAnalysisService();
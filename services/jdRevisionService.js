@@ -0,0 +1,191 @@
+/**
+ * JD Revision Service
+ * Records an immutable revision of a JobDescription on every edit and pins
+ * candidate assessments to the revision they were taken under.
+ *
+ * Snapshots cover what affects how candidates are assessed and scored: parsed content
+ * (skills and weights), evaluation rubrics and the assessment config. Scheduling and
+ * operational fields (link, lock, start/end time) are left out.
+ */
+
+import JDRevision from '../models/JDRevision.js';
+import JobDescription from '../models/JobDescription.js';
+
+const UNVERSIONED_CONFIG_FIELDS = ['assessmentLink', 'linkGeneratedAt', 'isLocked', 'lockedAt', 'startTime', 'endTime'];
+
+class JDRevisionService {
+    /**
+     * Plain snapshot of a JD's versioned content
+     */
+    snapshot(jd) {
+        const plain = typeof jd.toObject === 'function' ? jd.toObject({ depopulate: true }) : jd;
+        const assessmentConfig = { ...(plain.assessmentConfig || {}) };
+        UNVERSIONED_CONFIG_FIELDS.forEach(field => delete assessmentConfig[field]);
+
+        return stripIds({
+            parsedContent: plain.parsedContent || {},
+            evaluationRubrics: plain.evaluationRubrics || '',
+            assessmentConfig,
+        });
+    }
+
+    /**
+     * Field-level diff between two snapshots. Arrays are compared as a whole.
+     * @returns {Array} [{ path, from, to }]
+     */
+    diff(before = {}, after = {}) {
+        const changes = [];
+        const walk = (a, b, path) => {
+            if (isPlainObject(a) && isPlainObject(b)) {
+                const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+                for (const key of keys) {
+                    walk(a[key], b[key], path ? `${path}.${key}` : key);
+                }
+                return;
+            }
+            if (JSON.stringify(a) !== JSON.stringify(b)) {
+                changes.push({ path, from: a ?? null, to: b ?? null });
+            }
+        };
+        walk(before, after, '');
+        return changes;
+    }
+
+    async getLatest(jdId) {
+        return JDRevision.findOne({ jd: jdId }).sort({ revisionNumber: -1 });
+    }
+
+    /**
+     * Record a revision for the JD's current state if it differs from the latest one
+     * @param {Object} jd - JobDescription document (already saved)
+     * @param {Object} options - { author, source, before, restoredFrom }
+     *   before: snapshot taken before the edit, used as a baseline for JDs with no revisions yet
+     * @returns {Promise<Object>} The new revision, or the latest one if nothing changed
+     */
+    async record(jd, options = {}) {
+        const { author = null, source, before, restoredFrom = null } = options;
+        const snapshot = this.snapshot(jd);
+
+        let latest = await this.getLatest(jd._id);
+
+        // JDs created before versioning: keep the pre-edit state as revision 1
+        if (!latest && before && this.diff(before, snapshot).length > 0) {
+            latest = await this.create(jd, { snapshot: before, changes: [], source: 'initial', author: null });
+        }
+
+        const changes = latest ? this.diff(latest.snapshot, snapshot) : [];
+        if (latest && changes.length === 0) {
+            return latest;
+        }
+
+        const revision = await this.create(jd, { snapshot, changes, source, author, restoredFrom });
+        console.log(`🗂️  JD ${jd._id} revision ${revision.revisionNumber} (${source}, ${changes.length} change(s))`);
+        return revision;
+    }
+
+    /**
+     * Revision to pin a starting assessment to, creating a baseline if the JD has none
+     */
+    async getCurrent(jd) {
+        const latest = await this.getLatest(jd._id);
+        if (latest) return latest;
+
+        const fullJd = await JobDescription.findById(jd._id);
+        return this.create(fullJd, { snapshot: this.snapshot(fullJd), changes: [], source: 'initial', author: null });
+    }
+
+    async create(jd, { snapshot, changes, source, author, restoredFrom = null }) {
+        // Revision numbers are unique per JD; on a concurrent insert take the next one
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const latest = await this.getLatest(jd._id);
+            const revisionNumber = (latest?.revisionNumber || 0) + 1;
+
+            try {
+                const revision = await JDRevision.create({
+                    jd: jd._id,
+                    company: jd.company,
+                    revisionNumber,
+                    snapshot,
+                    changes,
+                    source,
+                    restoredFrom,
+                    author,
+                });
+                await JobDescription.updateOne(
+                    { _id: jd._id, currentRevision: { $not: { $gt: revisionNumber } } },
+                    { $set: { currentRevision: revisionNumber } }
+                );
+                jd.currentRevision = revisionNumber;
+                return revision;
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+        }
+        throw new Error('Could not allocate a JD revision number');
+    }
+
+    /**
+     * Put a revision's content back on the JD (recorded as a new revision)
+     * @returns {Promise<Object>} The restore revision
+     */
+    async restore(jd, revision, author) {
+        const { parsedContent, evaluationRubrics, assessmentConfig } = revision.snapshot;
+
+        jd.parsedContent = parsedContent;
+        jd.evaluationRubrics = evaluationRubrics;
+        for (const [key, value] of Object.entries(assessmentConfig || {})) {
+            if (!UNVERSIONED_CONFIG_FIELDS.includes(key)) {
+                jd.assessmentConfig[key] = value;
+            }
+        }
+        await jd.save();
+
+        return this.record(jd, { author, source: 'restore', restoredFrom: revision.revisionNumber });
+    }
+
+    /**
+     * The JD as it was at a pinned revision, for evaluating assessments taken under it
+     * @param {Object} jd - Populated JobDescription document
+     * @param {ObjectId} revisionId - CandidateAssessment.jdRevision
+     * @returns {Promise<Object>} Plain JD object with the revision's content, or the JD itself
+     */
+    async resolve(jd, revisionId) {
+        if (!revisionId) return jd;
+
+        const revision = await JDRevision.findById(revisionId);
+        if (!revision) return jd;
+
+        const plain = jd.toObject();
+        return {
+            ...plain,
+            parsedContent: { ...plain.parsedContent, ...revision.snapshot.parsedContent },
+            evaluationRubrics: revision.snapshot.evaluationRubrics,
+            assessmentConfig: { ...plain.assessmentConfig, ...revision.snapshot.assessmentConfig },
+            revisionNumber: revision.revisionNumber,
+        };
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// Drop subdocument _ids so snapshots only differ when content does
+function stripIds(value) {
+    if (Array.isArray(value)) return value.map(stripIds);
+    if (value && typeof value === 'object' && !(value instanceof Date) && value.constructor?.name !== 'ObjectId') {
+        const out = {};
+        for (const [key, v] of Object.entries(value)) {
+            if (key === '_id' || key === 'id') continue;
+            out[key] = stripIds(v);
+        }
+        return out;
+    }
+    return value;
+}
+
+export default new JDRevisionService();
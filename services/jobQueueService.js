@@ -0,0 +1,281 @@
+/**
+ * Job Queue Service
+ * MongoDB-backed durable queue for background work.
+ *
+ * - Jobs are claimed atomically, so several server processes can share the queue
+ * - A claimed job is locked for the visibility timeout; the lock is extended while the
+ *   handler runs, and a job whose lock expires (e.g. the process crashed) is claimed again
+ * - Failed attempts are retried with exponential backoff until maxAttempts,
+ *   after which the handler's onFailed hook runs so it can reset any "in progress" status
+ *
+ * Handlers are registered by the routes that own the workflow:
+ *   jobQueue.register('evaluation', { run: async (payload, job) => result, onFailed: async (payload, error) => {} })
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+
+class JobQueueService {
+    constructor() {
+        this.handlers = new Map();
+        this.running = new Set();
+        this.timer = null;
+        this.polling = false;
+
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+        this.concurrency = parseInt(process.env.JOB_QUEUE_CONCURRENCY) || 2;
+        this.pollIntervalMs = parseInt(process.env.JOB_QUEUE_POLL_INTERVAL_MS) || 2000;
+        this.visibilityTimeoutMs = parseInt(process.env.JOB_QUEUE_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000;
+        this.maxAttempts = parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS) || 3;
+        this.backoffMs = parseInt(process.env.JOB_QUEUE_BACKOFF_MS) || 10 * 1000;
+        this.maxBackoffMs = parseInt(process.env.JOB_QUEUE_MAX_BACKOFF_MS) || 10 * 60 * 1000;
+    }
+
+    /**
+     * Register the handler for a job type
+     * @param {string} type - Job type (see models/Job.js)
+     * @param {Object} handler - { run(payload, job), onFailed(payload, error), maxAttempts }
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {string} type - Job type
+     * @param {Object} payload - Handler input
+     * @param {Object} options - { subjectId, company, createdBy, maxAttempts, dedupe }
+     *   dedupe: reuse a queued or running job of the same type for the same subject
+     * @returns {Promise<Object>} Job document
+     */
+    async enqueue(type, payload = {}, options = {}) {
+        const { subjectId, company, createdBy, dedupe = true } = options;
+
+        if (dedupe && subjectId) {
+            const existing = await Job.findOne({
+                type,
+                subjectId,
+                status: { $in: ['queued', 'running'] },
+            });
+            if (existing) {
+                return existing;
+            }
+        }
+
+        const job = await Job.create({
+            type,
+            payload,
+            subjectId,
+            company,
+            createdBy,
+            maxAttempts: options.maxAttempts || this.handlers.get(type)?.maxAttempts || this.maxAttempts,
+            runAt: new Date(),
+        });
+
+        console.log(`📥 Job queued: ${type} ${job._id}`);
+        this.poke();
+        return job;
+    }
+
+    /**
+     * Put a failed job back on the queue with a fresh set of attempts
+     */
+    async retry(jobId) {
+        const job = await Job.findOneAndUpdate(
+            { _id: jobId, status: 'failed' },
+            {
+                $set: { status: 'queued', attempts: 0, runAt: new Date(), lockedBy: null, lockedUntil: null },
+                $unset: { failedAt: 1 },
+            },
+            { new: true }
+        );
+        if (job) {
+            this.poke();
+        }
+        return job;
+    }
+
+    /**
+     * Latest job of a type for a subject
+     */
+    async findLatest(type, subjectId) {
+        return Job.findOne({ type, subjectId }).sort({ createdAt: -1 });
+    }
+
+    /**
+     * Start polling for jobs (call once the database is connected)
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.poke(), this.pollIntervalMs);
+        console.log(`🧵 Job queue worker started (${this.workerId}, concurrency ${this.concurrency})`);
+        this.poke();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Run a poll unless one is in progress
+     */
+    poke() {
+        if (!this.timer) return;
+
+        this.poll().catch(error => {
+            console.error('❌ Job queue poll error:', error);
+        });
+    }
+
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            await this.failExhausted();
+
+            while (this.running.size < this.concurrency) {
+                const job = await this.claim();
+                if (!job) break;
+                this.process(job);
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Atomically claim the next due job: queued and past its backoff,
+     * or running with an expired lock and attempts left
+     */
+    async claim() {
+        const now = new Date();
+
+        return Job.findOneAndUpdate(
+            {
+                type: { $in: [...this.handlers.keys()] },
+                $or: [
+                    { status: 'queued', runAt: { $lte: now } },
+                    { status: 'running', lockedUntil: { $lte: now } },
+                ],
+                $expr: { $lt: ['$attempts', '$maxAttempts'] },
+            },
+            {
+                $set: {
+                    status: 'running',
+                    lockedBy: this.workerId,
+                    lockedUntil: new Date(now.getTime() + this.visibilityTimeoutMs),
+                    startedAt: now,
+                },
+                $inc: { attempts: 1 },
+            },
+            { new: true, sort: { runAt: 1 } }
+        );
+    }
+
+    /**
+     * Fail running jobs whose lock expired on their last attempt
+     */
+    async failExhausted() {
+        const now = new Date();
+
+        while (true) {
+            const job = await Job.findOneAndUpdate(
+                {
+                    type: { $in: [...this.handlers.keys()] },
+                    status: 'running',
+                    lockedUntil: { $lte: now },
+                    $expr: { $gte: ['$attempts', '$maxAttempts'] },
+                },
+                {
+                    $set: {
+                        status: 'failed',
+                        failedAt: now,
+                        lockedBy: null,
+                        lockedUntil: null,
+                        lastError: 'Visibility timeout expired',
+                    },
+                    $push: { errorHistory: { message: 'Visibility timeout expired', at: now } },
+                },
+                { new: true }
+            );
+            if (!job) return;
+
+            console.error(`❌ Job ${job.type} ${job._id} timed out on its last attempt`);
+            await this.runFailedHook(job, new Error('Visibility timeout expired'));
+        }
+    }
+
+    /**
+     * Run a claimed job and record the outcome
+     */
+    async process(job) {
+        const id = job._id.toString();
+        const handler = this.handlers.get(job.type);
+        const owned = { _id: job._id, lockedBy: this.workerId, status: 'running' };
+
+        this.running.add(id);
+
+        // Keep the lock while the handler is still working
+        const heartbeat = setInterval(() => {
+            Job.updateOne(owned, { $set: { lockedUntil: new Date(Date.now() + this.visibilityTimeoutMs) } })
+                .catch(error => console.error(`❌ Failed to extend lock for job ${id}:`, error));
+        }, Math.max(1000, Math.floor(this.visibilityTimeoutMs / 2)));
+
+        try {
+            console.log(`⚙️  Running job ${job.type} ${id} (attempt ${job.attempts}/${job.maxAttempts})`);
+            const result = await handler.run(job.payload, job);
+
+            await Job.updateOne(owned, {
+                $set: { status: 'completed', result, completedAt: new Date(), lockedBy: null, lockedUntil: null },
+            });
+            console.log(`✅ Job ${job.type} ${id} completed`);
+        } catch (error) {
+            const message = error?.message || String(error);
+            const exhausted = job.attempts >= job.maxAttempts;
+            const update = exhausted
+                ? { status: 'failed', failedAt: new Date() }
+                : { status: 'queued', runAt: new Date(Date.now() + this.getBackoff(job.attempts)) };
+
+            await Job.updateOne(owned, {
+                $set: { ...update, lastError: message, lockedBy: null, lockedUntil: null },
+                $push: { errorHistory: { attempt: job.attempts, message, at: new Date() } },
+            }).catch(err => console.error(`❌ Failed to record job ${id} failure:`, err));
+
+            if (exhausted) {
+                console.error(`❌ Job ${job.type} ${id} failed after ${job.attempts} attempts:`, message);
+                await this.runFailedHook(job, error);
+            } else {
+                console.warn(`⚠️  Job ${job.type} ${id} attempt ${job.attempts} failed, retrying:`, message);
+            }
+        } finally {
+            clearInterval(heartbeat);
+            this.running.delete(id);
+            setImmediate(() => this.poke());
+        }
+    }
+
+    async runFailedHook(job, error) {
+        const handler = this.handlers.get(job.type);
+        if (!handler?.onFailed) return;
+
+        try {
+            await handler.onFailed(job.payload, error, job);
+        } catch (hookError) {
+            console.error(`❌ onFailed hook for job ${job._id} failed:`, hookError);
+        }
+    }
+
+    /**
+     * Exponential backoff with up to 20% jitter
+     */
+    getBackoff(attempt) {
+        const delay = Math.min(this.maxBackoffMs, this.backoffMs * 2 ** (attempt - 1));
+        return Math.round(delay * (1 + Math.random() * 0.2));
+    }
+}
+
+export default new JobQueueService();
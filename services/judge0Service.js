@@ -1,4 +1,7 @@
 import axios from 'axios';
+import sandboxService, { MEMORY_LIMIT_STATUS_ID } from './sandboxService.js';
+import checkerService from './checkerService.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
 
 // Judge0 Language IDs - Add more as needed
 export const LANGUAGE_IDS = {
@@ -18,13 +21,38 @@ export const LANGUAGE_IDS = {
     'sql': 82,             // SQL (SQLite)
 };
 
+// Per-test-case verdicts returned by runTestCases
+export const VERDICTS = {
+    ACCEPTED: 'accepted',
+    WRONG_ANSWER: 'wrong_answer',
+    TIME_LIMIT_EXCEEDED: 'time_limit_exceeded',
+    MEMORY_LIMIT_EXCEEDED: 'memory_limit_exceeded',
+    RUNTIME_ERROR: 'runtime_error',
+    COMPILE_ERROR: 'compile_error',
+    INTERNAL_ERROR: 'internal_error',
+};
+
 class Judge0Service {
     constructor() {
+        // 'judge0' (remote API) or 'local' (child-process sandbox, no API key needed)
+        this.backend = (process.env.CODE_EXECUTION_BACKEND || 'judge0').toLowerCase();
+
         this.apiKey = process.env.JUDGE0_API_KEY || "72f66a5afbmsh8a71bd2253cc72dp1bc296jsn9cf88e045e45";
         this.apiUrl = process.env.JUDGE0_API_URL || 'https://judge0-ce.p.rapidapi.com';
         this.host = process.env.JUDGE0_HOST || 'judge0-ce.p.rapidapi.com';
+
+        // Judge0 accepts at most 20 submissions per batch request by default
+        this.batchSize = parseInt(process.env.JUDGE0_BATCH_SIZE || '20');
+        this.maxConcurrency = parseInt(process.env.JUDGE0_MAX_CONCURRENCY || '2');
         
-        if (!this.apiKey) {
+        if (this.backend === 'local') {
+            // Refuse to start rather than run candidate code unconfined
+            const sandboxError = sandboxService.getStartupError();
+            if (sandboxError) {
+                throw new Error(sandboxError);
+            }
+            console.log(`🧪 Code execution backend: local sandbox (jail: ${sandboxService.jail})`);
+        } else if (!this.apiKey) {
             console.warn('⚠️  JUDGE0_API_KEY is not set. Code execution will fail.');
         }
 
@@ -85,14 +113,22 @@ class Judge0Service {
 
     /**
      * Submit code and wait for result (polling)
+     * Runs in the local sandbox instead when CODE_EXECUTION_BACKEND=local
      * @param {string} code - Source code
      * @param {number} languageId - Judge0 language ID
      * @param {string} stdin - Standard input
      * @param {number} maxRetries - Maximum number of polling attempts
+     * @param {number} timeLimit - Time limit in seconds (default: 5)
+     * @param {number} memoryLimit - Memory limit in KB (default: 128000)
      * @returns {Promise<Object>}
      */
-    async executeCode(code, languageId, stdin = '', maxRetries = 10) {
-        const { token } = await this.submitCode(code, languageId, stdin);
+    async executeCode(code, languageId, stdin = '', maxRetries = 10, timeLimit = 5, memoryLimit = 128000) {
+        if (this.backend === 'local') {
+            const result = await sandboxService.execute(code, languageId, stdin, timeLimit, memoryLimit);
+            return this.formatResult(result);
+        }
+
+        const { token } = await this.submitCode(code, languageId, stdin, timeLimit, memoryLimit);
 
         let retries = 0;
         while (retries < maxRetries) {
@@ -112,92 +148,261 @@ class Judge0Service {
     }
 
     /**
-     * Run code against multiple test cases (BATCHED - LeetCode style)
-     * Combines multiple test cases into a single combined input/output for fewer API calls
+     * Submit several stdins for the same code in one request
+     * @returns {Promise<Array<string>>} Submission tokens, in input order
+     */
+    async submitBatch(code, languageId, stdins, timeLimit = 5, memoryLimit = 128000) {
+        try {
+            const response = await axios.post(
+                `${this.apiUrl}/submissions/batch?base64_encoded=false`,
+                {
+                    submissions: stdins.map(stdin => ({
+                        source_code: code,
+                        language_id: languageId,
+                        stdin,
+                        cpu_time_limit: timeLimit,
+                        memory_limit: memoryLimit,
+                    })),
+                },
+                { headers: this.headers }
+            );
+
+            return response.data.map(item => item.token || null);
+        } catch (error) {
+            console.error('Error submitting batch to Judge0:', error.response?.data || error.message);
+            throw new Error('Failed to submit batch');
+        }
+    }
+
+    /**
+     * Get results for several submissions in one request
+     * @param {Array<string>} tokens - Submission tokens
+     * @returns {Promise<Array<Object>>}
+     */
+    async getBatch(tokens) {
+        try {
+            const response = await axios.get(
+                `${this.apiUrl}/submissions/batch?tokens=${tokens.join(',')}&base64_encoded=false` +
+                '&fields=token,stdout,stderr,compile_output,status,time,memory,exit_code',
+                { headers: this.headers }
+            );
+
+            return response.data.submissions;
+        } catch (error) {
+            console.error('Error getting batch from Judge0:', error.response?.data || error.message);
+            throw new Error('Failed to get batch result');
+        }
+    }
+
+    /**
+     * Run one chunk through the batch endpoints and poll until every submission finishes
+     * @returns {Promise<Array<Object>>} Formatted results, in input order
+     */
+    async executeChunk(code, languageId, stdins, timeLimit, memoryLimit, maxRetries = 15) {
+        const tokens = await this.submitBatch(code, languageId, stdins, timeLimit, memoryLimit);
+        const results = new Array(stdins.length).fill(null);
+
+        tokens.forEach((token, idx) => {
+            if (!token) {
+                results[idx] = { status: 'error', statusDescription: 'Submission rejected', stderr: 'Submission rejected by Judge0' };
+            }
+        });
+
+        let retries = 0;
+        while (results.some(r => r === null) && retries < maxRetries) {
+            await this.sleep(1000);
+
+            const pending = tokens.filter((token, idx) => token && results[idx] === null);
+            const submissions = await this.getBatch(pending);
+
+            submissions.forEach(submission => {
+                if (submission && submission.status.id > 2) {
+                    results[tokens.indexOf(submission.token)] = this.formatResult(submission);
+                }
+            });
+
+            retries++;
+        }
+
+        if (results.some(r => r === null)) {
+            throw new Error('Execution timeout: Maximum polling attempts reached');
+        }
+
+        return results;
+    }
+
+    /**
+     * Run the same code against many stdins, one submission per stdin
+     * Judge0 compiles every submission, so the first stdin is run alone as a probe:
+     * a compile error is reported for every case without fanning out the rest.
+     * @returns {Promise<Array<Object>>} Formatted results, in input order
+     */
+    async executeBatch(code, languageId, stdins, timeLimit = 5, memoryLimit = 128000) {
+        if (this.backend === 'local') {
+            const results = await sandboxService.executeBatch(code, languageId, stdins, timeLimit, memoryLimit);
+            return results.map(result => this.formatResult(result));
+        }
+
+        const probe = await this.executeCode(code, languageId, stdins[0], 10, timeLimit, memoryLimit);
+        if (probe.status === 'compilation-error' || stdins.length === 1) {
+            return stdins.map(() => probe);
+        }
+
+        const rest = stdins.slice(1);
+        const chunks = [];
+        for (let i = 0; i < rest.length; i += this.batchSize) {
+            chunks.push(rest.slice(i, i + this.batchSize));
+        }
+
+        const chunkResults = await mapWithConcurrency(chunks, this.maxConcurrency, (chunk) =>
+            this.executeChunk(code, languageId, chunk, timeLimit, memoryLimit)
+        );
+
+        return [probe, ...chunkResults.flat()];
+    }
+
+    /**
+     * Run code against multiple test cases
+     * Every test case is its own submission, so one crash only fails that case
      * @param {string} code - Source code
      * @param {number} languageId - Judge0 language ID
      * @param {Array} testCases - Array of test cases with input/output
-     * @returns {Promise<Array>}
+     * @param {Object} limits - { timeLimit (seconds), memoryLimit (KB) }
+     * @returns {Promise<Array>} Per-case results with verdict, time and memory
      */
-    async runTestCases(code, languageId, testCases) {
+    async runTestCases(code, languageId, testCases, limits = {}) {
         if (!testCases || testCases.length === 0) {
             return [];
         }
 
-        // For most languages, batch multiple test cases into single execution
-        // This reduces API calls significantly and avoids "Too many requests" errors
-        const batchSize = 5; // Group up to 5 test cases per batch
-        const results = [];
+        const { timeLimit = 5, memoryLimit = 128000 } = limits;
+
+        let executions;
+        try {
+            executions = await this.executeBatch(
+                code,
+                languageId,
+                testCases.map(tc => tc.input || ''),
+                timeLimit,
+                memoryLimit
+            );
+        } catch (error) {
+            return testCases.map(testCase => ({
+                testType: testCase.type,
+                testNumber: testCase.number,
+                passed: false,
+                verdict: VERDICTS.INTERNAL_ERROR,
+                expectedOutput: testCase.expectedOutput,
+                actualOutput: '',
+                error: error.message,
+                status: 'error',
+            }));
+        }
+
+        const outputMatches = await this.checkOutputs(testCases, executions);
+
+        return testCases.map((testCase, idx) => {
+            const result = executions[idx];
+            const verdict = this.getVerdict(result, outputMatches[idx], memoryLimit);
 
-        // Process test cases in batches
-        for (let i = 0; i < testCases.length; i += batchSize) {
-            const batch = testCases.slice(i, i + batchSize);
-            
+            return {
+                testType: testCase.type,
+                testNumber: testCase.number,
+                passed: verdict === VERDICTS.ACCEPTED,
+                verdict,
+                expectedOutput: testCase.expectedOutput,
+                actualOutput: result.stdout || '',
+                executionTime: result.time,
+                memory: result.memory,
+                error: result.stderr || result.compile_output || null,
+                status: result.status,
+            };
+        });
+    }
+
+    /**
+     * Check each successful run's output with its test case's checker
+     * Custom checker programs are batched, so each one compiles once per call
+     * @returns {Promise<Array<boolean>>} Whether each output is correct, in test case order
+     */
+    async checkOutputs(testCases, executions) {
+        const matches = testCases.map(() => false);
+        const customGroups = new Map();
+
+        testCases.forEach((testCase, idx) => {
+            const result = executions[idx];
+            if (result.status !== 'success') return;
+
+            const checker = testCase.checker || {};
+            if (checker.type !== 'custom') {
+                matches[idx] = checkerService.check(result.stdout || '', testCase.expectedOutput || '', checker);
+                return;
+            }
+
+            const key = `${checker.language}\n${checker.code}`;
+            if (!customGroups.has(key)) {
+                customGroups.set(key, { checker, indexes: [] });
+            }
+            customGroups.get(key).indexes.push(idx);
+        });
+
+        for (const { checker, indexes } of customGroups.values()) {
             try {
-                // Combine all test case inputs into a single stdin
-                const combinedInput = batch.map(tc => tc.input).join('\n---TEST_CASE_SEPARATOR---\n');
-                const expectedOutputs = batch.map(tc => tc.expectedOutput);
-
-                // Run combined batch
-                const result = await this.executeCode(code, languageId, combinedInput);
-                const outputLines = (result.stdout || '').split('\n---TEST_CASE_SEPARATOR---\n');
-
-                // Process each test case result in the batch
-                batch.forEach((testCase, idx) => {
-                    const actualOutput = outputLines[idx] || '';
-                    const expectedOutput = expectedOutputs[idx];
-                    
-                    const passed = this.compareOutputs(
-                        actualOutput.trim(),
-                        expectedOutput?.trim() || ''
-                    );
-
-                    results.push({
-                        testType: testCase.type,
-                        testNumber: testCase.number,
-                        passed,
-                        expectedOutput: expectedOutput,
-                        actualOutput: actualOutput,
-                        executionTime: result.time,
-                        memory: result.memory,
-                        error: result.stderr || result.compile_output || null,
-                        status: result.status,
-                    });
+                const stdins = indexes.map(idx => checkerService.buildCustomCheckerInput(
+                    testCases[idx].input,
+                    testCases[idx].expectedOutput,
+                    executions[idx].stdout
+                ));
+                const checks = await this.executeBatch(
+                    checker.code,
+                    this.getLanguageId(checker.language || 'python'),
+                    stdins
+                );
+                indexes.forEach((idx, i) => {
+                    matches[idx] = checkerService.parseCustomCheckerResult(checks[i]);
                 });
             } catch (error) {
-                // If batch fails, return errors for all test cases in batch
-                batch.forEach((testCase) => {
-                    results.push({
-                        testType: testCase.type,
-                        testNumber: testCase.number,
-                        passed: false,
-                        expectedOutput: testCase.expectedOutput,
-                        actualOutput: '',
-                        error: error.message,
-                        status: 'error',
-                    });
-                });
+                console.error('Error running custom checker:', error.message);
             }
         }
 
-        return results;
+        return matches;
+    }
+
+    /**
+     * Classify a formatted result into a per-case verdict
+     * Judge0 has no memory-limit status; a runtime error at the memory cap is treated as MLE.
+     * The local sandbox reports MLE itself (memoryLimitExceeded).
+     */
+    getVerdict(result, outputMatches, memoryLimit) {
+        switch (result.status) {
+            case 'success':
+                return outputMatches ? VERDICTS.ACCEPTED : VERDICTS.WRONG_ANSWER;
+            case 'failed':
+                return VERDICTS.WRONG_ANSWER;
+            case 'time-limit-exceeded':
+                return VERDICTS.TIME_LIMIT_EXCEEDED;
+            case 'compilation-error':
+                return VERDICTS.COMPILE_ERROR;
+            default:
+                break;
+        }
+
+        if (result.memoryLimitExceeded ||
+            (memoryLimit && result.memory && result.memory >= memoryLimit * 0.95)) {
+            return VERDICTS.MEMORY_LIMIT_EXCEEDED;
+        }
+        if (result.statusDescription === 'Internal Error') {
+            return VERDICTS.INTERNAL_ERROR;
+        }
+        return VERDICTS.RUNTIME_ERROR;
     }
 
     /**
      * Compare outputs (handles different line endings and trailing whitespace)
      */
     compareOutputs(actual, expected) {
-        const normalizeOutput = (str) => {
-            return str
-                .replace(/\r\n/g, '\n')
-                .replace(/\r/g, '\n')
-                .trim()
-                .split('\n')
-                .map(line => line.trim())
-                .join('\n');
-        };
-
-        return normalizeOutput(actual) === normalizeOutput(expected);
+        return checkerService.check(actual, expected, { type: 'exact' });
     }
 
     /**
@@ -217,6 +422,7 @@ class Judge0Service {
             12: 'error',            // Runtime Error (Other)
             13: 'error',            // Internal Error
             14: 'error',            // Exec Format Error
+            [MEMORY_LIMIT_STATUS_ID]: 'error', // Memory Limit Exceeded (local sandbox)
         };
 
         return {
@@ -228,6 +434,7 @@ class Judge0Service {
             time: result.time,
             memory: result.memory,
             exitCode: result.exit_code,
+            memoryLimitExceeded: result.status.id === MEMORY_LIMIT_STATUS_ID,
         };
     }
 
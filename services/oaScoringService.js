@@ -13,6 +13,19 @@ class OAScoringService {
             approach: 0.1,
         };
 
+        // Default dimension weights for hiring assessments (JD assessmentConfig.programmingScoring overrides)
+        this.hiringWeights = {
+            correctness: 60,
+            efficiency: 15,
+            codeQuality: 15,
+            approach: 10,
+        };
+
+        // Efficiency: full marks up to this multiple of the reference solution's time
+        // (timings under minMeasurableSeconds are treated as equal: process start-up dominates them)
+        this.efficiencyTolerance = 2;
+        this.minMeasurableSeconds = 0.05;
+
         // Difficulty weights for overall score calculation
         this.difficultyWeights = {
             easy: 1,
@@ -120,8 +133,8 @@ Respond ONLY in JSON format:
             console.error('Error evaluating code quality:', error);
         }
 
-        // Default score if LLM fails
-        return { score: 5, explanation: 'Unable to evaluate code quality.' };
+        // Default score if LLM fails (unscored: hiring scores leave it out of the total)
+        return { score: 5, explanation: 'Unable to evaluate code quality.', unscored: true };
     }
 
     /**
@@ -140,10 +153,10 @@ Respond ONLY in JSON format:
 ${question.questionText}
 
 **Expected Approach:**
-${question.howToApproach}
+${question.howToApproach || 'Not provided - judge the approach on its merits'}
 
 **Optimal Solution:**
-${question.optimalSolution}
+${question.optimalSolution || 'Not provided'}
 
 **Candidate's Code (${language}):**
 \`\`\`${language}
@@ -186,6 +199,7 @@ IMPORTANT: Respond in PLAIN TEXT JSON format. Do NOT use markdown code blocks, d
             timeComplexity: 'N/A',
             approachScore: 5,
             overallComments: 'Please review the optimal solution and try again.',
+            unscored: true,
         };
     }
 
@@ -243,6 +257,130 @@ IMPORTANT: Respond in PLAIN TEXT JSON format. Do NOT use markdown code blocks, d
         };
     }
 
+    /**
+     * Score a hiring-assessment programming answer on correctness, efficiency, code quality and approach
+     * - Efficiency compares the slowest passing test with the reference solution's slowest test
+     *   (question.referenceValidation); without a passed reference it is not scored
+     * - Code quality and approach earn credit only when some test passes
+     * - Dimensions that could not be scored (LLM failure, no reference) are null and left out of the total
+     * @param {Object} question - AssessmentSet programming question
+     * @param {Object} answer - AssessmentAnswer programming answer (code, language, testCaseResults)
+     * @param {Object} weights - { correctness, efficiency, codeQuality, approach }, relative
+     * @returns {Promise<Object>} Dimension scores (0-100 or null), weighted percentage and feedback
+     */
+    async scoreHiringAnswer(question, answer, weights = {}) {
+        const w = { ...this.hiringWeights, ...weights };
+        const results = answer.testCaseResults || [];
+
+        if (!answer.code || !answer.code.trim()) {
+            return {
+                correctness: 0, efficiency: 0, codeQuality: 0, approach: 0, percentage: 0,
+                timeComplexity: 'N/A',
+                feedback: 'No code submitted.',
+            };
+        }
+
+        // Correctness: pass rate weighted by each test case's weight
+        let passedWeight = 0, totalWeight = 0;
+        for (const result of results) {
+            const weight = question.testCases?.[result.testCaseIndex]?.weight ?? 1;
+            totalWeight += weight;
+            if (result.passed) passedWeight += weight;
+        }
+        const correctness = totalWeight > 0
+            ? (passedWeight / totalWeight) * 100
+            : (answer.totalTestCases > 0 ? (answer.testCasesPassed / answer.totalTestCases) * 100 : 0);
+
+        const efficiency = this.scoreEfficiency(question, results);
+
+        // LLM dimensions, skipped when the JD gives them no weight
+        const codeQualityResult = w.codeQuality > 0
+            ? await this.evaluateCodeQuality(answer.code, answer.language)
+            : null;
+
+        const approachAnalysis = w.approach > 0
+            ? await this.analyzeApproach(
+                {
+                    questionText: [question.title, question.questionText, question.description, question.constraints]
+                        .filter(Boolean).join('\n\n'),
+                },
+                answer.code,
+                answer.language,
+                results.filter(r => !r.passed && !r.isHidden).slice(0, 3)
+            )
+            : null;
+
+        const codeQuality = this.scoreLLMDimension(codeQualityResult, codeQualityResult?.score, correctness);
+        const approach = this.scoreLLMDimension(approachAnalysis, approachAnalysis?.approachScore, correctness);
+
+        // Weighted over the dimensions that were scored
+        const dimensions = { correctness, efficiency, codeQuality, approach };
+        let weightedSum = 0, weightSum = 0;
+        for (const [dimension, score] of Object.entries(dimensions)) {
+            if (score === null || !(w[dimension] > 0)) continue;
+            weightedSum += score * w[dimension];
+            weightSum += w[dimension];
+        }
+        const percentage = weightSum > 0 ? weightedSum / weightSum : correctness;
+
+        const notScored = [
+            efficiency === null && w.efficiency > 0 && 'efficiency (no verified reference solution)',
+            codeQuality === null && w.codeQuality > 0 && 'code quality',
+            approach === null && w.approach > 0 && 'approach',
+        ].filter(Boolean);
+
+        const passedCount = results.filter(r => r.passed).length;
+        const feedback = [
+            `${passedCount}/${results.length || answer.totalTestCases || 0} test cases passed.`,
+            approachAnalysis?.yourApproach,
+            approachAnalysis && approachAnalysis.timeComplexity !== 'N/A' ? `Time complexity: ${approachAnalysis.timeComplexity}.` : '',
+            codeQualityResult?.explanation,
+            approachAnalysis?.overallComments,
+            notScored.length > 0 ? `Not scored: ${notScored.join(', ')}.` : '',
+        ].filter(Boolean).join('\n\n');
+
+        return {
+            correctness: round1(correctness),
+            efficiency: efficiency === null ? null : round1(efficiency),
+            codeQuality: codeQuality === null ? null : round1(codeQuality),
+            approach: approach === null ? null : round1(approach),
+            percentage: round1(percentage),
+            timeComplexity: approachAnalysis?.timeComplexity || 'N/A',
+            feedback,
+        };
+    }
+
+    /**
+     * Efficiency (0-100) of a hiring answer against the reference solution, or null if it can't be measured
+     */
+    scoreEfficiency(question, results) {
+        // Hitting a resource limit anywhere is inefficient regardless of the reference
+        if (results.some(r => r.verdict === 'time_limit_exceeded' || r.verdict === 'memory_limit_exceeded')) return 0;
+
+        const passed = results.filter(r => r.passed);
+        if (passed.length === 0) return 0;
+
+        const reference = question.referenceValidation;
+        if (reference?.status !== 'passed' || reference.maxTimeSeconds == null) return null;
+
+        const limitSeconds = question.timeLimit || 2;
+        const slowest = Math.max(...passed.map(r => r.executionTime || 0));
+        const fullMarksUpTo = Math.max(reference.maxTimeSeconds, this.minMeasurableSeconds) * this.efficiencyTolerance;
+
+        if (slowest <= fullMarksUpTo || limitSeconds <= fullMarksUpTo) return 100;
+        return clampPercent(((limitSeconds - slowest) / (limitSeconds - fullMarksUpTo)) * 100);
+    }
+
+    /**
+     * LLM dimension (0-100) from a 0-10 score: 0 if not evaluated (no weight) or no test passed,
+     * null if the LLM gave no score
+     */
+    scoreLLMDimension(analysis, score, correctness) {
+        if (!analysis) return 0;
+        if (analysis.unscored || !Number.isFinite(score)) return null;
+        return correctness > 0 ? clampPercent(score * 10) : 0;
+    }
+
     /**
      * Calculate overall OA score from all questions
      */
@@ -859,5 +997,14 @@ Return this exact JSON structure (an array of ${questionCount} questions):
 
 }
 
+function clampPercent(value) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(100, Math.max(0, n)) : 0;
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
 export default new OAScoringService();
 
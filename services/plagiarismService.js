@@ -0,0 +1,340 @@
+/**
+ * Plagiarism Service
+ * Cross-candidate similarity for a JD's submissions.
+ *
+ * - Code: source is lexed into normalized tokens (identifiers, literals and comments erased),
+ *   k-gram hashes are winnowed into fingerprints (Schleimer et al., "Winnowing", 2003),
+ *   and two submissions are compared by the share of fingerprints they have in common
+ * - Subjective answers: lowercase word shingles compared the same way
+ *
+ * Only candidates on the same assessment set are compared (question ids repeat across sets),
+ * and shared boilerplate (starter code, the question text) is ignored.
+ */
+
+import AssessmentAnswer from '../models/AssessmentAnswer.js';
+import CandidateAssessment from '../models/CandidateAssessment.js';
+
+// Code fingerprinting
+const CODE_KGRAM = 5;            // tokens per k-gram
+const CODE_WINDOW = 4;           // k-grams per winnowing window
+const CODE_MIN_FINGERPRINTS = 8; // shorter submissions are too small to judge
+
+// Subjective shingling
+const TEXT_SHINGLE = 3;          // words per shingle
+const TEXT_MIN_WORDS = 25;
+
+// Matches below this are noise and not recorded
+const MIN_REPORTED_MATCH = 40;
+
+const DEFAULT_THRESHOLD = 80;
+
+// Statuses whose answers are final
+const COMPARABLE_STATUSES = ['submitted', 'evaluating', 'evaluated', 'decided'];
+
+// Keywords kept as-is so structure survives identifier renaming
+const CODE_KEYWORDS = new Set([
+    'if', 'else', 'elif', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue',
+    'return', 'function', 'def', 'class', 'struct', 'impl', 'fn', 'func', 'let', 'var', 'const',
+    'val', 'mut', 'new', 'delete', 'try', 'catch', 'except', 'finally', 'throw', 'raise',
+    'import', 'from', 'package', 'use', 'include', 'public', 'private', 'protected', 'static',
+    'void', 'int', 'long', 'double', 'float', 'char', 'bool', 'boolean', 'string', 'String',
+    'true', 'false', 'True', 'False', 'null', 'None', 'nil', 'undefined', 'this', 'self',
+    'in', 'of', 'and', 'or', 'not', 'is', 'lambda', 'yield', 'async', 'await', 'range', 'len',
+    'vector', 'map', 'set', 'list', 'dict', 'push', 'append', 'pop', 'end', 'then', 'loop', 'match',
+]);
+
+const CODE_TOKEN_PATTERN = new RegExp([
+    /\/\*[\s\S]*?\*\//.source,                      // block comment
+    /\/\/[^\n]*/.source,                            // line comment
+    /#[^\n]*/.source,                               // python/ruby comment, C preprocessor line
+    /"""[\s\S]*?"""|'''[\s\S]*?'''/.source,         // python docstring
+    /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/.source, // string literal
+    /\d+(?:\.\d+)?/.source,                         // number
+    /[A-Za-z_$][\w$]*/.source,                      // identifier or keyword
+    /==|!=|<=|>=|&&|\|\||\+\+|--|\+=|-=|\*=|\/=|->|=>|::|<<|>>/.source,
+    /\S/.source,                                    // any other symbol
+].join('|'), 'g');
+
+class PlagiarismService {
+    /**
+     * Lex source code into normalized tokens
+     */
+    tokenizeCode(code) {
+        const tokens = [];
+        for (const [token] of String(code || '').matchAll(CODE_TOKEN_PATTERN)) {
+            if (token.startsWith('/*') || token.startsWith('//') || token.startsWith('#') ||
+                token.startsWith('"""') || token.startsWith("'''")) {
+                continue;
+            }
+            if (/^["'`]/.test(token)) tokens.push('S');
+            else if (/^\d/.test(token)) tokens.push('N');
+            else if (/^[A-Za-z_$]/.test(token)) tokens.push(CODE_KEYWORDS.has(token) ? token : 'V');
+            else tokens.push(token);
+        }
+        return tokens;
+    }
+
+    /**
+     * Winnowed fingerprints of a token sequence
+     * @returns {Set<number>}
+     */
+    winnow(tokens, k = CODE_KGRAM, w = CODE_WINDOW) {
+        const hashes = [];
+        for (let i = 0; i + k <= tokens.length; i++) {
+            hashes.push(hashString(tokens.slice(i, i + k).join(' ')));
+        }
+
+        const fingerprints = new Set();
+        if (hashes.length === 0) return fingerprints;
+        if (hashes.length <= w) {
+            fingerprints.add(Math.min(...hashes));
+            return fingerprints;
+        }
+
+        // Select the minimum hash of every window (rightmost on ties)
+        for (let start = 0; start + w <= hashes.length; start++) {
+            let min = start;
+            for (let i = start + 1; i < start + w; i++) {
+                if (hashes[i] <= hashes[min]) min = i;
+            }
+            fingerprints.add(hashes[min]);
+        }
+        return fingerprints;
+    }
+
+    /**
+     * Fingerprints of a code submission, minus those of the starter code
+     * @returns {Set<number>|null} null when the submission is too short to compare
+     */
+    codeFingerprints(code, boilerplate = []) {
+        const fingerprints = this.winnow(this.tokenizeCode(code));
+        for (const template of boilerplate) {
+            for (const hash of this.winnow(this.tokenizeCode(template))) {
+                fingerprints.delete(hash);
+            }
+        }
+        return fingerprints.size >= CODE_MIN_FINGERPRINTS ? fingerprints : null;
+    }
+
+    /**
+     * Word shingles of a subjective answer, minus those of the question text
+     * @returns {Set<string>|null} null when the answer is too short to compare
+     */
+    textShingles(text, boilerplate = []) {
+        const words = normalizeWords(text);
+        if (words.length < TEXT_MIN_WORDS) return null;
+
+        const shingles = shingle(words);
+        for (const template of boilerplate) {
+            for (const s of shingle(normalizeWords(template))) {
+                shingles.delete(s);
+            }
+        }
+        return shingles.size > 0 ? shingles : null;
+    }
+
+    /**
+     * Percentage of `a` that also appears in `b`
+     */
+    containment(a, b) {
+        if (!a || !b || a.size === 0) return 0;
+        let shared = 0;
+        for (const item of a) {
+            if (b.has(item)) shared++;
+        }
+        return (shared / a.size) * 100;
+    }
+
+    /**
+     * Compare a candidate's subjective and programming answers with every other
+     * finalized candidate on the same JD and assessment set
+     * @param {Object} candidateAssessment - Document with jd, assignedSet (populated) and candidate
+     * @param {Object} options - { threshold }
+     * @returns {Promise<Object>} Evaluation.plagiarism shape, plus `counterpartMatches` keyed by counterpart id
+     */
+    async check(candidateAssessment, options = {}) {
+        const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+        const set = candidateAssessment.assignedSet;
+        const jdId = candidateAssessment.jd?._id || candidateAssessment.jd;
+
+        const result = {
+            checked: true,
+            checkedAt: new Date(),
+            subjectivePlagiarismPercent: 0,
+            subjectiveMatches: [],
+            codePlagiarismPercent: 0,
+            codeMatches: [],
+            isFlagged: false,
+            flagReason: '',
+            counterpartMatches: new Map(),
+        };
+
+        if (!set) return result;
+
+        const others = await CandidateAssessment.find({
+            _id: { $ne: candidateAssessment._id },
+            jd: jdId,
+            assignedSet: set._id,
+            status: { $in: COMPARABLE_STATUSES },
+        })
+            .select('candidate')
+            .populate('candidate', 'name email');
+
+        if (others.length === 0) return result;
+
+        const answers = await AssessmentAnswer.find({
+            candidateAssessment: { $in: [candidateAssessment._id, ...others.map(o => o._id)] },
+            section: { $in: ['subjective', 'programming'] },
+        });
+
+        const own = collectAnswers(answers, candidateAssessment._id);
+        const ownSource = candidateAssessment.candidate?.email || candidateAssessment.candidate?.name ||
+            candidateAssessment._id.toString();
+        const questions = {
+            subjective: new Map((set.subjectiveQuestions || []).map(q => [q.questionId, q])),
+            programming: new Map((set.programmingQuestions || []).map(q => [q.questionId, q])),
+        };
+
+        // Fingerprint each distinct answer once
+        const fingerprintCache = new Map();
+        const fingerprintOf = (section, questionId, content) => {
+            const key = `${section}:${questionId}:${content}`;
+            if (!fingerprintCache.has(key)) {
+                const question = questions[section].get(questionId);
+                fingerprintCache.set(key, section === 'programming'
+                    ? this.codeFingerprints(content, starterTemplates(question))
+                    : this.textShingles(content, [question?.questionText, question?.description]));
+            }
+            return fingerprintCache.get(key);
+        };
+
+        for (const other of others) {
+            const theirs = collectAnswers(answers, other._id);
+            const source = other.candidate?.email || other.candidate?.name || other._id.toString();
+
+            for (const section of ['subjective', 'programming']) {
+                for (const [questionId, content] of own[section]) {
+                    const otherContent = theirs[section].get(questionId);
+                    if (!otherContent) continue;
+
+                    const mine = fingerprintOf(section, questionId, content);
+                    const their = fingerprintOf(section, questionId, otherContent);
+                    if (!mine || !their) continue;
+
+                    const matchPercent = round(this.containment(mine, their));
+                    const reverseMatchPercent = round(this.containment(their, mine));
+                    if (Math.max(matchPercent, reverseMatchPercent) < MIN_REPORTED_MATCH) continue;
+
+                    const matchesKey = section === 'programming' ? 'codeMatches' : 'subjectiveMatches';
+                    result[matchesKey].push({
+                        questionId,
+                        matchPercent,
+                        source,
+                        matchedCandidateAssessment: other._id,
+                        matchedCandidate: other.candidate?._id,
+                    });
+
+                    // The counterpart's view of the same pair, for updating their evaluation
+                    if (!result.counterpartMatches.has(other._id.toString())) {
+                        result.counterpartMatches.set(other._id.toString(), { codeMatches: [], subjectiveMatches: [] });
+                    }
+                    result.counterpartMatches.get(other._id.toString())[matchesKey].push({
+                        questionId,
+                        matchPercent: reverseMatchPercent,
+                        source: ownSource,
+                        matchedCandidateAssessment: candidateAssessment._id,
+                        matchedCandidate: candidateAssessment.candidate?._id || candidateAssessment.candidate,
+                    });
+                }
+            }
+        }
+
+        this.summarize(result, threshold);
+        return result;
+    }
+
+    /**
+     * Fill the percentages and flag from the recorded matches
+     */
+    summarize(plagiarism, threshold = DEFAULT_THRESHOLD) {
+        const highest = (matches) => matches.reduce((max, m) => Math.max(max, m.matchPercent || 0), 0);
+
+        plagiarism.codeMatches.sort((a, b) => b.matchPercent - a.matchPercent);
+        plagiarism.subjectiveMatches.sort((a, b) => b.matchPercent - a.matchPercent);
+        plagiarism.codePlagiarismPercent = highest(plagiarism.codeMatches);
+        plagiarism.subjectivePlagiarismPercent = highest(plagiarism.subjectiveMatches);
+
+        const reasons = [];
+        const flaggedCode = plagiarism.codeMatches.filter(m => m.matchPercent >= threshold);
+        const flaggedText = plagiarism.subjectiveMatches.filter(m => m.matchPercent >= threshold);
+        if (flaggedCode.length > 0) {
+            reasons.push(`Code ${flaggedCode[0].questionId} is ${flaggedCode[0].matchPercent}% similar to ${flaggedCode[0].source}`);
+        }
+        if (flaggedText.length > 0) {
+            reasons.push(`Answer ${flaggedText[0].questionId} is ${flaggedText[0].matchPercent}% similar to ${flaggedText[0].source}`);
+        }
+
+        plagiarism.isFlagged = reasons.length > 0;
+        plagiarism.flagReason = reasons.length > 0
+            ? `${reasons.join('; ')} (threshold ${threshold}%)`
+            : '';
+        return plagiarism;
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// 32-bit FNV-1a
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+function normalizeWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+function shingle(words, k = TEXT_SHINGLE) {
+    const shingles = new Set();
+    for (let i = 0; i + k <= words.length; i++) {
+        shingles.add(words.slice(i, i + k).join(' '));
+    }
+    return shingles;
+}
+
+function starterTemplates(question) {
+    const starterCode = question?.starterCode;
+    if (!starterCode) return [];
+    return starterCode instanceof Map ? [...starterCode.values()] : Object.values(starterCode);
+}
+
+// { subjective: Map(questionId -> answer), programming: Map(questionId -> code) }
+function collectAnswers(answerDocs, candidateAssessmentId) {
+    const collected = { subjective: new Map(), programming: new Map() };
+    for (const doc of answerDocs) {
+        if (doc.candidateAssessment.toString() !== candidateAssessmentId.toString()) continue;
+
+        if (doc.section === 'subjective') {
+            doc.subjectiveAnswers.forEach(a => a.answer && collected.subjective.set(a.questionId, a.answer));
+        } else if (doc.section === 'programming') {
+            doc.programmingAnswers.forEach(a => a.code && collected.programming.set(a.questionId, a.code));
+        }
+    }
+    return collected;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+export default new PlagiarismService();
@@ -0,0 +1,188 @@
+/**
+ * Question Bank Service
+ * Converts between AssessmentSet questions and company BankQuestions, picks bank
+ * questions for generated sets and tracks how often each one is used and seen.
+ *
+ * Bank picks prefer questions tagged with the JD's role, then the least exposed ones,
+ * so reused questions rotate instead of the same few reaching every candidate.
+ */
+
+import BankQuestion from '../models/BankQuestion.js';
+import skillAnalysisService from './skillAnalysisService.js';
+
+// Fields stored top-level on BankQuestion; everything else goes into content
+const TAG_FIELDS = ['skill', 'difficulty', 'questionText', 'points'];
+
+// Set-specific fields that never go into the bank
+const SET_ONLY_FIELDS = ['_id', 'id', 'questionId', 'bankQuestion'];
+
+// Bank candidates considered per slot
+const CANDIDATE_LIMIT = 25;
+
+class QuestionBankService {
+    /**
+     * BankQuestion fields for an AssessmentSet question
+     * @param {string} type - objective | subjective | programming
+     * @param {Object} question - Question from an AssessmentSet (document or plain)
+     */
+    fromSetQuestion(type, question) {
+        const plain = typeof question.toObject === 'function' ? question.toObject({ flattenMaps: true }) : { ...question };
+        const content = {};
+        for (const [key, value] of Object.entries(plain)) {
+            if (!TAG_FIELDS.includes(key) && !SET_ONLY_FIELDS.includes(key)) {
+                content[key] = value;
+            }
+        }
+
+        return {
+            type,
+            skill: plain.skill || '',
+            skillKey: plain.skill ? skillAnalysisService.normalizeSkill(plain.skill) : '',
+            difficulty: plain.difficulty || 'medium',
+            questionText: plain.questionText,
+            points: plain.points,
+            content: stripIds(content),
+        };
+    }
+
+    /**
+     * AssessmentSet question for a BankQuestion (questionId is assigned by the caller)
+     */
+    toSetQuestion(bankQuestion) {
+        return {
+            ...(bankQuestion.content || {}),
+            questionText: bankQuestion.questionText,
+            skill: bankQuestion.skill,
+            difficulty: bankQuestion.difficulty,
+            ...(bankQuestion.points ? { points: bankQuestion.points } : {}),
+            bankQuestion: bankQuestion._id,
+        };
+    }
+
+    /**
+     * Fill some of a plan's slots with bank questions
+     * @param {Object} options - { company, type, slots, count, role, excludeIds }
+     *   count: how many slots to fill from the bank; excludeIds: Set of bank ids already used by this JD's sets
+     * @returns {Promise<Object>} { questions: [{ slotIndex, question }], remainingSlots }
+     */
+    async pickForSlots({ company, type, slots, count, role = '', excludeIds = new Set() }) {
+        const questions = [];
+        const filled = new Set();
+        const roleKey = role.toLowerCase().trim();
+
+        // Spread bank picks across the plan rather than taking the first slots
+        const order = spreadIndexes(slots.length, count);
+
+        for (const slotIndex of order) {
+            const slot = slots[slotIndex];
+            const query = {
+                company,
+                type,
+                difficulty: slot.difficulty,
+                isActive: true,
+                _id: { $nin: [...excludeIds] },
+            };
+            if (slot.skill) {
+                query.skillKey = skillAnalysisService.normalizeSkill(slot.skill);
+            }
+
+            const candidates = await BankQuestion.find(query)
+                .sort({ 'usage.exposures': 1, 'usage.timesUsed': 1 })
+                .limit(CANDIDATE_LIMIT)
+                .lean();
+            if (candidates.length === 0) continue;
+
+            const roleMatch = roleKey && candidates.find(q => q.roles.some(r => r.toLowerCase().trim() === roleKey));
+            const picked = roleMatch || candidates[0];
+
+            excludeIds.add(picked._id.toString());
+            questions.push({ slotIndex, question: this.toSetQuestion(picked) });
+            filled.add(slotIndex);
+        }
+
+        return {
+            questions,
+            remainingSlots: slots.filter((_, i) => !filled.has(i)),
+        };
+    }
+
+    /**
+     * Record that bank questions were placed in a JD's generated sets
+     * @param {Array} sets - Saved or plain sets
+     * @param {ObjectId} jdId
+     */
+    async recordUsage(sets, jdId) {
+        const counts = new Map();
+        for (const set of sets) {
+            for (const id of bankQuestionIds(set)) {
+                counts.set(id, (counts.get(id) || 0) + 1);
+            }
+        }
+        if (counts.size === 0) return;
+
+        const now = new Date();
+        await BankQuestion.bulkWrite([...counts].map(([id, timesUsed]) => ({
+            updateOne: {
+                filter: { _id: id },
+                update: {
+                    $inc: { 'usage.timesUsed': timesUsed },
+                    $addToSet: { 'usage.jds': jdId },
+                    $set: { 'usage.lastUsedAt': now },
+                },
+            },
+        })));
+    }
+
+    /**
+     * Record that a candidate was assigned a set, exposing its bank questions
+     */
+    async recordExposure(set) {
+        const ids = bankQuestionIds(set);
+        if (ids.length === 0) return;
+
+        await BankQuestion.updateMany(
+            { _id: { $in: ids } },
+            { $inc: { 'usage.exposures': 1 }, $set: { 'usage.lastExposedAt': new Date() } }
+        );
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function bankQuestionIds(set) {
+    const ids = new Set();
+    for (const section of ['objective', 'subjective', 'programming']) {
+        for (const q of set[`${section}Questions`] || []) {
+            if (q.bankQuestion) ids.add(q.bankQuestion.toString());
+        }
+    }
+    return [...ids];
+}
+
+// count indexes spread evenly over 0..length-1
+function spreadIndexes(length, count) {
+    const n = Math.min(length, Math.max(0, count));
+    const indexes = new Set();
+    for (let i = 0; i < n; i++) {
+        indexes.add(Math.floor(((i + 0.5) * length) / n));
+    }
+    return [...indexes];
+}
+
+// Drop subdocument _ids copied from the set
+function stripIds(value) {
+    if (Array.isArray(value)) return value.map(stripIds);
+    if (value && typeof value === 'object' && !(value instanceof Date) && value.constructor?.name !== 'ObjectId') {
+        const out = {};
+        for (const [key, v] of Object.entries(value)) {
+            if (key === '_id') continue;
+            out[key] = stripIds(v);
+        }
+        return out;
+    }
+    return value;
+}
+
+export default new QuestionBankService();
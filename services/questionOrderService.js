@@ -0,0 +1,89 @@
+/**
+ * Question Order Service
+ * Per-candidate question and option order, so candidates on the same set can't share answers by position.
+ *
+ * - Each CandidateAssessment gets a random shuffleSeed when it starts; the questions of every
+ *   section and the options of every objective question are shuffled deterministically from it,
+ *   so a candidate sees the same order on every request
+ * - Stored answers always use the set's (canonical) option indices; only what the candidate
+ *   sends and receives uses the shuffled ones
+ * - Assessments started without a seed keep the set's order
+ */
+
+import crypto from 'crypto';
+
+class QuestionOrderService {
+    generateSeed() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    /**
+     * A section's questions in the candidate's order
+     * @param {Array} questions - The set's questions for the section
+     * @returns {Array} New array
+     */
+    orderQuestions(candidateAssessment, section, questions) {
+        const seed = candidateAssessment.shuffleSeed;
+        if (!seed) return [...questions];
+        return shuffle([...questions], `${seed}:${section}`);
+    }
+
+    /**
+     * Canonical option index for each position the candidate sees
+     * @returns {Array<number>} order[displayedIndex] = canonicalIndex
+     */
+    getOptionOrder(candidateAssessment, question) {
+        const indices = question.options.map((_, i) => i);
+        const seed = candidateAssessment.shuffleSeed;
+        if (!seed) return indices;
+        return shuffle(indices, `${seed}:options:${question.questionId}`);
+    }
+
+    /**
+     * Objective question options in the candidate's order, without isCorrect
+     */
+    getDisplayedOptions(candidateAssessment, question) {
+        return this.getOptionOrder(candidateAssessment, question)
+            .map(index => ({ text: question.options[index].text }));
+    }
+
+    /**
+     * Option index the candidate selected, as stored (-1 if not a valid option)
+     */
+    toCanonicalOption(candidateAssessment, question, displayedIndex) {
+        const order = this.getOptionOrder(candidateAssessment, question);
+        return Number.isInteger(displayedIndex) && order[displayedIndex] !== undefined ? order[displayedIndex] : -1;
+    }
+
+    /**
+     * Stored option index as the candidate sees it (-1 if not answered)
+     */
+    toDisplayedOption(candidateAssessment, question, canonicalIndex) {
+        if (canonicalIndex == null || canonicalIndex < 0) return -1;
+        return this.getOptionOrder(candidateAssessment, question).indexOf(canonicalIndex);
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Fisher-Yates with a PRNG (mulberry32) seeded from a hash of the key; shuffles in place
+function shuffle(items, key) {
+    let state = crypto.createHash('sha256').update(key).digest().readUInt32LE(0);
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+export default new QuestionOrderService();
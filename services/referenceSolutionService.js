@@ -0,0 +1,147 @@
+/**
+ * Reference Solution Service
+ * Checks generated programming questions by running their reference solution against
+ * every test case, so a wrong expectedOutput is caught before a candidate sees it.
+ *
+ * - passed: every test case accepted within the question's timeLimit / memoryLimit
+ * - failed: a test case disagreed, crashed or exceeded a limit (or no solution was given
+ *   where one is required)
+ * - unverified: no reference solution, or the execution backend was unavailable
+ *
+ * The reference solution is stored on the question for recruiters and never sent to candidates.
+ */
+
+import judge0Service, { VERDICTS } from './judge0Service.js';
+import harnessService from './harnessService.js';
+
+// Failing test cases kept on the question for the recruiter
+const MAX_REPORTED_FAILURES = 5;
+
+class ReferenceSolutionService {
+    constructor() {
+        this.enabled = process.env.VALIDATE_PROGRAMMING_QUESTIONS !== 'false';
+    }
+
+    /**
+     * Run a question's reference solution against its test cases
+     * @param {Object} question - Programming question with referenceSolution { language, code }
+     * @param {Object} options - { requireReference }: a missing solution fails instead of leaving the question unverified
+     * @returns {Promise<Object>} AssessmentSet programmingQuestions.referenceValidation shape
+     */
+    async validate(question, { requireReference = false } = {}) {
+        const checkedAt = new Date();
+        const { language, code } = question.referenceSolution || {};
+
+        if (!language || !code?.trim()) {
+            return {
+                status: requireReference ? 'failed' : 'unverified',
+                reason: 'No reference solution',
+                checkedAt,
+                failures: [],
+            };
+        }
+        if (!question.testCases?.length) {
+            return { status: 'failed', reason: 'No test cases', checkedAt, failures: [] };
+        }
+
+        let languageId;
+        try {
+            languageId = judge0Service.getLanguageId(language);
+        } catch (error) {
+            return { status: 'failed', reason: error.message, checkedAt, failures: [] };
+        }
+
+        const isFunction = Boolean(question.signature?.functionName);
+        if (isFunction && !harnessService.supportsLanguage(language.toLowerCase())) {
+            return { status: 'failed', reason: `Reference solution language ${language} is not supported for this question`, checkedAt, failures: [] };
+        }
+
+        const testCases = question.testCases.map((tc, idx) => ({
+            number: idx + 1,
+            input: tc.input,
+            expectedOutput: tc.expectedOutput,
+            checker: tc.checker,
+        }));
+
+        let results;
+        try {
+            const run = isFunction
+                ? harnessService.wrap(question.signature, language.toLowerCase(), code, testCases)
+                : { code, testCases };
+            results = await judge0Service.runTestCases(run.code, languageId, run.testCases, {
+                timeLimit: question.timeLimit || 2,
+                memoryLimit: (question.memoryLimit || 256) * 1024, // MB -> KB
+            });
+        } catch (error) {
+            return { status: 'failed', reason: error.message, checkedAt, failures: [] };
+        }
+
+        const timeLimit = question.timeLimit || 2;
+        const failures = results
+            .map((result, idx) => {
+                // executionTime is CPU time on both backends, but Judge0 only calls TLE after its
+                // cpu_extra_time allowance on top of the limit; the reference must fit the limit itself
+                const verdict = result.verdict === VERDICTS.ACCEPTED && parseFloat(result.executionTime) > timeLimit
+                    ? VERDICTS.TIME_LIMIT_EXCEEDED
+                    : result.verdict;
+                return {
+                    testNumber: idx + 1,
+                    verdict,
+                    expectedOutput: question.testCases[idx].expectedOutput,
+                    actualOutput: result.actualOutput || '',
+                    error: result.error || '',
+                };
+            })
+            .filter(f => f.verdict !== VERDICTS.ACCEPTED);
+
+        const times = results.map(r => parseFloat(r.executionTime)).filter(t => !isNaN(t));
+        const memory = results.map(r => Number(r.memory)).filter(m => !isNaN(m) && m > 0);
+        const summary = {
+            checkedAt,
+            maxTimeSeconds: times.length > 0 ? Math.max(...times) : null,
+            maxMemoryKb: memory.length > 0 ? Math.max(...memory) : null,
+            failures: failures.slice(0, MAX_REPORTED_FAILURES),
+        };
+
+        // Every case failing on infrastructure means we learned nothing about the question
+        if (failures.length === results.length && failures.every(f => f.verdict === VERDICTS.INTERNAL_ERROR)) {
+            return { ...summary, status: 'unverified', reason: 'Code execution unavailable', failures: [] };
+        }
+
+        if (failures.length > 0) {
+            return {
+                ...summary,
+                status: 'failed',
+                reason: `${failures.length} of ${results.length} test case(s) failed (${[...new Set(failures.map(f => f.verdict))].join(', ')})`,
+            };
+        }
+
+        return { ...summary, status: 'passed', reason: '' };
+    }
+
+    /**
+     * Validate generated questions, dropping the ones whose reference solution fails
+     * @param {Array} questions - Generated programming questions
+     * @returns {Promise<Object>} { questions, rejected: [{ title, reason }] }
+     */
+    async filterGenerated(questions) {
+        if (!this.enabled) {
+            return { questions, rejected: [] };
+        }
+
+        const kept = [];
+        const rejected = [];
+        for (const question of questions) {
+            const referenceValidation = await this.validate(question, { requireReference: true });
+            if (referenceValidation.status === 'failed') {
+                rejected.push({ title: question.title, reason: referenceValidation.reason });
+                continue;
+            }
+            kept.push({ ...question, referenceValidation });
+        }
+
+        return { questions: kept, rejected };
+    }
+}
+
+export default new ReferenceSolutionService();
@@ -0,0 +1,660 @@
+/**
+ * Sandbox Service
+ * Local code execution backend used instead of the remote Judge0 API.
+ * Each submission runs in its own temp directory, in its own process group,
+ * with CPU-time, wall-clock, memory and output-size limits.
+ *
+ * With SANDBOX_JAIL=unshare (server running as root), every compile and run also gets:
+ * - its own uid/gid from SANDBOX_UID_RANGE, capped at SANDBOX_MAX_PROCESSES processes
+ * - its own PID, mount, network, IPC and UTS namespaces: no network, no other processes in
+ *   sight, and killing the namespace kills everything the code started
+ * - an empty private tmpfs over SANDBOX_TMP_DIR with only its own directory mounted back, and
+ *   the server's directory (plus SANDBOX_HIDDEN_PATHS) hidden under an empty tmpfs
+ * Without a jail the code runs as the server's own user, so the backend refuses to start
+ * in production (see getStartupError).
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+
+// Judge0 status IDs, reused so results can go through Judge0Service.formatResult
+const STATUS = {
+    ACCEPTED: { id: 3, description: 'Accepted' },
+    TIME_LIMIT: { id: 5, description: 'Time Limit Exceeded' },
+    COMPILATION_ERROR: { id: 6, description: 'Compilation Error' },
+    SIGSEGV: { id: 7, description: 'Runtime Error (SIGSEGV)' },
+    OUTPUT_LIMIT: { id: 8, description: 'Output Limit Exceeded' },
+    SIGFPE: { id: 9, description: 'Runtime Error (SIGFPE)' },
+    SIGABRT: { id: 10, description: 'Runtime Error (SIGABRT)' },
+    NZEC: { id: 11, description: 'Runtime Error (NZEC)' },
+    RUNTIME_OTHER: { id: 12, description: 'Runtime Error (Other)' },
+    INTERNAL_ERROR: { id: 13, description: 'Internal Error' },
+    // Not a Judge0 status (Judge0 reports these as runtime errors); local sandbox only
+    MEMORY_LIMIT: { id: 15, description: 'Memory Limit Exceeded' },
+};
+
+export const MEMORY_LIMIT_STATUS_ID = STATUS.MEMORY_LIMIT.id;
+
+// A crash with peak memory this close to the cap is an allocation failure under the memory limit
+const NEAR_MEMORY_LIMIT = 0.9;
+
+const JAILS = ['none', 'unshare'];
+
+/**
+ * Toolchains keyed by Judge0 language ID (see LANGUAGE_IDS in judge0Service.js).
+ * `{memMb}` in a command is replaced with the memory limit in MB.
+ * Managed runtimes reserve far more virtual memory than they use, so they get
+ * their heap capped by a flag instead of an address-space ulimit.
+ */
+const TOOLCHAINS = {
+    63: { // JavaScript
+        file: 'main.js',
+        run: ['node', '--max-old-space-size={memMb}', 'main.js'],
+        limitAddressSpace: false,
+    },
+    71: { // Python 3
+        file: 'main.py',
+        run: ['python3', 'main.py'],
+    },
+    62: { // Java
+        file: 'Main.java',
+        compile: ['javac', '-encoding', 'UTF-8', 'Main.java'],
+        run: ['java', '-Xmx{memMb}m', '-Xss64m', 'Main'],
+        limitAddressSpace: false,
+    },
+    54: { // C++
+        file: 'main.cpp',
+        compile: ['g++', '-O2', '-std=c++17', '-o', 'main', 'main.cpp'],
+        run: ['./main'],
+    },
+    50: { // C
+        file: 'main.c',
+        compile: ['gcc', '-O2', '-std=c11', '-o', 'main', 'main.c', '-lm'],
+        run: ['./main'],
+    },
+    51: { // C#
+        file: 'main.cs',
+        compile: ['mcs', '-out:main.exe', 'main.cs'],
+        run: ['mono', 'main.exe'],
+        limitAddressSpace: false,
+    },
+    60: { // Go
+        file: 'main.go',
+        compile: ['go', 'build', '-o', 'main', 'main.go'],
+        run: ['./main'],
+        limitAddressSpace: false,
+    },
+    72: { // Ruby
+        file: 'main.rb',
+        run: ['ruby', 'main.rb'],
+    },
+    73: { // Rust
+        file: 'main.rs',
+        compile: ['rustc', '-O', '-o', 'main', 'main.rs'],
+        run: ['./main'],
+    },
+    78: { // Kotlin
+        file: 'Main.kt',
+        compile: ['kotlinc', 'Main.kt', '-include-runtime', '-d', 'main.jar'],
+        run: ['java', '-Xmx{memMb}m', '-jar', 'main.jar'],
+        limitAddressSpace: false,
+    },
+    83: { // Swift
+        file: 'main.swift',
+        compile: ['swiftc', '-O', '-o', 'main', 'main.swift'],
+        run: ['./main'],
+    },
+    74: { // TypeScript
+        file: 'main.ts',
+        compile: ['tsc', '--target', 'es2020', '--module', 'commonjs', 'main.ts'],
+        run: ['node', '--max-old-space-size={memMb}', 'main.js'],
+        limitAddressSpace: false,
+    },
+    68: { // PHP
+        file: 'main.php',
+        run: ['php', 'main.php'],
+    },
+    82: { // SQL (SQLite) - the script itself is fed on stdin, like Judge0 does
+        file: 'main.sql',
+        run: ['sqlite3', '-batch', 'db.sqlite'],
+        sourceAsStdin: true,
+    },
+};
+
+class SandboxService {
+    constructor() {
+        this.tmpRoot = process.env.SANDBOX_TMP_DIR || os.tmpdir();
+        this.maxOutputBytes = parseInt(process.env.SANDBOX_MAX_OUTPUT_KB || '1024') * 1024;
+        this.compileTimeoutMs = parseInt(process.env.SANDBOX_COMPILE_TIMEOUT_MS || '30000');
+        this.maxConcurrency = parseInt(process.env.SANDBOX_MAX_CONCURRENCY || '2');
+        this.sampleIntervalMs = 10;
+        this.clockTicks = 100; // USER_HZ, used to read utime/stime from /proc
+
+        this.jail = (process.env.SANDBOX_JAIL || 'none').toLowerCase();
+        // One uid (used as the gid too) per jailed process tree, so runs can't touch each other
+        const [firstUid, lastUid] = (process.env.SANDBOX_UID_RANGE || '61000-61999').split('-').map(n => parseInt(n));
+        this.uidRange = { first: firstUid, last: lastUid };
+        this.uidsInUse = new Set();
+        this.nextUid = firstUid;
+        this.maxProcesses = parseInt(process.env.SANDBOX_MAX_PROCESSES || '128'); // threads count too
+        this.hiddenPaths = [
+            process.cwd(),
+            ...(process.env.SANDBOX_HIDDEN_PATHS || '').split(',').map(p => p.trim()).filter(Boolean),
+        ].map(p => path.resolve(p));
+    }
+
+    isJailed() {
+        return this.jail === 'unshare';
+    }
+
+    /**
+     * Why the local backend must not be used with the current settings, or null
+     */
+    getStartupError() {
+        if (!JAILS.includes(this.jail)) {
+            return `Unknown SANDBOX_JAIL "${this.jail}" (expected ${JAILS.join(' or ')})`;
+        }
+        if (!this.isJailed()) {
+            return process.env.NODE_ENV === 'production'
+                ? 'CODE_EXECUTION_BACKEND=local runs candidate code as the server user; set SANDBOX_JAIL=unshare or use Judge0 in production'
+                : null;
+        }
+        if (process.getuid?.() !== 0) {
+            return 'SANDBOX_JAIL=unshare needs the server to run as root to switch uids';
+        }
+        const { first, last } = this.uidRange;
+        if (!Number.isInteger(first) || !Number.isInteger(last) || first < 1000 || last < first) {
+            return `Invalid SANDBOX_UID_RANGE (expected e.g. 61000-61999)`;
+        }
+        const tmpRoot = path.resolve(this.tmpRoot);
+        if (tmpRoot === path.parse(tmpRoot).root) {
+            return 'SANDBOX_TMP_DIR must not be the filesystem root; the jail mounts a tmpfs over it';
+        }
+        const hiding = this.hiddenPaths.find(p => tmpRoot === p || tmpRoot.startsWith(p + path.sep));
+        if (hiding) {
+            return `SANDBOX_TMP_DIR (${tmpRoot}) is inside ${hiding}, which the jail hides`;
+        }
+        return null;
+    }
+
+    /**
+     * Compile and run code once
+     * Same defaults as Judge0Service.submitCode
+     * @param {string} code - Source code
+     * @param {number} languageId - Judge0 language ID
+     * @param {string} stdin - Standard input
+     * @param {number} timeLimit - CPU time limit in seconds (default: 5)
+     * @param {number} memoryLimit - Memory limit in KB (default: 128000)
+     * @returns {Promise<Object>} Raw result in Judge0 submission format
+     */
+    async execute(code, languageId, stdin = '', timeLimit = 5, memoryLimit = 128000) {
+        const [result] = await this.executeBatch(code, languageId, [stdin], timeLimit, memoryLimit);
+        return result;
+    }
+
+    /**
+     * Compile once, then run each stdin as its own isolated process
+     * @param {string} code - Source code
+     * @param {number} languageId - Judge0 language ID
+     * @param {Array<string>} stdins - One standard input per run
+     * @param {number} timeLimit - CPU time limit in seconds per run
+     * @param {number} memoryLimit - Memory limit in KB per run
+     * @param {number} concurrency - Maximum runs in parallel
+     * @returns {Promise<Array<Object>>} Raw results in Judge0 submission format, in input order
+     */
+    async executeBatch(code, languageId, stdins, timeLimit = 5, memoryLimit = 128000, concurrency = this.maxConcurrency) {
+        const build = await this.prepare(code, languageId);
+
+        try {
+            // A failed build is the answer for every run
+            if (build.result) {
+                return stdins.map(() => build.result);
+            }
+
+            return await mapWithConcurrency(stdins, concurrency, (stdin) =>
+                this.runPrepared(build, code, stdin, timeLimit, memoryLimit)
+            );
+        } finally {
+            this.cleanup(build.workDir);
+        }
+    }
+
+    /**
+     * Write the source and compile it if the language needs it
+     * @returns {Promise<{workDir: string, toolchain: Object, result: Object|null}>}
+     * `result` is set when there is nothing to run (unsupported language, compile error)
+     */
+    async prepare(code, languageId) {
+        const toolchain = TOOLCHAINS[languageId];
+        if (!toolchain) {
+            return {
+                workDir: null,
+                toolchain: null,
+                result: this.internalError(`Language ${languageId} is not supported by the local sandbox`),
+            };
+        }
+
+        const workDir = await fs.promises.mkdtemp(path.join(this.tmpRoot, 'sandbox-'));
+        const build = { workDir, toolchain, result: null };
+
+        try {
+            await fs.promises.writeFile(path.join(workDir, toolchain.file), code);
+
+            if (toolchain.compile) {
+                const compiled = await this.spawnLimited(toolchain.compile, workDir, {
+                    wallTimeMs: this.compileTimeoutMs,
+                });
+
+                if (compiled.spawnError) {
+                    build.result = this.internalError(compiled.spawnError);
+                } else if (compiled.timedOut || compiled.exitCode !== 0) {
+                    build.result = {
+                        status: STATUS.COMPILATION_ERROR,
+                        stdout: null,
+                        stderr: null,
+                        compile_output: compiled.timedOut
+                            ? 'Compilation timed out'
+                            : (compiled.stderr || compiled.stdout),
+                        time: null,
+                        memory: null,
+                        exit_code: compiled.exitCode,
+                    };
+                }
+            }
+        } catch (error) {
+            console.error('❌ Sandbox build error:', error);
+            build.result = this.internalError(error.message);
+        }
+
+        return build;
+    }
+
+    /**
+     * Run a prepared build against one stdin, in a private copy of the build directory
+     */
+    async runPrepared(build, code, stdin, timeLimit, memoryLimit) {
+        const { toolchain } = build;
+        let runDir = null;
+
+        try {
+            runDir = await fs.promises.mkdtemp(path.join(this.tmpRoot, 'sandbox-run-'));
+            await fs.promises.cp(build.workDir, runDir, { recursive: true });
+
+            const memMb = Math.max(16, Math.floor(memoryLimit / 1024));
+            const command = toolchain.run.map(arg => arg.replace('{memMb}', String(memMb)));
+
+            const run = await this.spawnLimited(command, runDir, {
+                stdin: toolchain.sourceAsStdin ? code : stdin,
+                cpuTimeLimit: timeLimit,
+                wallTimeMs: Math.ceil((timeLimit * 2 + 1) * 1000),
+                memoryLimitKb: memoryLimit,
+                limitAddressSpace: toolchain.limitAddressSpace !== false,
+            });
+
+            if (run.spawnError) {
+                return this.internalError(run.spawnError);
+            }
+
+            return {
+                status: this.resolveStatus(run, timeLimit, memoryLimit),
+                stdout: run.stdout,
+                stderr: run.stderr,
+                compile_output: null,
+                time: run.cpuSeconds.toFixed(3),
+                memory: run.peakMemoryKb,
+                exit_code: run.exitCode,
+            };
+        } catch (error) {
+            console.error('❌ Sandbox execution error:', error);
+            return this.internalError(error.message);
+        } finally {
+            this.cleanup(runDir);
+        }
+    }
+
+    /**
+     * Reserve a uid no other jailed process tree is using, or null if the range is exhausted
+     */
+    acquireUid() {
+        const { first, last } = this.uidRange;
+        for (let i = 0; i <= last - first; i++) {
+            const uid = this.nextUid;
+            this.nextUid = uid >= last ? first : uid + 1;
+            if (!this.uidsInUse.has(uid)) {
+                this.uidsInUse.add(uid);
+                return uid;
+            }
+        }
+        return null;
+    }
+
+    releaseUid(uid) {
+        this.uidsInUse.delete(uid);
+    }
+
+    /**
+     * Give a directory to a jail uid so the jailed compiler or program can write to it
+     */
+    async handOver(dir, uid) {
+        await fs.promises.chown(dir, uid, uid);
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                await this.handOver(entryPath, uid);
+            } else {
+                await fs.promises.lchown(entryPath, uid, uid);
+            }
+        }
+    }
+
+    cleanup(dir) {
+        if (!dir) return;
+        fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+
+    /**
+     * Map a finished process to a Judge0 status
+     */
+    resolveStatus(run, timeLimit, memoryLimit) {
+        if (run.outputExceeded) return STATUS.OUTPUT_LIMIT;
+        if (run.timedOut || run.signal === 'SIGXCPU' || run.cpuSeconds > timeLimit) return STATUS.TIME_LIMIT;
+        if (run.memoryExceeded || run.peakMemoryKb > memoryLimit) return STATUS.MEMORY_LIMIT;
+        // Allocation failures surface as crashes near the cap: resident memory under a runtime heap
+        // flag, address space under ulimit -v (a single allocation past the cap is not detected)
+        const crashed = run.signal || run.exitCode !== 0;
+        const peakKb = run.addressSpaceLimited ? Math.max(run.peakMemoryKb, run.peakVirtualKb) : run.peakMemoryKb;
+        if (crashed && peakKb >= memoryLimit * NEAR_MEMORY_LIMIT) return STATUS.MEMORY_LIMIT;
+
+        switch (run.signal) {
+            case null: break;
+            case 'SIGSEGV': return STATUS.SIGSEGV;
+            case 'SIGXFSZ': return STATUS.OUTPUT_LIMIT;
+            case 'SIGFPE': return STATUS.SIGFPE;
+            case 'SIGABRT': return STATUS.SIGABRT;
+            default: return STATUS.RUNTIME_OTHER;
+        }
+
+        return run.exitCode === 0 ? STATUS.ACCEPTED : STATUS.NZEC;
+    }
+
+    /**
+     * Spawn a command with ulimits applied by /bin/sh, inside the jail (under a uid of its own) if configured
+     * @returns {Promise<Object>} stdout, stderr, exitCode, signal, cpuSeconds, peakMemoryKb, peakVirtualKb and limit flags
+     */
+    async spawnLimited(command, workDir, options = {}) {
+        if (!this.isJailed()) {
+            return this.spawnProcess(command, workDir, options);
+        }
+
+        const uid = this.acquireUid();
+        if (uid === null) {
+            return { spawnError: 'All sandbox uids are in use', stdout: '', stderr: '' };
+        }
+        try {
+            await this.handOver(workDir, uid);
+            return await this.spawnProcess(command, workDir, { ...options, uid });
+        } finally {
+            this.releaseUid(uid);
+        }
+    }
+
+    /**
+     * Unjailed: the command runs in its own process group, which is killed when it ends.
+     * Jailed: it runs in its own PID namespace, which dies with unshare.
+     */
+    spawnProcess(command, workDir, options) {
+        const {
+            uid,
+            stdin = '',
+            cpuTimeLimit = null,
+            wallTimeMs,
+            memoryLimitKb = null,
+            limitAddressSpace = false,
+        } = options;
+
+        const limits = ['ulimit -c 0'];
+        if (cpuTimeLimit) {
+            // Only the program run is capped on file size; compilers legitimately write large binaries
+            limits.push(`ulimit -f ${Math.ceil(this.maxOutputBytes / 512)}`);
+            // Hard stop one second past the limit; TLE itself is decided from measured CPU time
+            limits.push(`ulimit -t ${Math.ceil(cpuTimeLimit) + 1}`);
+        }
+        if (memoryLimitKb && limitAddressSpace) {
+            limits.push(`ulimit -v ${memoryLimitKb}`);
+        }
+
+        return new Promise((resolve) => {
+            const result = {
+                stdout: '',
+                stderr: '',
+                exitCode: null,
+                signal: null,
+                cpuSeconds: 0,
+                peakMemoryKb: 0,
+                peakVirtualKb: 0,
+                addressSpaceLimited: Boolean(memoryLimitKb && limitAddressSpace),
+                timedOut: false,
+                outputExceeded: false,
+                memoryExceeded: false,
+                spawnError: null,
+            };
+            let jailError = '';
+            const startedAt = Date.now();
+            let outputBytes = 0;
+            let settled = false;
+
+            const script = `${limits.join('; ')}; exec "$@"`;
+            const jailed = uid !== undefined;
+            const [file, args] = jailed
+                ? ['unshare', [
+                    '--mount', '--net', '--ipc', '--uts', '--pid', '--fork', '--kill-child', '--mount-proc', '--',
+                    '/bin/sh', '-c', this.getJailScript(workDir, uid), 'jail', script, ...command,
+                ]]
+                : ['/bin/sh', ['-c', script, 'sandbox', ...command]];
+
+            const child = spawn(file, args, {
+                cwd: workDir,
+                detached: true,
+                // fd 3 carries jail setup errors; it is closed before the candidate's code runs
+                stdio: ['pipe', 'pipe', 'pipe', 'pipe'],
+                env: {
+                    PATH: process.env.PATH,
+                    HOME: workDir,
+                    TMPDIR: workDir,
+                    LANG: 'C.UTF-8',
+                    GOCACHE: path.join(workDir, '.gocache'),
+                },
+            });
+
+            // Killing unshare takes down its PID namespace, including processes that called setsid
+            const killGroup = () => {
+                try {
+                    process.kill(jailed ? child.pid : -child.pid, 'SIGKILL');
+                } catch (e) {
+                    // Process group already gone
+                }
+            };
+
+            // In the jail the program is a child of the namespace's init shell, not of unshare.
+            // Looked up on every sample: until the jail is set up, that child is mount or mkdir.
+            const findProgram = async () => {
+                if (!jailed) return child.pid;
+                const [init] = await readChildPids(child.pid);
+                const [pid] = init ? await readChildPids(init) : [];
+                return pid || null;
+            };
+
+            const wallTimer = setTimeout(() => {
+                result.timedOut = true;
+                killGroup();
+            }, wallTimeMs);
+
+            const sampler = setInterval(() => {
+                findProgram().then(pid => pid && this.sampleProcess(pid)).then(sample => {
+                    if (!sample || settled) return;
+                    result.cpuSeconds = Math.max(result.cpuSeconds, sample.cpuSeconds);
+                    result.peakMemoryKb = Math.max(result.peakMemoryKb, sample.peakMemoryKb);
+                    result.peakVirtualKb = Math.max(result.peakVirtualKb, sample.peakVirtualKb);
+                    if (memoryLimitKb && sample.peakMemoryKb > memoryLimitKb) {
+                        result.memoryExceeded = true;
+                        killGroup();
+                    } else if (cpuTimeLimit && sample.cpuSeconds > cpuTimeLimit) {
+                        killGroup();
+                    }
+                });
+            }, this.sampleIntervalMs);
+
+            const collect = (key) => (chunk) => {
+                outputBytes += chunk.length;
+                if (outputBytes > this.maxOutputBytes) {
+                    result.outputExceeded = true;
+                    killGroup();
+                    return;
+                }
+                result[key] += chunk.toString();
+            };
+
+            child.stdout.on('data', collect('stdout'));
+            child.stderr.on('data', collect('stderr'));
+            child.stdio[3].on('data', (chunk) => { jailError += chunk.toString(); });
+
+            // Programs that never read stdin close the pipe early
+            child.stdin.on('error', () => {});
+            child.stdin.end(stdin || '');
+
+            const finish = () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(wallTimer);
+                clearInterval(sampler);
+                killGroup(); // Reap anything the program left running in its group
+
+                // Fall back to wall time if the process exited before the first sample
+                if (result.cpuSeconds === 0) {
+                    result.cpuSeconds = (Date.now() - startedAt) / 1000;
+                }
+                resolve(result);
+            };
+
+            child.on('error', (error) => {
+                result.spawnError = error.code === 'ENOENT'
+                    ? `Runtime not available: ${file === 'unshare' ? file : command[0]}`
+                    : error.message;
+                finish();
+            });
+
+            child.on('close', (exitCode, signal) => {
+                result.exitCode = exitCode;
+                result.signal = signal;
+                // The jail's init shell reports the program's death by signal n as exit status 128 + n
+                const jailSignal = jailed && exitCode > 128 &&
+                    Object.keys(os.constants.signals).find(name => os.constants.signals[name] === exitCode - 128);
+                if (jailSignal) {
+                    result.exitCode = null;
+                    result.signal = jailSignal;
+                }
+                // /bin/sh reports "command not found" as 127
+                if (exitCode === 127 && /not found/.test(result.stderr)) {
+                    result.spawnError = `Runtime not available: ${command[0]}`;
+                }
+                if (jailError) {
+                    result.spawnError = `Sandbox jail setup failed: ${jailError.trim()}`;
+                }
+                finish();
+            });
+        });
+    }
+
+    /**
+     * Runs as root (PID 1) in the new namespaces: hide the server's files and every other run's
+     * directory, then drop to the run's uid and hand over to the limits script ($1) and the
+     * command (the remaining arguments). It doesn't exec, so the program isn't PID 1 and
+     * signals kill it as usual.
+     */
+    getJailScript(workDir, uid) {
+        const mounts = this.hiddenPaths.map(p =>
+            `if [ -d ${shellQuote(p)} ]; then mount -t tmpfs -o size=1m,mode=0755 tmpfs ${shellQuote(p)} 2>&3 || exit 125; fi`
+        );
+        const tmpRoot = shellQuote(path.resolve(this.tmpRoot));
+        const runDir = shellQuote(path.resolve(workDir));
+        return [
+            ...mounts,
+            // -c: bind the directory we started in, not the path it resolves to once tmpRoot is covered
+            `{ mount -t tmpfs -o size=8m,mode=1777 tmpfs ${tmpRoot} && mkdir -p ${runDir} && ` +
+                `mount -c --bind . ${runDir} && cd ${runDir}; } 2>&3 || exit 125`,
+            'if [ -d /dev/shm ]; then mount -t tmpfs -o size=8m,mode=1777 tmpfs /dev/shm 2>&3 || exit 125; fi',
+            'limits="$1"; shift',
+            `setpriv --reuid=${uid} --regid=${uid} --clear-groups --no-new-privs ` +
+                `prlimit --nproc=${this.maxProcesses} -- /bin/sh -c "$limits" sandbox "$@" 3>&-`,
+        ].join('; ');
+    }
+
+    /**
+     * Read CPU time, peak RSS and peak virtual memory of a running process from /proc (Linux only)
+     */
+    async sampleProcess(pid) {
+        try {
+            const [stat, status] = await Promise.all([
+                fs.promises.readFile(`/proc/${pid}/stat`, 'utf-8'),
+                fs.promises.readFile(`/proc/${pid}/status`, 'utf-8'),
+            ]);
+
+            // Fields after the ")" that closes the command name; utime and stime are fields 14 and 15
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            const ticks = parseInt(fields[11]) + parseInt(fields[12]);
+            const hwm = status.match(/VmHWM:\s+(\d+)/);
+            const vmPeak = status.match(/VmPeak:\s+(\d+)/);
+
+            return {
+                cpuSeconds: ticks / this.clockTicks,
+                peakMemoryKb: hwm ? parseInt(hwm[1]) : 0,
+                peakVirtualKb: vmPeak ? parseInt(vmPeak[1]) : 0,
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    internalError(message) {
+        return {
+            status: STATUS.INTERNAL_ERROR,
+            stdout: null,
+            stderr: message,
+            compile_output: null,
+            time: null,
+            memory: null,
+            exit_code: null,
+        };
+    }
+
+    /**
+     * Check whether a language ID has a local toolchain
+     */
+    supportsLanguage(languageId) {
+        return Boolean(TOOLCHAINS[languageId]);
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Pids of a process's direct children (Linux only)
+async function readChildPids(pid) {
+    try {
+        const children = await fs.promises.readFile(`/proc/${pid}/task/${pid}/children`, 'utf-8');
+        return children.split(' ').filter(Boolean).map(Number);
+    } catch (error) {
+        return [];
+    }
+}
+
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+export default new SandboxService();
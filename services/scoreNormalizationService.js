@@ -0,0 +1,163 @@
+/**
+ * Score Normalization Service
+ * Puts candidates who took different question sets of a JD on one scale.
+ *
+ * For each set with at least SCORE_NORMALIZATION_MIN_SAMPLE evaluated candidates:
+ * - zScore: (percentage - set mean) / set standard deviation
+ * - setPercentile: share of the set's candidates scoring below (ties count half)
+ * - normalizedScore: the z-score mapped back onto the JD-wide mean and standard deviation,
+ *   so it reads like a percentage and can be ranked across sets
+ * Sets with too few candidates (or no spread) keep the raw percentage as normalizedScore.
+ */
+
+import AssessmentSet from '../models/AssessmentSet.js';
+import CandidateAssessment from '../models/CandidateAssessment.js';
+import Evaluation from '../models/Evaluation.js';
+
+class ScoreNormalizationService {
+    constructor() {
+        this.minSample = parseInt(process.env.SCORE_NORMALIZATION_MIN_SAMPLE) || 5;
+    }
+
+    /**
+     * Mean and population standard deviation
+     */
+    describe(scores) {
+        const n = scores.length;
+        if (n === 0) return { sampleSize: 0, mean: 0, stdDev: 0 };
+
+        const mean = scores.reduce((a, b) => a + b, 0) / n;
+        const variance = scores.reduce((sum, s) => sum + (s - mean) ** 2, 0) / n;
+        return { sampleSize: n, mean, stdDev: Math.sqrt(variance) };
+    }
+
+    /**
+     * Normalize one score against its set's scores
+     * @param {number} score - Raw percentage
+     * @param {Array} setScores - Raw percentages of everyone who took the set (including this one)
+     * @param {Object} pooled - describe() of every score for the JD
+     * @returns {Object} Evaluation.normalization shape (without computedAt)
+     */
+    normalize(score, setScores, pooled) {
+        const set = this.describe(setScores);
+        const isNormalized = set.sampleSize >= this.minSample && set.stdDev > 0;
+
+        if (!isNormalized) {
+            return {
+                isNormalized,
+                zScore: null,
+                setPercentile: null,
+                normalizedScore: round(score),
+                setMean: round(set.mean),
+                setStdDev: round(set.stdDev),
+                setSampleSize: set.sampleSize,
+            };
+        }
+
+        const zScore = (score - set.mean) / set.stdDev;
+        const below = setScores.filter(s => s < score).length;
+        const ties = setScores.filter(s => s === score).length;
+
+        return {
+            isNormalized,
+            zScore: round(zScore, 3),
+            setPercentile: round(((below + ties / 2) / set.sampleSize) * 100),
+            normalizedScore: round(Math.min(100, Math.max(0, pooled.mean + zScore * pooled.stdDev))),
+            setMean: round(set.mean),
+            setStdDev: round(set.stdDev),
+            setSampleSize: set.sampleSize,
+        };
+    }
+
+    /**
+     * Recompute normalized scores for every evaluated candidate of a JD and the per-set statistics
+     * @param {ObjectId} jdId
+     * @returns {Promise<Array>} Per-set stats: [{ assessmentSet, setNumber, sampleSize, mean, stdDev, isNormalized }]
+     */
+    async recompute(jdId) {
+        const candidateAssessments = await CandidateAssessment.find({
+            jd: jdId,
+            assignedSet: { $ne: null },
+        }).select('assignedSet assignedSetNumber').lean();
+
+        const setByAssessment = new Map(candidateAssessments.map(ca => [ca._id.toString(), ca]));
+        const evaluations = await Evaluation.find({
+            candidateAssessment: { $in: candidateAssessments.map(ca => ca._id) },
+            evaluationCompletedAt: { $ne: null },
+        }).select('candidateAssessment percentage').lean();
+
+        // Group scores by the set each candidate took
+        const bySet = new Map();
+        for (const evaluation of evaluations) {
+            const ca = setByAssessment.get(evaluation.candidateAssessment.toString());
+            const key = ca.assignedSet.toString();
+            if (!bySet.has(key)) {
+                bySet.set(key, { assessmentSet: ca.assignedSet, setNumber: ca.assignedSetNumber, evaluations: [] });
+            }
+            bySet.get(key).evaluations.push(evaluation);
+        }
+
+        const pooled = this.describe(evaluations.map(e => e.percentage || 0));
+        const computedAt = new Date();
+        const evaluationUpdates = [];
+        const setUpdates = [];
+        const setStats = [];
+
+        for (const { assessmentSet, setNumber, evaluations: setEvaluations } of bySet.values()) {
+            const setScores = setEvaluations.map(e => e.percentage || 0);
+
+            for (const evaluation of setEvaluations) {
+                evaluationUpdates.push({
+                    updateOne: {
+                        filter: { _id: evaluation._id },
+                        update: {
+                            $set: {
+                                normalization: {
+                                    ...this.normalize(evaluation.percentage || 0, setScores, pooled),
+                                    assessmentSet,
+                                    setNumber,
+                                    computedAt,
+                                },
+                            },
+                        },
+                    },
+                });
+            }
+
+            const stats = this.describe(setScores);
+            const scoreStats = {
+                sampleSize: stats.sampleSize,
+                mean: round(stats.mean),
+                stdDev: round(stats.stdDev),
+                isNormalized: stats.sampleSize >= this.minSample && stats.stdDev > 0,
+                computedAt,
+            };
+            setUpdates.push({
+                updateOne: { filter: { _id: assessmentSet }, update: { $set: { scoreStats } } },
+            });
+            setStats.push({ assessmentSet, setNumber, ...scoreStats });
+        }
+
+        if (evaluationUpdates.length > 0) {
+            await Evaluation.bulkWrite(evaluationUpdates);
+            await AssessmentSet.bulkWrite(setUpdates);
+        }
+
+        console.log(`📐 Normalized ${evaluationUpdates.length} score(s) across ${setStats.length} set(s) for JD ${jdId}`);
+        return setStats.sort((a, b) => a.setNumber - b.setNumber);
+    }
+
+    /**
+     * Score to rank an evaluation by: normalized when available, raw percentage otherwise
+     */
+    rankingScore(evaluation) {
+        return evaluation?.normalization?.normalizedScore ?? evaluation?.percentage ?? null;
+    }
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+export default new ScoreNormalizationService();
@@ -0,0 +1,211 @@
+/**
+ * Section Timer Service
+ * Server-side section timing and navigation for candidate sessions.
+ *
+ * - Each section's clock starts when the section is opened and runs for the section's
+ *   assessmentConfig.sections[section].timeMinutes (plus any accommodation), whichever
+ *   section is on screen; only active session time counts (services/sessionClockService.js)
+ * - A section whose time plus grace has passed is auto-submitted on the candidate's next request;
+ *   once every enabled section is submitted the assessment is finalized
+ * - Submitted sections are locked: no more answers, code submissions or reopening
+ * - assessmentConfig.navigationMode 'strict' opens sections one at a time in order; 'free'
+ *   allows any unsubmitted section
+ */
+
+import AssessmentAnswer from '../models/AssessmentAnswer.js';
+import submissionService from './submissionService.js';
+import accommodationService from './accommodationService.js';
+import sessionClockService from './sessionClockService.js';
+
+export const SECTION_ORDER = ['objective', 'subjective', 'programming'];
+
+class SectionTimerService {
+    constructor() {
+        // Allowance for network latency before a section is auto-submitted
+        this.gracePeriodMs = parseInt(process.env.SECTION_GRACE_PERIOD_MS) || 15 * 1000;
+    }
+
+    getEnabledSections(jd) {
+        return SECTION_ORDER.filter(section => jd.assessmentConfig.sections[section]?.enabled);
+    }
+
+    /**
+     * Time allowed for a section, including the candidate's accommodations
+     * @returns {number} Milliseconds
+     */
+    getSectionTimeMs(candidateAssessment, jd, section) {
+        return accommodationService.getSectionTimeMs(candidateAssessment, jd, section);
+    }
+
+    /**
+     * When a started section's time runs out (without grace) if the candidate stays connected,
+     * or null if not started
+     */
+    getSectionDeadline(candidateAssessment, jd, section, now = new Date()) {
+        const progress = candidateAssessment.sectionProgress[section];
+        if (!progress?.started) return null;
+        if (progress.completed) return progress.completedAt || null;
+        return new Date(now.getTime() + this.getRemainingMs(candidateAssessment, jd, section, now));
+    }
+
+    /**
+     * Milliseconds left in a section: full time before it starts, 0 once submitted
+     */
+    getRemainingMs(candidateAssessment, jd, section, now = new Date()) {
+        if (candidateAssessment.sectionProgress[section]?.completed) return 0;
+
+        const elapsed = sessionClockService.getSectionElapsedMs(candidateAssessment, section, now);
+        return Math.max(0, this.getSectionTimeMs(candidateAssessment, jd, section) - elapsed);
+    }
+
+    isSectionExpired(candidateAssessment, jd, section, now = new Date()) {
+        if (!candidateAssessment.sectionProgress[section]?.started) return false;
+
+        const elapsed = sessionClockService.getSectionElapsedMs(candidateAssessment, section, now);
+        return elapsed > this.getSectionTimeMs(candidateAssessment, jd, section) + this.gracePeriodMs;
+    }
+
+    /**
+     * Why a section can't be opened (or skipped by submitting it), or null if it can
+     */
+    getOpenError(candidateAssessment, jd, section) {
+        if (!jd.assessmentConfig.sections[section]?.enabled) {
+            return 'Section is not enabled';
+        }
+        if (candidateAssessment.sectionProgress[section]?.completed) {
+            return 'Section has already been submitted';
+        }
+
+        if (jd.assessmentConfig.navigationMode === 'strict') {
+            const enabled = this.getEnabledSections(jd);
+            const pending = enabled.slice(0, enabled.indexOf(section))
+                .filter(s => !candidateAssessment.sectionProgress[s]?.completed);
+            if (pending.length > 0) {
+                return `Submit the ${pending[0]} section first`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Why answers can't be saved to a section, or null if they can
+     */
+    getWriteError(candidateAssessment, jd, section) {
+        const openError = this.getOpenError(candidateAssessment, jd, section);
+        if (openError) return openError;
+
+        if (!candidateAssessment.sectionProgress[section]?.started) {
+            return 'Section has not been started';
+        }
+        return null;
+    }
+
+    /**
+     * Per-section timing and lock state for the session view
+     */
+    describe(candidateAssessment, jd, now = new Date()) {
+        const sections = {};
+        for (const section of this.getEnabledSections(jd)) {
+            const progress = candidateAssessment.sectionProgress[section];
+            sections[section] = {
+                started: Boolean(progress?.started),
+                completed: Boolean(progress?.completed),
+                autoSubmitted: Boolean(progress?.autoSubmitted),
+                allowedTimeMs: this.getSectionTimeMs(candidateAssessment, jd, section),
+                deadline: this.getSectionDeadline(candidateAssessment, jd, section, now),
+                remainingTimeMs: this.getRemainingMs(candidateAssessment, jd, section, now),
+                isLocked: Boolean(progress?.completed),
+                canOpen: this.getOpenError(candidateAssessment, jd, section) === null,
+            };
+        }
+        return { navigationMode: jd.assessmentConfig.navigationMode || 'free', sections };
+    }
+
+    /**
+     * Submit a section: grade objective answers, lock it and move to the next section.
+     * Saves candidateAssessment.
+     * @param {Object} candidateAssessment - Document with assignedSet populated
+     * @param {Object} jd - Needs assessmentConfig
+     * @param {string} section
+     * @param {Object} options - { auto }: the section's time ran out
+     * @returns {Promise<Object>} { section, nextSection }
+     */
+    async submitSection(candidateAssessment, jd, section, { auto = false } = {}) {
+        const answerDoc = await AssessmentAnswer.findOne({
+            candidateAssessment: candidateAssessment._id,
+            section,
+        });
+
+        if (answerDoc && !answerDoc.isSubmitted) {
+            answerDoc.sectionSubmittedAt = new Date();
+            answerDoc.isSubmitted = true;
+
+            // Calculate active time spent (an expired section is credited with its allotted time)
+            const spentMs = sessionClockService.getSectionElapsedMs(candidateAssessment, section);
+            answerDoc.totalTimeSpentSeconds = Math.floor(
+                (auto ? Math.min(spentMs, this.getSectionTimeMs(candidateAssessment, jd, section)) : spentMs) / 1000
+            );
+
+            // For objective, grade immediately
+            if (section === 'objective') {
+                const set = candidateAssessment.assignedSet;
+                answerDoc.objectiveAnswers.forEach(ans => {
+                    const question = set.objectiveQuestions.find(q => q.questionId === ans.questionId);
+                    if (question) {
+                        ans.isCorrect = ans.selectedOptionIndex >= 0 &&
+                            question.options[ans.selectedOptionIndex]?.isCorrect === true;
+                        ans.points = ans.isCorrect ? question.points : 0;
+                    }
+                });
+                answerDoc.calculateScore();
+            }
+
+            await answerDoc.save();
+        }
+
+        const progress = candidateAssessment.sectionProgress[section];
+        progress.activeTimeMs = sessionClockService.getSectionElapsedMs(candidateAssessment, section);
+        progress.completed = true;
+        progress.completedAt = new Date();
+        progress.autoSubmitted = auto;
+
+        const nextSection = this.getEnabledSections(jd)
+            .find(s => !candidateAssessment.sectionProgress[s]?.completed) || null;
+
+        candidateAssessment.currentSection = nextSection;
+        await candidateAssessment.save();
+
+        if (auto) {
+            console.log(`⏰ Section ${section} of assessment ${candidateAssessment._id} auto-submitted`);
+        }
+
+        return { section, nextSection };
+    }
+
+    /**
+     * Auto-submit sections whose time has run out, finalizing the assessment once
+     * no enabled section is left
+     * @returns {Promise<Object>} { autoSubmitted: [sections], finalized }
+     */
+    async enforce(candidateAssessment, jd, now = new Date()) {
+        const autoSubmitted = [];
+        for (const section of this.getEnabledSections(jd)) {
+            const progress = candidateAssessment.sectionProgress[section];
+            if (progress?.started && !progress.completed && this.isSectionExpired(candidateAssessment, jd, section, now)) {
+                await this.submitSection(candidateAssessment, jd, section, { auto: true });
+                autoSubmitted.push(section);
+            }
+        }
+
+        let finalized = false;
+        if (autoSubmitted.length > 0 &&
+            this.getEnabledSections(jd).every(s => candidateAssessment.sectionProgress[s]?.completed)) {
+            finalized = Boolean(await submissionService.finalize(candidateAssessment, { submissionType: 'time_expired' }));
+        }
+
+        return { autoSubmitted, finalized };
+    }
+}
+
+export default new SectionTimerService();
@@ -0,0 +1,189 @@
+/**
+ * Session Binding Service
+ * Ties a candidate session to the device and network it was started (or resumed) on.
+ *
+ * - The client sends a stable browser fingerprint in X-Device-Fingerprint; together with the
+ *   user agent it is stored as a hash (deviceBinding.deviceHash)
+ * - SESSION_IP_POLICY decides how closely the IP address must match: 'strict' (same address),
+ *   'subnet' (same /24, or /64 for IPv6) or 'off'
+ * - Session tokens expire after SESSION_TOKEN_TTL_MS and are rotated on every heartbeat; the
+ *   previous token keeps working for SESSION_TOKEN_OVERLAP_MS so requests in flight don't fail
+ * - A request from another device or network is rejected and logged as a high-severity
+ *   concurrent_session ProctoringEvent
+ * - An expired token or a device change goes through the OTP resume flow, which re-binds the session
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import CandidateAssessment from '../models/CandidateAssessment.js';
+import ProctoringEvent from '../models/ProctoringEvent.js';
+
+const IP_POLICIES = ['strict', 'subnet', 'off'];
+
+// Repeated requests from another device log at most one event per interval
+const CONFLICT_EVENT_INTERVAL_MS = 60 * 1000;
+
+class SessionBindingService {
+    constructor() {
+        this.tokenTtlMs = parseInt(process.env.SESSION_TOKEN_TTL_MS) || 5 * 60 * 1000;
+        this.tokenOverlapMs = parseInt(process.env.SESSION_TOKEN_OVERLAP_MS) || 30 * 1000;
+        this.ipPolicy = IP_POLICIES.includes(process.env.SESSION_IP_POLICY) ? process.env.SESSION_IP_POLICY : 'subnet';
+    }
+
+    /**
+     * Device and network a request comes from
+     * @returns {Object} { ipAddress, userAgent, deviceHash }
+     */
+    getClient(req) {
+        const userAgent = req.headers['user-agent'] || '';
+        const fingerprint = req.headers['x-device-fingerprint'] || '';
+        return {
+            ipAddress: normalizeIp(req.ip || req.headers['x-forwarded-for'] || ''),
+            userAgent,
+            deviceHash: crypto.createHash('sha256').update(`${fingerprint}\n${userAgent}`).digest('hex'),
+        };
+    }
+
+    /**
+     * Query filter for the session a token belongs to (its current or just-rotated token)
+     */
+    getTokenFilter(sessionToken) {
+        return { $or: [{ sessionToken }, { previousSessionToken: sessionToken }] };
+    }
+
+    /**
+     * Bind the session to a client and issue a new token; earlier tokens stop working. Does not save.
+     */
+    bind(candidateAssessment, client, now = new Date()) {
+        candidateAssessment.ipAddress = client.ipAddress;
+        candidateAssessment.userAgent = client.userAgent;
+        candidateAssessment.deviceBinding = { deviceHash: client.deviceHash, boundAt: now, lastConflictAt: null };
+
+        candidateAssessment.sessionToken = CandidateAssessment.generateSessionToken();
+        candidateAssessment.sessionCreatedAt = now;
+        candidateAssessment.sessionTokenExpiresAt = new Date(now.getTime() + this.tokenTtlMs);
+        candidateAssessment.previousSessionToken = null;
+        candidateAssessment.previousSessionTokenExpiresAt = null;
+    }
+
+    /**
+     * Replace the token with a fresh one; the old one is accepted for tokenOverlapMs more. Does not save.
+     * @returns {Object} { sessionToken, expiresAt }
+     */
+    rotate(candidateAssessment, now = new Date()) {
+        candidateAssessment.previousSessionToken = candidateAssessment.sessionToken;
+        candidateAssessment.previousSessionTokenExpiresAt = new Date(now.getTime() + this.tokenOverlapMs);
+        candidateAssessment.sessionToken = CandidateAssessment.generateSessionToken();
+        candidateAssessment.sessionTokenExpiresAt = new Date(now.getTime() + this.tokenTtlMs);
+
+        return {
+            sessionToken: candidateAssessment.sessionToken,
+            expiresAt: candidateAssessment.sessionTokenExpiresAt,
+        };
+    }
+
+    /**
+     * Check a request's token and device against the session. A request from another
+     * device or network is recorded as a concurrent_session event.
+     * @returns {Promise<Object|null>} { status, error, requiresResume } to reject the request with, or null
+     */
+    async verify(candidateAssessment, sessionToken, client, now = new Date()) {
+        const expiresAt = sessionToken === candidateAssessment.sessionToken
+            ? candidateAssessment.sessionTokenExpiresAt
+            : candidateAssessment.previousSessionTokenExpiresAt;
+        if (expiresAt && now > expiresAt) {
+            return { status: 401, error: 'Session token expired', requiresResume: true };
+        }
+
+        // Sessions started before device binding are bound to the first device seen
+        if (!candidateAssessment.deviceBinding?.deviceHash) {
+            candidateAssessment.ipAddress = client.ipAddress;
+            candidateAssessment.userAgent = client.userAgent;
+            candidateAssessment.deviceBinding = { deviceHash: client.deviceHash, boundAt: now, lastConflictAt: null };
+            candidateAssessment.sessionTokenExpiresAt = candidateAssessment.sessionTokenExpiresAt ||
+                new Date(now.getTime() + this.tokenTtlMs);
+            return null;
+        }
+
+        const reason = this.getConflict(candidateAssessment, client);
+        if (!reason) return null;
+
+        await this.recordConflict(candidateAssessment, client, reason, now);
+        return { status: 403, error: 'Assessment session is active on another device', requiresResume: true };
+    }
+
+    /**
+     * How a client differs from the bound device: 'device', 'ip_address' or null
+     */
+    getConflict(candidateAssessment, client) {
+        if (client.deviceHash !== candidateAssessment.deviceBinding.deviceHash) return 'device';
+
+        const boundIp = normalizeIp(candidateAssessment.ipAddress || '');
+        if (this.ipPolicy === 'off' || !boundIp) return null;
+        if (this.ipPolicy === 'strict') return client.ipAddress === boundIp ? null : 'ip_address';
+        return getSubnet(client.ipAddress) === getSubnet(boundIp) ? null : 'ip_address';
+    }
+
+    async recordConflict(candidateAssessment, client, reason, now) {
+        const last = candidateAssessment.deviceBinding.lastConflictAt;
+        if (last && now - last < CONFLICT_EVENT_INTERVAL_MS) return;
+
+        const severity = ProctoringEvent.getSeverityForEvent('concurrent_session');
+        await ProctoringEvent.create({
+            candidateAssessment: candidateAssessment._id,
+            eventType: 'concurrent_session',
+            severity,
+            timestamp: now,
+            evidence: {
+                reason,
+                ipPolicy: this.ipPolicy,
+                boundIpAddress: candidateAssessment.ipAddress,
+                boundUserAgent: candidateAssessment.userAgent,
+                ipAddress: client.ipAddress,
+                userAgent: client.userAgent,
+            },
+            context: candidateAssessment.currentSection ? { section: candidateAssessment.currentSection } : {},
+        });
+
+        // Atomic, so the bound device's own requests can't overwrite the counts
+        await CandidateAssessment.updateOne({ _id: candidateAssessment._id }, {
+            $inc: {
+                'proctoringStats.totalEvents': 1,
+                ...(severity === 'high' && { 'proctoringStats.highSeverityEvents': 1 }),
+            },
+            $set: {
+                'deviceBinding.lastConflictAt': now,
+                ...(severity === 'high' && { integrityStatus: 'FLAGGED_UNDER_REVIEW' }),
+            },
+        });
+
+        console.log(`🚨 Concurrent session on assessment ${candidateAssessment._id} (${reason} mismatch)`);
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// First forwarded address; IPv4-mapped IPv6 (::ffff:a.b.c.d) as plain IPv4
+function normalizeIp(ip) {
+    const address = String(ip).split(',')[0].trim();
+    return address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+}
+
+// /24 for IPv4, /64 for IPv6
+function getSubnet(ip) {
+    if (net.isIPv4(ip)) return ip.split('.').slice(0, 3).join('.');
+    if (!net.isIPv6(ip)) return ip;
+
+    const [head, tail] = ip.toLowerCase().split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const zeros = Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill('0');
+    return [...headGroups, ...zeros, ...tailGroups]
+        .slice(0, 4)
+        .map(group => group.replace(/^0+(?=.)/, ''))
+        .join(':');
+}
+
+export default new SessionBindingService();
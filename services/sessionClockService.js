@@ -0,0 +1,124 @@
+/**
+ * Session Clock Service
+ * Disconnect-aware timing for in-progress assessments.
+ *
+ * - Time is credited on each session request (heartbeats included): the gap since
+ *   lastHeartbeat counts, but never more than HEARTBEAT_MAX_GAP_MS, so a dropped
+ *   connection or a crashed browser costs the candidate at most that much
+ * - The time forgiven that way is limited to ASSESSMENT_MAX_DISCONNECT_MS per assessment
+ *   (forgivenGapMs); beyond it, time away counts in full. Longer absences need a recruiter pause
+ * - Credited time goes to the assessment (activeTimeMs) and to every section that is
+ *   open at the time (sectionProgress[section].activeTimeMs)
+ * - A paused session credits nothing; recruiters pause and resume it
+ * - A session idle for longer than ASSESSMENT_ABANDON_AFTER_MS is treated as abandoned
+ */
+
+const SECTIONS = ['objective', 'subjective', 'programming'];
+
+class SessionClockService {
+    constructor() {
+        this.maxGapMs = parseInt(process.env.HEARTBEAT_MAX_GAP_MS) || 2 * 60 * 1000;
+        this.abandonAfterMs = parseInt(process.env.ASSESSMENT_ABANDON_AFTER_MS) || 12 * 60 * 60 * 1000;
+        this.maxForgivenMs = parseInt(process.env.ASSESSMENT_MAX_DISCONNECT_MS) || 15 * 60 * 1000;
+    }
+
+    /**
+     * Time that would be credited if the candidate checked in now
+     */
+    getPendingMs(candidateAssessment, now = new Date()) {
+        return this.getGap(candidateAssessment, now).creditedMs;
+    }
+
+    /**
+     * Split the time since the last check-in into credited and forgiven time
+     * @returns {Object} { creditedMs, forgivenMs }
+     */
+    getGap(candidateAssessment, now = new Date()) {
+        const last = candidateAssessment.lastHeartbeat || candidateAssessment.startedAt;
+        if (candidateAssessment.pause?.isPaused || !last) return { creditedMs: 0, forgivenMs: 0 };
+
+        const gap = Math.max(0, now.getTime() - last.getTime());
+        const allowance = Math.max(0, this.maxForgivenMs - (candidateAssessment.forgivenGapMs || 0));
+        const forgivenMs = Math.min(Math.max(0, gap - this.maxGapMs), allowance);
+        return { creditedMs: gap - forgivenMs, forgivenMs };
+    }
+
+    /**
+     * Active time used so far
+     * @returns {number} Milliseconds
+     */
+    getElapsedMs(candidateAssessment, now = new Date()) {
+        return this.getCreditedMs(candidateAssessment) + this.getPendingMs(candidateAssessment, now);
+    }
+
+    /**
+     * Active time used in a section (0 before it starts; frozen once submitted)
+     */
+    getSectionElapsedMs(candidateAssessment, section, now = new Date()) {
+        const progress = candidateAssessment.sectionProgress[section];
+        if (!progress?.started) return 0;
+
+        const credited = this.getSectionCreditedMs(candidateAssessment, section);
+        return progress.completed ? credited : credited + this.getPendingMs(candidateAssessment, now);
+    }
+
+    /**
+     * Credit the time since the last check-in and record the check-in. Does not save.
+     */
+    tick(candidateAssessment, now = new Date()) {
+        const { creditedMs: pending, forgivenMs } = this.getGap(candidateAssessment, now);
+
+        candidateAssessment.activeTimeMs = this.getCreditedMs(candidateAssessment) + pending;
+        candidateAssessment.forgivenGapMs = (candidateAssessment.forgivenGapMs || 0) + forgivenMs;
+        for (const section of SECTIONS) {
+            const progress = candidateAssessment.sectionProgress[section];
+            if (!progress?.started) continue;
+            progress.activeTimeMs = this.getSectionCreditedMs(candidateAssessment, section) + (progress.completed ? 0 : pending);
+        }
+
+        candidateAssessment.lastHeartbeat = now;
+    }
+
+    isAbandoned(candidateAssessment, now = new Date()) {
+        if (candidateAssessment.pause?.isPaused) return false;
+
+        const last = candidateAssessment.lastHeartbeat || candidateAssessment.startedAt;
+        return Boolean(last && now.getTime() - last.getTime() > this.abandonAfterMs);
+    }
+
+    /**
+     * Stop the clock. Does not save.
+     * @param {Object} options - { userId, reason }
+     */
+    pause(candidateAssessment, { userId, reason = '' }, now = new Date()) {
+        this.tick(candidateAssessment, now);
+        candidateAssessment.pause = { isPaused: true, pausedAt: now, pausedBy: userId, reason };
+        candidateAssessment.pauseLog.push({ action: 'paused', changedBy: userId, reason, changedAt: now });
+    }
+
+    /**
+     * Restart the clock from now; the paused time is not credited. Does not save.
+     */
+    resume(candidateAssessment, { userId, reason = '' }, now = new Date()) {
+        candidateAssessment.pause = { isPaused: false, pausedAt: null, pausedBy: null, reason: '' };
+        candidateAssessment.lastHeartbeat = now;
+        candidateAssessment.pauseLog.push({ action: 'resumed', changedBy: userId, reason, changedAt: now });
+    }
+
+    // Assessments started before activeTimeMs existed are credited with their wall-clock time so far
+    getCreditedMs(candidateAssessment) {
+        if (candidateAssessment.activeTimeMs != null) return candidateAssessment.activeTimeMs;
+        const { startedAt, lastHeartbeat } = candidateAssessment;
+        return startedAt && lastHeartbeat ? Math.max(0, lastHeartbeat - startedAt) : 0;
+    }
+
+    getSectionCreditedMs(candidateAssessment, section) {
+        const progress = candidateAssessment.sectionProgress[section];
+        if (progress.activeTimeMs != null) return progress.activeTimeMs;
+
+        const end = progress.completedAt || candidateAssessment.lastHeartbeat;
+        return progress.startedAt && end ? Math.max(0, end - progress.startedAt) : 0;
+    }
+}
+
+export default new SessionClockService();
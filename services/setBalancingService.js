@@ -0,0 +1,230 @@
+/**
+ * Set Balancing Service
+ * Makes the question sets of a JD equivalent, so the set a candidate is randomly
+ * assigned doesn't decide how hard their assessment is.
+ *
+ * Sets are compared against the mean of all sets on three metrics:
+ * - difficultyIndex: points-weighted difficulty, 0 (all easy) to 100 (all hard)
+ * - totalPoints
+ * - skill coverage: share of points per skill, compared as 100 × (1 - half the L1 distance)
+ *
+ * Balancing first swaps same-section, same-difficulty questions between sets (which keeps
+ * each set's difficulty quota intact), then regenerates the least equivalent set.
+ */
+
+import skillAnalysisService from './skillAnalysisService.js';
+
+const SECTIONS = ['objective', 'subjective', 'programming'];
+
+const DIFFICULTY_VALUE = { easy: 0, medium: 50, hard: 100 };
+
+const DEFAULT_POINTS = {
+    objective: 1,
+    subjective: 10,
+    programming: 20,
+};
+
+const MAX_SWAPS = 50;
+
+class SetBalancingService {
+    constructor() {
+        this.difficultyTolerance = parseFloat(process.env.SET_DIFFICULTY_TOLERANCE) || 10;
+        this.pointsTolerancePercent = parseFloat(process.env.SET_POINTS_TOLERANCE) || 5;
+        this.minSkillSimilarity = parseFloat(process.env.SET_MIN_SKILL_SIMILARITY) || 80;
+        this.maxRegenerations = parseInt(process.env.SET_BALANCING_MAX_REGENERATIONS) || 2;
+    }
+
+    /**
+     * Raw per-set figures: difficulty index, total points and per-skill share of points
+     */
+    profile(set) {
+        let totalPoints = 0;
+        let weightedDifficulty = 0;
+        const skillPoints = new Map();
+
+        for (const section of SECTIONS) {
+            for (const q of set[`${section}Questions`] || []) {
+                const points = q.points || DEFAULT_POINTS[section];
+                totalPoints += points;
+                weightedDifficulty += points * (DIFFICULTY_VALUE[q.difficulty] ?? DIFFICULTY_VALUE.medium);
+
+                const key = skillAnalysisService.normalizeSkill(q.skill || 'General');
+                skillPoints.set(key, (skillPoints.get(key) || 0) + points);
+            }
+        }
+
+        const skillShares = new Map();
+        for (const [key, points] of skillPoints) {
+            skillShares.set(key, totalPoints > 0 ? points / totalPoints : 0);
+        }
+
+        return {
+            totalPoints,
+            difficultyIndex: totalPoints > 0 ? weightedDifficulty / totalPoints : 0,
+            skillShares,
+        };
+    }
+
+    /**
+     * Equivalence metrics for every set against the mean of all sets
+     * @param {Array} sets - AssessmentSets (plain objects or documents)
+     * @returns {Array} One AssessmentSet.equivalence-shaped entry per set, in order
+     */
+    measure(sets) {
+        const profiles = sets.map(set => this.profile(set));
+        const n = profiles.length || 1;
+
+        const meanPoints = profiles.reduce((sum, p) => sum + p.totalPoints, 0) / n;
+        const meanDifficulty = profiles.reduce((sum, p) => sum + p.difficultyIndex, 0) / n;
+        const meanShares = new Map();
+        for (const p of profiles) {
+            for (const [key, share] of p.skillShares) {
+                meanShares.set(key, (meanShares.get(key) || 0) + share / n);
+            }
+        }
+
+        return profiles.map(p => {
+            let distance = 0;
+            for (const key of new Set([...meanShares.keys(), ...p.skillShares.keys()])) {
+                distance += Math.abs((p.skillShares.get(key) || 0) - (meanShares.get(key) || 0));
+            }
+
+            const difficultyDeviation = Math.abs(p.difficultyIndex - meanDifficulty);
+            const pointsDeviation = meanPoints > 0 ? (Math.abs(p.totalPoints - meanPoints) / meanPoints) * 100 : 0;
+            const skillSimilarity = 100 * (1 - distance / 2);
+
+            return {
+                difficultyIndex: round(p.difficultyIndex),
+                totalPoints: p.totalPoints,
+                difficultyDeviation: round(difficultyDeviation),
+                pointsDeviation: round(pointsDeviation),
+                skillSimilarity: round(skillSimilarity),
+                isEquivalent: difficultyDeviation <= this.difficultyTolerance &&
+                    pointsDeviation <= this.pointsTolerancePercent &&
+                    skillSimilarity >= this.minSkillSimilarity,
+            };
+        });
+    }
+
+    /**
+     * How far each set is from equivalence (0 = on the mean; 1 = at a tolerance limit)
+     */
+    distances(sets) {
+        const skillSlack = Math.max(1, 100 - this.minSkillSimilarity);
+        return this.measure(sets).map(m =>
+            (m.difficultyDeviation / this.difficultyTolerance) ** 2 +
+            (m.pointsDeviation / this.pointsTolerancePercent) ** 2 +
+            ((100 - m.skillSimilarity) / skillSlack) ** 2
+        );
+    }
+
+    /**
+     * Greedily swap same-section, same-difficulty questions between sets until they are
+     * equivalent or no swap brings them closer. Questions keep the questionId of the slot they move into.
+     * @returns {number} Number of swaps made
+     */
+    swapQuestions(sets) {
+        const total = () => this.distances(sets).reduce((a, b) => a + b, 0);
+        let current = total();
+        let swaps = 0;
+
+        while (swaps < MAX_SWAPS && !this.measure(sets).every(m => m.isEquivalent)) {
+            let best = null;
+
+            for (let a = 0; a < sets.length; a++) {
+                for (let b = a + 1; b < sets.length; b++) {
+                    for (const section of SECTIONS) {
+                        const listA = sets[a][`${section}Questions`] || [];
+                        const listB = sets[b][`${section}Questions`] || [];
+
+                        for (let i = 0; i < listA.length; i++) {
+                            for (let j = 0; j < listB.length; j++) {
+                                if (!isUsefulSwap(listA[i], listB[j])) continue;
+
+                                swapSlots(listA, i, listB, j);
+                                const candidate = total();
+                                swapSlots(listA, i, listB, j);
+
+                                if (candidate < (best?.value ?? current) - 1e-9) {
+                                    best = { value: candidate, listA, i, listB, j };
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+
+            if (!best) break;
+            swapSlots(best.listA, best.i, best.listB, best.j);
+            current = best.value;
+            swaps++;
+        }
+
+        return swaps;
+    }
+
+    /**
+     * Balance a JD's freshly generated sets in place
+     * @param {Array} sets - Plain set objects (not yet saved)
+     * @param {Function} regenerate - async (setNumber) => new plain set
+     * @returns {Promise<Object>} { sets, isEquivalent, swaps, regenerations }
+     */
+    async balance(sets, regenerate) {
+        const regenerated = sets.map(() => 0);
+        let swaps = this.swapQuestions(sets);
+        let regenerations = 0;
+
+        while (sets.length > 1 && regenerations < this.maxRegenerations) {
+            const metrics = this.measure(sets);
+            if (metrics.every(m => m.isEquivalent)) break;
+
+            const distances = this.distances(sets);
+            const worst = distances.indexOf(Math.max(...distances));
+            console.log(`⚖️  Set ${sets[worst].setNumber} is furthest from equivalence, regenerating`);
+
+            try {
+                sets[worst] = await regenerate(sets[worst].setNumber);
+            } catch (error) {
+                // Keep the sets we have; the metrics below record that they aren't equivalent
+                console.error(`❌ Set ${sets[worst].setNumber} regeneration failed:`, error.message);
+                break;
+            }
+            regenerated[worst]++;
+            regenerations++;
+            swaps += this.swapQuestions(sets);
+        }
+
+        const metrics = this.measure(sets);
+        const balancedAt = new Date();
+        sets.forEach((set, i) => {
+            set.equivalence = { ...metrics[i], regenerations: regenerated[i], balancedAt };
+        });
+
+        const isEquivalent = metrics.every(m => m.isEquivalent);
+        console.log(`⚖️  ${sets.length} set(s) ${isEquivalent ? 'equivalent' : 'NOT equivalent'} after ${swaps} swap(s), ${regenerations} regeneration(s)`);
+        return { sets, isEquivalent, swaps, regenerations };
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Same difficulty (keeps quotas), and not interchangeable for the metrics
+function isUsefulSwap(a, b) {
+    return a.difficulty === b.difficulty &&
+        (a.points !== b.points || skillAnalysisService.normalizeSkill(a.skill) !== skillAnalysisService.normalizeSkill(b.skill));
+}
+
+function swapSlots(listA, i, listB, j) {
+    const a = listA[i];
+    const b = listB[j];
+    listA[i] = { ...b, questionId: a.questionId };
+    listB[j] = { ...a, questionId: b.questionId };
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+export default new SetBalancingService();
@@ -0,0 +1,321 @@
+/**
+ * Skill Analysis Service
+ * Per-skill scoring across all assessment sections, the resume gap report,
+ * and resume correlation (which claimed skills the assessment backs up).
+ *
+ * Skills are matched by a normalized name ("Node.js", "NodeJS" and "node js" are the same skill),
+ * since question skills, JD skills and resume claims are all free text from the AI.
+ */
+
+// Matches the JobDescription technicalSkills weight default
+const DEFAULT_SKILL_WEIGHT = 5;
+
+// A claim is "below" the measurement when confidence exceeds the measured percentage by more than this
+const GAP_TOLERANCE = 20;
+
+// Measured percentage at which an unclaimed skill counts as a hidden strength
+const STRENGTH_THRESHOLD = 70;
+
+// Resume correlation: a claim is validated at or above VALIDATED_THRESHOLD (or within GAP_TOLERANCE
+// of its confidence) and contradicted below CONTRADICTED_THRESHOLD when it was claimed with confidence
+const VALIDATED_THRESHOLD = 60;
+const CONTRADICTED_THRESHOLD = 40;
+
+const SECTION_DEFAULT_POINTS = {
+    objective: 1,
+    subjective: 10,
+    programming: 20,
+};
+
+class SkillAnalysisService {
+    /**
+     * Canonical key for a skill name
+     */
+    normalizeSkill(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9+#]/g, '')
+            .replace(/js$/, '') || String(name || '').toLowerCase().trim();
+    }
+
+    getCompetencyLevel(percentage) {
+        if (percentage >= 90) return 'expert';
+        if (percentage >= 70) return 'proficient';
+        if (percentage >= 50) return 'intermediate';
+        return 'beginner';
+    }
+
+    /**
+     * Score every question of the set against the evaluation's section details
+     * @returns {Array} [{ questionId, skill, section, score, maxScore, attempted }]
+     */
+    scoreQuestions(evaluation, set) {
+        const scored = [];
+        const findDetail = (section, questionId) =>
+            evaluation.sections[section]?.details?.find(d => d.questionId === questionId);
+
+        for (const q of set.objectiveQuestions || []) {
+            const detail = findDetail('objective', q.questionId);
+            const maxScore = q.points || SECTION_DEFAULT_POINTS.objective;
+            scored.push({
+                questionId: q.questionId,
+                skill: q.skill,
+                section: 'objective',
+                score: detail?.isCorrect ? maxScore : 0,
+                maxScore,
+                attempted: Boolean(detail),
+            });
+        }
+
+        for (const q of set.subjectiveQuestions || []) {
+            const detail = findDetail('subjective', q.questionId);
+            scored.push({
+                questionId: q.questionId,
+                skill: q.skill,
+                section: 'subjective',
+                score: detail?.aiScore || 0,
+                maxScore: q.points || SECTION_DEFAULT_POINTS.subjective,
+                attempted: Boolean(detail),
+            });
+        }
+
+        for (const q of set.programmingQuestions || []) {
+            const detail = findDetail('programming', q.questionId);
+            const maxScore = q.points || SECTION_DEFAULT_POINTS.programming;
+            scored.push({
+                questionId: q.questionId,
+                skill: q.skill,
+                section: 'programming',
+                score: typeof detail?.score === 'number'
+                    ? detail.score
+                    : (detail?.totalTestCases > 0 ? (detail.testCasesPassed / detail.totalTestCases) * maxScore : 0),
+                maxScore,
+                attempted: Boolean(detail),
+            });
+        }
+
+        return scored;
+    }
+
+    /**
+     * Aggregate per-skill scores across objective, subjective and programming questions
+     * @param {Object} evaluation - Evaluation with section details filled in
+     * @param {Object} set - AssessmentSet
+     * @param {Array} jdSkills - jd.parsedContent.technicalSkills
+     * @returns {Object} { skillScores, weightedSkillScore }
+     */
+    computeSkillScores(evaluation, set, jdSkills = []) {
+        const jdSkillMap = new Map(jdSkills.map(s => [this.normalizeSkill(s.name), s]));
+        const skillMap = new Map();
+
+        for (const q of this.scoreQuestions(evaluation, set).filter(q => q.skill)) {
+            const key = this.normalizeSkill(q.skill);
+            if (!skillMap.has(key)) {
+                const jdSkill = jdSkillMap.get(key);
+                skillMap.set(key, {
+                    skill: jdSkill?.name || q.skill,
+                    weight: jdSkill?.weight || DEFAULT_SKILL_WEIGHT,
+                    score: 0,
+                    maxScore: 0,
+                    attempted: 0,
+                    total: 0,
+                    sections: new Set(),
+                });
+            }
+            const s = skillMap.get(key);
+            s.score += q.score;
+            s.maxScore += q.maxScore;
+            s.total++;
+            if (q.attempted) s.attempted++;
+            s.sections.add(q.section);
+        }
+
+        const skillScores = Array.from(skillMap.values()).map(data => {
+            const percentage = data.maxScore > 0 ? (data.score / data.maxScore) * 100 : 0;
+            return {
+                skill: data.skill,
+                score: data.score,
+                maxScore: data.maxScore,
+                percentage,
+                weight: data.weight,
+                competencyLevel: this.getCompetencyLevel(percentage),
+                questionsAttempted: data.attempted,
+                totalQuestions: data.total,
+                sections: [...data.sections],
+            };
+        });
+
+        const totalWeight = skillScores.reduce((sum, s) => sum + s.weight, 0);
+        const weightedSkillScore = totalWeight > 0
+            ? skillScores.reduce((sum, s) => sum + s.percentage * s.weight, 0) / totalWeight
+            : 0;
+
+        return { skillScores, weightedSkillScore };
+    }
+
+    /**
+     * Compare measured skill performance with the resume's claimed skills
+     * @param {Array} skillScores - From computeSkillScores
+     * @param {Array} jdSkills - jd.parsedContent.technicalSkills
+     * @param {Array} skillMatches - candidateAssessment.resume.matchDetails.skillMatches
+     * @returns {Array} One entry per JD, tested or claimed skill
+     */
+    buildGapReport(skillScores, jdSkills = [], skillMatches = []) {
+        const entries = new Map();
+        const entryFor = (name) => {
+            const key = this.normalizeSkill(name);
+            if (!entries.has(key)) {
+                entries.set(key, {
+                    skill: name,
+                    weight: DEFAULT_SKILL_WEIGHT,
+                    isPrimary: false,
+                    required: false,
+                    claimed: false,
+                    claimConfidence: null,
+                    measuredPercentage: null,
+                    competencyLevel: null,
+                });
+            }
+            return entries.get(key);
+        };
+
+        for (const jdSkill of jdSkills) {
+            const entry = entryFor(jdSkill.name);
+            entry.weight = jdSkill.weight || DEFAULT_SKILL_WEIGHT;
+            entry.isPrimary = Boolean(jdSkill.isPrimary);
+            entry.required = true;
+        }
+
+        for (const match of skillMatches) {
+            if (!match?.skill) continue;
+            const entry = entryFor(match.skill);
+            entry.claimed = Boolean(match.matched);
+            entry.claimConfidence = typeof match.confidence === 'number' ? match.confidence : null;
+        }
+
+        for (const skillScore of skillScores) {
+            const entry = entryFor(skillScore.skill);
+            entry.measuredPercentage = skillScore.percentage;
+            entry.competencyLevel = skillScore.competencyLevel;
+        }
+
+        return Array.from(entries.values()).map(entry => {
+            let gap = null;
+            let status;
+
+            if (entry.measuredPercentage === null) {
+                status = 'untested';
+            } else if (entry.claimed) {
+                gap = (entry.claimConfidence ?? 100) - entry.measuredPercentage;
+                status = gap > GAP_TOLERANCE ? 'below_claim' : 'meets_claim';
+            } else {
+                status = entry.measuredPercentage >= STRENGTH_THRESHOLD ? 'unclaimed_strength' : 'not_claimed';
+            }
+
+            return { ...entry, gap, status };
+        }).sort((a, b) => (b.required - a.required) || (b.weight - a.weight));
+    }
+
+    /**
+     * Correlate the resume's claimed skills with measured per-skill performance
+     * @param {Array} skillScores - From computeSkillScores
+     * @param {Object} resume - candidateAssessment.resume (matchDetails.skillMatches, isFake, fakeReasons)
+     * @param {Array} jdSkills - jd.parsedContent.technicalSkills
+     * @returns {Object} Evaluation.resumeCorrelation shape
+     */
+    correlateResume(skillScores, resume = {}, jdSkills = []) {
+        const measured = new Map(skillScores.map(s => [this.normalizeSkill(s.skill), s]));
+        const primary = new Set(jdSkills.filter(s => s.isPrimary).map(s => this.normalizeSkill(s.name)));
+        const claims = (resume?.matchDetails?.skillMatches || []).filter(m => m?.skill && m.matched);
+
+        const validatedSkills = [];
+        const unvalidatedSkills = [];
+        const contradictedSkills = [];
+        const discrepancies = [];
+
+        for (const claim of claims) {
+            const key = this.normalizeSkill(claim.skill);
+            const score = measured.get(key);
+            const claimConfidence = typeof claim.confidence === 'number' ? claim.confidence : 100;
+
+            if (!score) {
+                unvalidatedSkills.push({ skill: claim.skill, claimConfidence, measuredPercentage: null, questionsAssessed: 0, reason: 'not_assessed' });
+                if (primary.has(key)) {
+                    discrepancies.push(`${claim.skill} is a primary skill claimed on the resume but no question assessed it. Verify it in the interview.`);
+                }
+                continue;
+            }
+
+            const entry = {
+                skill: claim.skill,
+                claimConfidence,
+                measuredPercentage: round(score.percentage),
+                questionsAssessed: score.totalQuestions,
+            };
+            const gap = claimConfidence - score.percentage;
+            const questions = `${score.totalQuestions} question${score.totalQuestions === 1 ? '' : 's'}`;
+
+            if (score.percentage >= VALIDATED_THRESHOLD || gap <= GAP_TOLERANCE) {
+                validatedSkills.push({ ...entry, reason: 'performance_supports_claim' });
+            } else if (score.percentage < CONTRADICTED_THRESHOLD) {
+                contradictedSkills.push({ ...entry, reason: 'performance_contradicts_claim' });
+                discrepancies.push(
+                    `Resume claims ${claim.skill} (${claimConfidence}% confidence) but the candidate scored ` +
+                    `${entry.measuredPercentage}% on ${questions}. Probe ${claim.skill} fundamentals in the interview.`
+                );
+            } else {
+                unvalidatedSkills.push({ ...entry, reason: 'inconclusive' });
+                discrepancies.push(
+                    `${claim.skill} is only partly supported: ${entry.measuredPercentage}% on ${questions} ` +
+                    `against ${claimConfidence}% resume confidence.`
+                );
+            }
+        }
+
+        // Strong performance the resume never mentioned
+        for (const [key, score] of measured) {
+            const claimed = claims.some(c => this.normalizeSkill(c.skill) === key);
+            if (!claimed && score.percentage >= STRENGTH_THRESHOLD) {
+                discrepancies.push(`Scored ${round(score.percentage)}% in ${score.skill}, which the resume does not claim.`);
+            }
+        }
+
+        if (resume?.isFake) {
+            discrepancies.push(`Resume screening raised authenticity concerns: ${(resume.fakeReasons || []).join('; ') || 'no details'}.`);
+        }
+
+        const assessedClaims = validatedSkills.length + contradictedSkills.length +
+            unvalidatedSkills.filter(s => s.reason === 'inconclusive').length;
+        const claimedSkillsValidated = assessedClaims > 0
+            ? round((validatedSkills.length / assessedClaims) * 100)
+            : 0;
+
+        let analysis;
+        if (claims.length === 0) {
+            analysis = 'The resume analysis recorded no claimed skills to correlate.';
+        } else {
+            analysis = `${validatedSkills.length} of ${claims.length} claimed skill(s) validated by the assessment, ` +
+                `${contradictedSkills.length} contradicted, ${unvalidatedSkills.length} unvalidated.`;
+            if (contradictedSkills.length > 0) {
+                analysis += ` Contradicted: ${contradictedSkills.map(s => s.skill).join(', ')}.`;
+            }
+        }
+
+        return {
+            analyzed: true,
+            claimedSkillsValidated,
+            performanceMatchesResume: contradictedSkills.length === 0,
+            validatedSkills,
+            unvalidatedSkills,
+            contradictedSkills,
+            discrepancies,
+            analysis,
+        };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+export default new SkillAnalysisService();
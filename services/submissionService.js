@@ -0,0 +1,179 @@
+/**
+ * Submission Service
+ * Finalizes candidate assessments and queues their evaluation.
+ *
+ * - finalize() moves an in_progress assessment to submitted exactly once, whether the
+ *   candidate submitted, the session noticed the time ran out, or the sweeper found it abandoned
+ * - When the JD has assessmentConfig.autoEvaluateOnSubmit, an evaluation job is queued; assessments
+ *   the sweeper finalizes are always queued, since nobody is around to trigger their evaluation
+ * - The sweeper periodically finalizes in_progress assessments whose time plus grace has passed,
+ *   or whose session has been idle long enough to count as abandoned
+ * - Time used is active session time (services/sessionClockService.js), so disconnects
+ *   and recruiter pauses don't eat into it
+ */
+
+import CandidateAssessment from '../models/CandidateAssessment.js';
+import JobDescription from '../models/JobDescription.js';
+import jobQueue from './jobQueueService.js';
+import accommodationService from './accommodationService.js';
+import sessionClockService from './sessionClockService.js';
+
+class SubmissionService {
+    constructor() {
+        this.timer = null;
+        this.sweeping = false;
+
+        this.gracePeriodMs = parseInt(process.env.ASSESSMENT_GRACE_PERIOD_MS) || 60 * 1000;
+        this.sweepIntervalMs = parseInt(process.env.ASSESSMENT_SWEEP_INTERVAL_MS) || 60 * 1000;
+    }
+
+    /**
+     * Active time left before an in_progress assessment expires (without grace)
+     * @param {Object} candidateAssessment - Needs startedAt, the session clock fields and accommodations
+     * @param {Object} jd - Needs assessmentConfig
+     * @returns {number} Milliseconds, negative once the time is up
+     */
+    getRemainingMs(candidateAssessment, jd, now = new Date()) {
+        const totalTimeMs = jd?.assessmentConfig ? accommodationService.getTotalTimeMs(candidateAssessment, jd) : 0;
+        return totalTimeMs - sessionClockService.getElapsedMs(candidateAssessment, now);
+    }
+
+    isExpired(candidateAssessment, jd, now = new Date()) {
+        if (!candidateAssessment.startedAt) return false;
+        return this.getRemainingMs(candidateAssessment, jd, now) < -this.gracePeriodMs;
+    }
+
+    /**
+     * Submit an in_progress assessment. Safe to call concurrently: only the first caller wins.
+     * @param {Object} candidateAssessment - Document with startedAt and jd (id or populated)
+     * @param {Object} options - { submissionType: 'manual' | 'time_expired' | 'abandoned',
+     *   evaluate: queue an evaluation job (defaults to the JD's autoEvaluateOnSubmit) }
+     * @returns {Promise<Object|null>} { candidateAssessment, job } or null if already finalized
+     */
+    async finalize(candidateAssessment, options = {}) {
+        const { submissionType = 'manual' } = options;
+        const jdId = candidateAssessment.jd?._id || candidateAssessment.jd;
+
+        const jd = candidateAssessment.jd?.assessmentConfig
+            ? candidateAssessment.jd
+            : await JobDescription.findById(jdId).select('company assessmentConfig');
+
+        const submittedAt = new Date();
+        let timeSpentSeconds = Math.floor(sessionClockService.getElapsedMs(candidateAssessment, submittedAt) / 1000);
+
+        // Expired sessions are credited with the allotted time, not the time until someone noticed
+        if (submissionType !== 'manual') {
+            const totalTimeSeconds = jd?.assessmentConfig
+                ? Math.floor(accommodationService.getTotalTimeMs(candidateAssessment, jd) / 1000)
+                : 0;
+            timeSpentSeconds = Math.min(timeSpentSeconds, totalTimeSeconds);
+        }
+
+        const submitted = await CandidateAssessment.findOneAndUpdate(
+            { _id: candidateAssessment._id, status: 'in_progress' },
+            {
+                $set: {
+                    status: 'submitted',
+                    submittedAt,
+                    timeSpentSeconds,
+                    submissionType,
+                    currentSection: null,
+                },
+            },
+            { new: true }
+        );
+
+        if (!submitted) {
+            return null;
+        }
+
+        console.log(`📨 Assessment ${submitted._id} submitted (${submissionType})`);
+
+        await JobDescription.findByIdAndUpdate(jdId, {
+            $inc: { 'stats.completedAssessments': 1 },
+        });
+
+        const { evaluate = Boolean(jd?.assessmentConfig?.autoEvaluateOnSubmit) } = options;
+        let job = null;
+        if (evaluate) {
+            try {
+                job = await jobQueue.enqueue('evaluation', { candidateAssessmentId: submitted._id }, {
+                    subjectId: submitted._id,
+                    company: jd.company,
+                });
+            } catch (error) {
+                // The submission stands; a recruiter can still trigger evaluation manually
+                console.error(`❌ Failed to queue evaluation for ${submitted._id}:`, error);
+            }
+        }
+
+        return { candidateAssessment: submitted, job };
+    }
+
+    /**
+     * Start the abandoned-assessment sweeper (call once the database is connected)
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.poke(), this.sweepIntervalMs);
+        console.log(`🧹 Assessment sweeper started (every ${Math.round(this.sweepIntervalMs / 1000)}s)`);
+        this.poke();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    poke() {
+        this.sweep().catch(error => {
+            console.error('❌ Assessment sweep error:', error);
+        });
+    }
+
+    /**
+     * Finalize in_progress assessments whose time plus grace has passed or whose session was abandoned
+     * @returns {Promise<number>} Number of assessments finalized
+     */
+    async sweep() {
+        if (this.sweeping) return 0;
+        this.sweeping = true;
+
+        let finalized = 0;
+        try {
+            const now = new Date();
+            const cursor = CandidateAssessment.find({
+                status: 'in_progress',
+                startedAt: { $lte: new Date(now.getTime() - this.gracePeriodMs) },
+            })
+                .select('jd startedAt status accommodations activeTimeMs forgivenGapMs lastHeartbeat pause')
+                .populate('jd', 'company assessmentConfig')
+                .cursor();
+
+            for await (const candidateAssessment of cursor) {
+                if (!candidateAssessment.jd) continue;
+                if (!this.isExpired(candidateAssessment, candidateAssessment.jd, now) &&
+                    !sessionClockService.isAbandoned(candidateAssessment, now)) {
+                    continue;
+                }
+
+                try {
+                    const result = await this.finalize(candidateAssessment, { submissionType: 'abandoned', evaluate: true });
+                    if (result) finalized++;
+                } catch (error) {
+                    console.error(`❌ Failed to finalize abandoned assessment ${candidateAssessment._id}:`, error);
+                }
+            }
+        } finally {
+            this.sweeping = false;
+        }
+
+        if (finalized > 0) {
+            console.log(`🧹 Finalized ${finalized} abandoned assessment(s)`);
+        }
+        return finalized;
+    }
+}
+
+export default new SubmissionService();
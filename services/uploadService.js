@@ -1,11 +1,12 @@
 /**
  * File Upload Service
- * Handles local file storage for resumes and images
+ * Handles local file storage for resumes, JD documents and images
  */
 
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import zlib from 'zlib';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 const pdf = require('pdf-parse');
@@ -18,9 +19,13 @@ const __dirname = path.dirname(__filename);
 const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
 const RESUME_DIR = path.join(UPLOAD_DIR, 'resumes');
 const IMAGE_DIR = path.join(UPLOAD_DIR, 'images');
+const JD_DIR = path.join(UPLOAD_DIR, 'jds');
+
+// Largest ZIP entry we unpack; stops a small DOCX from inflating into gigabytes
+const MAX_ZIP_ENTRY_BYTES = 20 * 1024 * 1024;
 
 // Ensure directories exist
-[UPLOAD_DIR, RESUME_DIR, IMAGE_DIR].forEach(dir => {
+[UPLOAD_DIR, RESUME_DIR, IMAGE_DIR, JD_DIR].forEach(dir => {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
         console.log(`📁 Created directory: ${dir}`);
@@ -43,6 +48,23 @@ const resumeFileFilter = (req, file, cb) => {
     }
 };
 
+// File filter for JD documents (browsers report DOCX/TXT mimetypes inconsistently, so check the extension too)
+const jdFileFilter = (req, file, cb) => {
+    const allowedTypes = [
+        'application/pdf',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'text/plain',
+    ];
+    const allowedExtensions = ['.pdf', '.docx', '.txt'];
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (allowedExtensions.includes(ext) && (allowedTypes.includes(file.mimetype) || file.mimetype === 'application/octet-stream')) {
+        cb(null, true);
+    } else {
+        cb(new Error('Invalid file type. Only PDF, DOCX, and TXT are allowed.'), false);
+    }
+};
+
 // File filter for images
 const imageFileFilter = (req, file, cb) => {
     const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
@@ -73,6 +95,17 @@ const resumeStorage = multer.diskStorage({
     },
 });
 
+// JD document storage configuration
+const jdStorage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        cb(null, JD_DIR);
+    },
+    filename: (req, file, cb) => {
+        const filename = generateFilename('jd', file.originalname);
+        cb(null, filename);
+    },
+});
+
 // Image storage configuration
 const imageStorage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -93,6 +126,14 @@ export const uploadResume = multer({
     },
 });
 
+export const uploadJD = multer({
+    storage: jdStorage,
+    fileFilter: jdFileFilter,
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB max
+    },
+});
+
 export const uploadImage = multer({
     storage: imageStorage,
     fileFilter: imageFileFilter,
@@ -161,48 +202,151 @@ export const deleteFile = async (filepath) => {
     }
 };
 
-// Extract text from resume (basic implementation)
-export const extractResumeText = async (filepath) => {
+// Extract text from a PDF, DOCX or TXT file, with warnings about anything that was lost
+export const extractDocumentText = async (filepath) => {
+    const warnings = [];
+    const ext = path.extname(filepath).toLowerCase();
+    const fullPath = filepath.startsWith('/uploads/') ? path.join(__dirname, '..', filepath) : filepath;
+
+    if (!fs.existsSync(fullPath)) {
+        return { text: '', warnings: ['Uploaded file could not be found'] };
+    }
+
+    let text = '';
     try {
-        const ext = path.extname(filepath).toLowerCase();
+        const dataBuffer = await fs.promises.readFile(fullPath);
 
-        // For now, only handle .txt files directly
-        // For PDF/DOC, you'd need additional libraries like pdf-parse or mammoth
         if (ext === '.txt') {
-            const fullPath = filepath.startsWith('/uploads/') ? path.join(__dirname, '..', filepath) : filepath;
-            if (fs.existsSync(fullPath)) {
-                return await fs.promises.readFile(fullPath, 'utf-8');
+            text = dataBuffer.toString('utf-8');
+            if (text.includes('\uFFFD')) {
+                warnings.push('File is not valid UTF-8; some characters could not be decoded');
             }
         } else if (ext === '.pdf') {
-            try {
-                const fullPath = filepath.startsWith('/uploads/') ? path.join(__dirname, '..', filepath) : filepath;
-                if (fs.existsSync(fullPath)) {
-                    const dataBuffer = await fs.promises.readFile(fullPath);
-                    // Standard pdf-parse v1.1.1 usage
-                    const pdfData = await pdf(dataBuffer);
-                    return pdfData.text;
+            // Standard pdf-parse v1.1.1 usage
+            const pdfData = await pdf(dataBuffer);
+            text = pdfData.text || '';
+            const pages = pdfData.numpages || 1;
+            if (text.trim().length < 100 * pages) {
+                warnings.push(`PDF has little extractable text (${text.trim().length} characters over ${pages} page(s)); it may be scanned`);
+            }
+        } else if (ext === '.docx') {
+            const documentXml = readZipEntry(dataBuffer, 'word/document.xml');
+            if (!documentXml) {
+                warnings.push('DOCX file is damaged or has no document body');
+            } else {
+                text = docxXmlToText(documentXml.toString('utf-8'));
+                if (/<w:drawing|<w:pict/.test(documentXml.toString('utf-8'))) {
+                    warnings.push('DOCX contains images; any text inside them was not extracted');
                 }
-            } catch (pdfError) {
-                console.error('❌ PDF parsing error:', pdfError);
             }
+        } else {
+            warnings.push(`Cannot extract text from ${ext || 'unknown'} files`);
         }
-
-        console.log(`⚠️ Cannot extract text from ${ext} file. Text should be provided by frontend.`);
-        return '';
     } catch (error) {
-        console.error('❌ Error extracting resume text:', error);
-        return '';
+        console.error('❌ Error extracting document text:', error);
+        warnings.push(`Text extraction failed: ${error.message}`);
+    }
+
+    text = text.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (!text && warnings.length === 0) {
+        warnings.push('No text could be extracted from the file');
+    }
+
+    return { text, warnings };
+};
+
+// Extract text from resume
+export const extractResumeText = async (filepath) => {
+    const { text, warnings } = await extractDocumentText(filepath);
+    if (warnings.length > 0) {
+        console.log(`⚠️ Resume text extraction: ${warnings.join('; ')}`);
+    }
+    return text;
+};
+
+// Read one file out of a ZIP archive (DOCX is a ZIP of XML parts)
+const readZipEntry = (buffer, entryName) => {
+    // End of central directory record, searched from the end (it may be followed by a comment)
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
     }
+    if (eocd === -1) return null;
+
+    const entries = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+
+    for (let n = 0; n < entries; n++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const uncompressedSize = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+        if (name === entryName) {
+            if (uncompressedSize > MAX_ZIP_ENTRY_BYTES) {
+                throw new Error(`${entryName} is larger than ${MAX_ZIP_ENTRY_BYTES / (1024 * 1024)}MB uncompressed`);
+            }
+            const localNameLength = buffer.readUInt16LE(localOffset + 26);
+            const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+            const start = localOffset + 30 + localNameLength + localExtraLength;
+            const data = buffer.subarray(start, start + compressedSize);
+
+            if (method === 0) return data;
+            if (method === 8) {
+                // The declared size can lie, so the output is capped as well
+                try {
+                    return zlib.inflateRawSync(data, { maxOutputLength: MAX_ZIP_ENTRY_BYTES });
+                } catch (error) {
+                    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                        throw new Error(`${entryName} is larger than ${MAX_ZIP_ENTRY_BYTES / (1024 * 1024)}MB uncompressed`);
+                    }
+                    throw error;
+                }
+            }
+            return null;
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+};
+
+// Plain text from WordprocessingML: one line per paragraph, tabs and breaks kept
+const docxXmlToText = (xml) => {
+    return xml
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:(br|cr)\/>/g, '\n')
+        .replace(/<\/w:p>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
 };
 
 export default {
     uploadResume,
+    uploadJD,
     uploadImage,
     saveBase64Image,
     getFileUrl,
     deleteFile,
+    extractDocumentText,
     extractResumeText,
     UPLOAD_DIR,
     RESUME_DIR,
     IMAGE_DIR,
+    JD_DIR,
 };
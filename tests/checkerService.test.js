@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import checkerService from '../services/checkerService.js';
+
+const float = { type: 'float', tolerance: 1e-6 };
+
+test('float checker ignores whitespace around numbers', () => {
+    assert.equal(checkerService.check('[1.5, 2]', '[1.5,2]', float), true);
+    assert.equal(checkerService.check('[1.5,2]\n', ' [ 1.5 ,\t2 ] ', float), true);
+});
+
+test('float checker compares numbers within tolerance', () => {
+    assert.equal(checkerService.check('0.3333333', '0.33333333', float), true);
+    assert.equal(checkerService.check('0.34', '0.33', float), false);
+});
+
+test('float checker still requires the same numbers and text', () => {
+    assert.equal(checkerService.check('1 2', '12', float), false);
+    assert.equal(checkerService.check('[1.5,2]', '(1.5,2)', float), false);
+});